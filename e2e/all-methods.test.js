@@ -14,6 +14,7 @@ const assert = require("assert");
 const webserver = require("./local-webserver");
 const AxiosVerifier = require("./axios-verifier");
 const FetchVerifier = require("./fetch-verifier");
+const NodeHttpVerifier = require("./node-http-verifier");
 
 const clientExports = require("../");
 
@@ -22,7 +23,13 @@ These tests verify the contract of the HTTP client. They also provide several pr
 examples of how to use the client. The relevant example code will be flagged with *EXAMPLE*
 */
 
-[new AxiosVerifier(), new FetchVerifier()].forEach((verifier) => {
+const verifiers = [
+  new AxiosVerifier(),
+  new FetchVerifier(),
+  new NodeHttpVerifier(),
+];
+
+verifiers.forEach((verifier) => {
   const verifierName = verifier.constructor.name;
   const client = verifier.getExport(clientExports);
   describe(`${verifierName}: All Methods Tests`, function () {
@@ -0,0 +1,88 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const assert = require("assert");
+
+const Verifier = require("./verifier");
+
+/**
+ * Implementation of a verifier that assumes the underlying HTTP library is Node.JS's
+ * built-in http module.
+ */
+class NodeHttpVerifier extends Verifier {
+  getExport(clientExports, options = { handleCookies: false }) {
+    const { nodeHttpClient } = clientExports;
+    const requestToUse = nodeHttpClient(options);
+
+    // "faking" axios-like methods so that the e2e tests will work with either
+    // backend library
+    const exportFunc = async (url, options) => requestToUse(url, options);
+    exportFunc.put = (url, body, config) =>
+      this.sendBodyRequest(requestToUse, url, body, "PUT", config);
+    exportFunc.get = (url) => requestToUse(url);
+    exportFunc.head = (url) =>
+      requestToUse(url, {
+        method: "HEAD",
+      });
+    exportFunc.post = (url, body, config) =>
+      this.sendBodyRequest(requestToUse, url, body, "POST", config);
+    exportFunc.patch = (url, body) =>
+      this.sendBodyRequest(requestToUse, url, body, "PATCH");
+    exportFunc.options = (url) =>
+      requestToUse(url, {
+        method: "OPTIONS",
+      });
+    exportFunc.delete = (url) =>
+      requestToUse(url, {
+        method: "DELETE",
+      });
+    return exportFunc;
+  }
+
+  /**
+   * Does the work of sending a request with the http module, given axios-like options.
+   * @param {*} request Request function to use to send request.
+   * @param {string} url URL of the request to send.
+   * @param {*} body Body to use in the request. Will be stringified before sending.
+   * @param {string} method HTTP method to use in the request.
+   * @param {*} [config] Additional configuration values to send.
+   * @returns {Promise<*>} Will be resolved with the response to the request.
+   */
+  sendBodyRequest(request, url, body, method, config = {}) {
+    return request(url, {
+      ...config,
+      body: JSON.stringify(body),
+      method: method,
+    });
+  }
+
+  verifySpecificSuccess(res) {
+    assert.ok(res.ok);
+  }
+
+  getHeader(res, header) {
+    return res.headers[header];
+  }
+
+  async getBody(res) {
+    const text = await res.text();
+    return text ? JSON.parse(text) : text;
+  }
+
+  async verifyFailure(toRun, expectedStatus, additionalResponseValues = {}) {
+    const res = await toRun();
+    assert.ok(!res.ok);
+    assert.strictEqual(res.status, expectedStatus);
+    this.verifyOptionsClientProperties(res, additionalResponseValues);
+  }
+}
+
+module.exports = NodeHttpVerifier;
@@ -0,0 +1,239 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require("fs");
+const { createHash } = require("crypto");
+
+const { redactHeaders } = require("./http-utils");
+const typedefs = require("./typedefs");
+
+const PRIVATE = Symbol("PRIVATE");
+const _load = Symbol("_load");
+const _save = Symbol("_save");
+const _describeRequest = Symbol("_describeRequest");
+const _matches = Symbol("_matches");
+
+/**
+ * Calculates a hash of a request body, so that cassettes can match bodies without
+ * storing them.
+ * @param {*} body Body of the request.
+ * @returns {string} Hex-encoded SHA-256 hash of the body, or an empty string if
+ *  the request has no body, or its body is a stream.
+ */
+function hashBody(body) {
+  if (body === undefined || body === null || typeof body.pipe === "function") {
+    return "";
+  }
+  return createHash("sha256")
+    .update(Buffer.isBuffer(body) ? body : String(body))
+    .digest("hex");
+}
+
+/**
+ * Converts headers to a simple object whose header names are lowercase.
+ * @param {object} [headers] Headers to convert.
+ * @returns {object} Simple object containing the headers.
+ */
+function normalizeHeaders(headers = {}) {
+  const normalized = {};
+  Object.keys(headers).forEach((name) => {
+    normalized[name.toLowerCase()] = headers[name];
+  });
+  return normalized;
+}
+
+/**
+ * Represents a file containing recorded HTTP interactions, where each interaction is
+ * a request and the response (or error) that it received. In "record" mode the cassette
+ * will write interactions to the file as they happen. In "replay" mode the cassette
+ * will read the file, and provide the recorded interactions in place of actual
+ * HTTP communications.
+ *
+ * Each recorded interaction is only replayed once, so that a sequence of identical
+ * requests, such as a request and its retries, receives the recorded sequence of
+ * responses.
+ */
+class Cassette {
+  /**
+   * Constructs a new cassette.
+   * @param {typedefs.CassetteOptions} options Options controlling the cassette.
+   */
+  constructor(options = {}) {
+    const { path, mode = "replay", match = {} } = options;
+    if (!path) {
+      throw new Error("Cassette requires a path");
+    }
+    if (mode !== "record" && mode !== "replay") {
+      throw new Error(
+        `Cassette mode must be either "record" or "replay", received "${mode}"`
+      );
+    }
+    const { method = true, url = true, body = false, headers = [] } = match;
+    this[PRIVATE] = {
+      path,
+      mode,
+      match: {
+        method,
+        url,
+        body,
+        headers: headers.map((name) => name.toLowerCase()),
+      },
+    };
+  }
+
+  /**
+   * Retrieves a value indicating whether the cassette is recording interactions.
+   * @returns {boolean} True if recording, false if replaying.
+   */
+  isRecording() {
+    return this[PRIVATE].mode === "record";
+  }
+
+  /**
+   * Records an interaction and writes it to the cassette's file. Headers will be
+   * redacted before they're written.
+   * @param {*} request Request that was sent, containing a url, and optionally a
+   *  method, headers, and body.
+   * @param {*} [response] Response that the request received, containing a status,
+   *  statusText, headers, and a Buffer body. Should not be provided if the request
+   *  failed with an error.
+   * @param {*} [error] Error that the request failed with, if any.
+   * @returns {Promise} Resolves when the interaction has been written.
+   */
+  async recordInteraction(request, response, error) {
+    const interactions = await this[_load]();
+    const interaction = {
+      request: this[_describeRequest](request),
+    };
+
+    if (response) {
+      const { status, statusText, headers, body = Buffer.from("") } = response;
+      const isText = Buffer.from(body.toString("utf8"), "utf8").equals(body);
+      interaction.response = {
+        status,
+        statusText,
+        headers: redactHeaders(headers),
+        body: body.toString(isText ? "utf8" : "base64"),
+      };
+      if (!isText) {
+        interaction.response.encoding = "base64";
+      }
+    } else {
+      const { name, message, code } = error || {};
+      interaction.error = { name, message, code };
+    }
+
+    interactions.push(interaction);
+    return this[_save]();
+  }
+
+  /**
+   * Finds the first recorded interaction that matches a request, and that hasn't
+   * already been replayed. Fails if there is no such interaction.
+   * @param {*} request Request being sent, containing a url, and optionally a
+   *  method, headers, and body.
+   * @returns {Promise<*>} Resolves with the interaction, which will contain either a
+   *  "response" or an "error".
+   */
+  async findInteraction(request) {
+    const interactions = await this[_load]();
+    const description = this[_describeRequest](request);
+    const interaction = interactions.find(
+      (candidate) =>
+        !candidate.replayed && this[_matches](candidate.request, description)
+    );
+
+    if (!interaction) {
+      throw new Error(
+        `Cassette ${this[PRIVATE].path} has no unplayed interaction matching request ${description.method} ${description.url}`
+      );
+    }
+    interaction.replayed = true;
+    return interaction;
+  }
+
+  /**
+   * Reads the cassette's interactions from its file the first time they're needed.
+   * When recording, the cassette always starts with no interactions.
+   * @returns {Promise<Array<*>>} Resolves with the cassette's interactions.
+   */
+  async [_load]() {
+    const { path, interactions } = this[PRIVATE];
+    if (!interactions) {
+      if (this.isRecording()) {
+        this[PRIVATE].interactions = [];
+      } else {
+        const contents = await fs.promises.readFile(path, "utf8");
+        this[PRIVATE].interactions = JSON.parse(contents).interactions;
+      }
+    }
+    return this[PRIVATE].interactions;
+  }
+
+  /**
+   * Writes all of the cassette's interactions to its file. Writes are queued so
+   * that concurrent requests don't write to the file at the same time.
+   * @returns {Promise} Resolves when the file has been written.
+   */
+  [_save]() {
+    const { path, saving = Promise.resolve() } = this[PRIVATE];
+    const write = () =>
+      fs.promises.writeFile(
+        path,
+        JSON.stringify({ interactions: this[PRIVATE].interactions }, null, 2)
+      );
+    // each write runs whether or not the previous one failed, so that a save only
+    // reports its own failure
+    this[PRIVATE].saving = saving.then(write, write);
+    return this[PRIVATE].saving;
+  }
+
+  /**
+   * Converts a request to the form in which it's stored in the cassette.
+   * @param {*} request Request containing a url, and optionally a method, headers,
+   *  and body.
+   * @returns {object} Simple object describing the request.
+   */
+  [_describeRequest](request) {
+    const { url, method = "GET", headers, body } = request;
+    return {
+      method: String(method).toUpperCase(),
+      url: String(url),
+      headers: redactHeaders(normalizeHeaders(headers)),
+      bodyHash: hashBody(body),
+    };
+  }
+
+  /**
+   * Determines whether a recorded request matches a request being sent, based on
+   * the cassette's matching rules.
+   * @param {object} recorded Description of the recorded request.
+   * @param {object} request Description of the request being sent.
+   * @returns {boolean} True if the requests match, false otherwise.
+   */
+  [_matches](recorded, request) {
+    const { match } = this[PRIVATE];
+    if (match.method && recorded.method !== request.method) {
+      return false;
+    }
+    if (match.url && recorded.url !== request.url) {
+      return false;
+    }
+    if (match.body && recorded.bodyHash !== request.bodyHash) {
+      return false;
+    }
+    return match.headers.every(
+      (name) => String(recorded.headers[name]) === String(request.headers[name])
+    );
+  }
+}
+
+module.exports = Cassette;
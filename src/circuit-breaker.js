@@ -0,0 +1,232 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const CircuitOpenError = require("./circuit-open-error");
+const HttpOptions = require("./http-options");
+
+const STATE_CLOSED = "closed";
+const STATE_OPEN = "open";
+const STATE_HALF_OPEN = "half-open";
+
+const PRIVATE = Symbol("PRIVATE");
+const _getCircuit = Symbol("_getCircuit");
+const _setState = Symbol("_setState");
+
+/**
+ * Tracks failures of requests to each host, so that requests to hosts that are
+ * failing can fail fast instead of going through their full retry schedule.
+ *
+ * Each host has a "circuit", which starts closed. Once a given number of requests
+ * fail within a rolling window of time, the circuit opens and requests fail with a
+ * CircuitOpenError without being sent. After a period of time, the circuit becomes
+ * half-open and allows a limited number of probe requests. A successful probe closes
+ * the circuit, and a failed probe opens it again.
+ */
+class CircuitBreaker {
+  constructor() {
+    this[PRIVATE] = {
+      circuits: {},
+      listeners: [],
+    };
+  }
+
+  /**
+   * Registers a listener that will be called when an event occurs. The only event is
+   * "stateChange", whose listeners receive an object with the "key" of the circuit,
+   * along with the circuit's previous state ("from") and new state ("to"). States
+   * are "closed", "open", and "half-open".
+   * @param {string} event Name of the event.
+   * @param {Function} listener Function to call when the event occurs.
+   */
+  on(event, listener) {
+    this[PRIVATE].listeners.push({ event, listener });
+  }
+
+  /**
+   * Removes a listener that was registered using on().
+   * @param {string} event Name of the event.
+   * @param {Function} listener Listener to remove.
+   */
+  off(event, listener) {
+    this[PRIVATE].listeners = this[PRIVATE].listeners.filter(
+      (registered) =>
+        registered.event !== event || registered.listener !== listener
+    );
+  }
+
+  /**
+   * Retrieves the current state of a circuit.
+   * @param {string} key Key of the circuit, such as a URL's origin.
+   * @returns {string} One of "closed", "open", or "half-open".
+   */
+  getState(key) {
+    const { state, openUntil } = this[_getCircuit](key);
+    if (state === STATE_OPEN && new Date().getTime() >= openUntil) {
+      return STATE_HALF_OPEN;
+    }
+    return state;
+  }
+
+  /**
+   * Closes a circuit and clears its failures. If no key is provided, all circuits
+   * will be reset.
+   * @param {string} [key] Key of the circuit to reset.
+   */
+  reset(key) {
+    if (key === undefined) {
+      this[PRIVATE].circuits = {};
+    } else {
+      delete this[PRIVATE].circuits[key];
+    }
+  }
+
+  /**
+   * Determines whether a request can be sent based on the state of its host's
+   * circuit. Does nothing if the request's circuit breaker is disabled.
+   * @param {HttpOptions} httpOptions Options of the request being sent.
+   * @throws {CircuitOpenError} If the request's circuit is open.
+   */
+  beforeRequest(httpOptions) {
+    const options = httpOptions.getCircuitBreakerOptions();
+    if (!options) {
+      return;
+    }
+    const key = httpOptions.getCircuitKey();
+    const circuit = this[_getCircuit](key);
+    const now = new Date().getTime();
+
+    if (circuit.state === STATE_OPEN && now >= circuit.openUntil) {
+      this[_setState](httpOptions, key, STATE_HALF_OPEN);
+    }
+
+    if (circuit.state === STATE_OPEN) {
+      throw new CircuitOpenError(key, circuit.openUntil - now);
+    } else if (circuit.state === STATE_HALF_OPEN) {
+      if (circuit.probes >= options.halfOpenRequests) {
+        throw new CircuitOpenError(key, 0);
+      }
+      circuit.probes += 1;
+      httpOptions.addClientOptions({ circuitProbe: true });
+      httpOptions.logInfo(`sending probe request for half-open circuit ${key}`);
+    }
+  }
+
+  /**
+   * Gives back the probe slot taken by a request that ended without an outcome,
+   * such as one that the caller aborted, so that the half-open circuit can send
+   * another probe. Does nothing if the request wasn't a probe.
+   * @param {HttpOptions} httpOptions Options of the request that ended.
+   */
+  releaseProbe(httpOptions) {
+    const { circuitProbe } = httpOptions.getClientOptions();
+    if (!circuitProbe) {
+      return;
+    }
+    httpOptions.addClientOptions({ circuitProbe: false });
+    const circuit = this[_getCircuit](httpOptions.getCircuitKey());
+    if (circuit.state === STATE_HALF_OPEN) {
+      circuit.probes = Math.max(circuit.probes - 1, 0);
+    }
+  }
+
+  /**
+   * Records the outcome of a request, which may change the state of its host's
+   * circuit. Does nothing if the request's circuit breaker is disabled, or if the
+   * circuit is half-open and the request wasn't one of its probes.
+   * @param {HttpOptions} httpOptions Options of the request that was sent.
+   * @param {boolean} failed True if the request failed.
+   */
+  recordResult(httpOptions, failed) {
+    const options = httpOptions.getCircuitBreakerOptions();
+    if (!options) {
+      return;
+    }
+    const key = httpOptions.getCircuitKey();
+    const circuit = this[_getCircuit](key);
+    const now = new Date().getTime();
+
+    const { circuitProbe } = httpOptions.getClientOptions();
+    httpOptions.addClientOptions({ circuitProbe: false });
+    if (circuit.state === STATE_HALF_OPEN) {
+      // only probes decide a half-open circuit's state. requests that were already
+      // in flight when the circuit opened don't count.
+      if (!circuitProbe) {
+        return;
+      }
+      circuit.probes = Math.max(circuit.probes - 1, 0);
+      if (failed) {
+        circuit.openUntil = now + options.resetTimeout;
+        this[_setState](httpOptions, key, STATE_OPEN);
+      } else {
+        circuit.failures = [];
+        this[_setState](httpOptions, key, STATE_CLOSED);
+      }
+      return;
+    }
+
+    if (!failed || circuit.state !== STATE_CLOSED) {
+      return;
+    }
+
+    circuit.failures = circuit.failures
+      .filter((failureTime) => failureTime > now - options.window)
+      .concat(now);
+    if (circuit.failures.length >= options.failureThreshold) {
+      circuit.openUntil = now + options.resetTimeout;
+      this[_setState](httpOptions, key, STATE_OPEN);
+    }
+  }
+
+  /**
+   * Retrieves the information about a circuit, creating it if necessary.
+   * @param {string} key Key of the circuit.
+   * @returns {object} The circuit's information.
+   */
+  [_getCircuit](key) {
+    const { circuits } = this[PRIVATE];
+    if (!circuits[key]) {
+      circuits[key] = {
+        state: STATE_CLOSED,
+        failures: [],
+        probes: 0,
+        openUntil: 0,
+      };
+    }
+    return circuits[key];
+  }
+
+  /**
+   * Changes the state of a circuit, and notifies listeners of the change.
+   * @param {HttpOptions} httpOptions Options of the request that caused the change.
+   * @param {string} key Key of the circuit.
+   * @param {string} state The circuit's new state.
+   */
+  [_setState](httpOptions, key, state) {
+    const circuit = this[_getCircuit](key);
+    const from = circuit.state;
+    circuit.state = state;
+    if (state === STATE_HALF_OPEN) {
+      circuit.probes = 0;
+    }
+
+    const message = `circuit for ${key} changed from ${from} to ${state}`;
+    if (state === STATE_OPEN) {
+      httpOptions.logWarn(message);
+    } else {
+      httpOptions.logInfo(message);
+    }
+    this[PRIVATE].listeners
+      .filter((registered) => registered.event === "stateChange")
+      .forEach(({ listener }) => listener({ key, from, to: state }));
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,34 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/**
+ * Error that the client provides when a request isn't sent because the circuit
+ * breaker for the request's host is open.
+ */
+class CircuitOpenError extends Error {
+  /**
+   * Constructs a new error for a given circuit.
+   * @param {string} key Key of the circuit that is open, such as a URL's origin.
+   * @param {number} retryAfter Amount of time, in milliseconds, until the circuit
+   *  will allow requests again.
+   */
+  constructor(key, retryAfter) {
+    super(
+      `Circuit for ${key} is open, request was not sent. Circuit will allow requests again in ${retryAfter}ms`
+    );
+    this.name = "CircuitOpenError";
+    this.code = "ECIRCUITOPEN";
+    this.key = key;
+    this.retryAfter = retryAfter;
+  }
+}
+
+module.exports = CircuitOpenError;
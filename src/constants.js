@@ -11,4 +11,26 @@ governing permissions and limitations under the License.
 
 module.exports = {
   DEFAULT_TIMEOUT: 60000, // one minute
+  JITTER_NONE: "none",
+  JITTER_FULL: "full",
+  JITTER_EQUAL: "equal",
+  JITTER_DECORRELATED: "decorrelated",
+  IDEMPOTENT_METHODS: ["GET", "HEAD", "OPTIONS", "TRACE", "PUT", "DELETE"],
+  ERROR_CONNECT_TIMEOUT: "connect-timeout",
+  ERROR_READ_TIMEOUT: "read-timeout",
+  ERROR_RESET: "reset",
+  ERROR_REFUSED: "refused",
+  ERROR_DNS: "dns",
+  ERROR_TLS: "tls",
+  ERROR_ABORTED: "aborted",
+  ERROR_UNKNOWN: "unknown",
+  // error categories that are likely to succeed if the request is retried
+  TRANSIENT_ERROR_CATEGORIES: [
+    "connect-timeout",
+    "read-timeout",
+    "reset",
+    "refused",
+  ],
+  // error categories that occur before a request reaches the server
+  CONNECT_ERROR_CATEGORIES: ["connect-timeout", "refused", "dns"],
 };
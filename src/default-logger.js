@@ -9,7 +9,11 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 
-const LEVEL = process.env.NODE_HTTP_CLIENT_LOG_LEVEL;
+// process won't be defined when running in a browser
+const LEVEL =
+  typeof process !== "undefined" && process.env
+    ? process.env.NODE_HTTP_CLIENT_LOG_LEVEL
+    : undefined;
 
 // private methods
 const _consoleLog = Symbol("_consoleLog");
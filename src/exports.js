@@ -12,61 +12,322 @@ governing permissions and limitations under the License.
 const HttpClient = require("./http-client");
 const AxiosBackend = require("./http-backends/axios-backend");
 const FetchBackend = require("./http-backends/fetch-backend");
+const NodeHttpBackend = require("./http-backends/node-http-backend");
+const UndiciBackend = require("./http-backends/undici-backend");
+const XhrBackend = require("./http-backends/xhr-backend");
+const GotBackend = require("./http-backends/got-backend");
+const SuperagentBackend = require("./http-backends/superagent-backend");
+const MockBackend = require("./http-backends/mock-backend");
+const CassetteBackend = require("./http-backends/cassette-backend");
 const HttpBackendInterceptor = require("./http-backend-interceptor");
+const CircuitOpenError = require("./circuit-open-error");
+const HostPausedError = require("./host-paused-error");
+const RetryStrategy = require("./retry-strategies/retry-strategy");
+const ErrorStatusCode = require("./retry-strategies/error-status-code");
+const TooManyRequests = require("./retry-strategies/too-many-requests");
+const NetworkError = require("./retry-strategies/network-error");
+const {
+  all,
+  any,
+  not,
+  forMethods,
+  forUrls,
+} = require("./retry-strategies/combinators");
 const typedefs = require("./typedefs");
 
-const httpClient = new HttpClient();
-
 /**
- * Sets the default global, client-specific request options that will be applied to all
- * requests that go through the client. These options will be merged with options that
- * are provided at the time of a request.
- * @param {typedefs.ClientRequestOptions} options Global options to add to all requests.
- * @returns {void}
+ * Merges the options provided to createCloudClient() with the options provided when
+ * initializing one of the client's HTTP libraries.
+ * @param {typedefs.ClientOptions} defaultOptions Options provided to createCloudClient().
+ * @param {typedefs.ClientOptions} [options] Options provided to the library.
+ * @returns {typedefs.ClientOptions} The merged options.
  */
-module.exports.setGlobalOptions = (options) =>
-  httpClient.setGlobalOptions(options);
+function mergeOptions(defaultOptions, options = {}) {
+  return {
+    ...defaultOptions,
+    ...options,
+  };
+}
 
 /**
- * Clears the cookies that the client is currently using.
- * @returns {Promise} Resolves when the cookies have been cleared.
+ * Creates a new, independent instance of the client. Each instance has its own
+ * global options and its own cookie jar, which are shared by all the HTTP libraries
+ * that the instance initializes, but not with any other instance.
+ * @param {typedefs.ClientOptions} [clientOptions] Options that control how the
+ *  client will behave. The options will be applied to every HTTP library that the
+ *  instance initializes, and can be overridden by the options provided when
+ *  initializing each library.
+ * @returns {*} The client instance, which has the same methods as the module's
+ *  exports (except for createCloudClient()).
  */
-module.exports.clearCookies = () => httpClient.clearCookies();
+function createCloudClient(clientOptions = {}) {
+  const httpClient = new HttpClient();
+  const backendInterceptor = new HttpBackendInterceptor(httpClient);
 
-const backendInterceptor = new HttpBackendInterceptor(httpClient);
+  /**
+   * Registers the client's interceptors with a backend, and adds the client's helper
+   * methods to the backend's export.
+   * @param {*} backend Backend to register.
+   * @returns {*} The backend's export, which can be used to submit HTTP requests.
+   */
+  const registerBackend = (backend) => {
+    const exported = backend.registerInterceptors(backendInterceptor);
+    exported.updateWithConcurrency = (url, mutateFn, options) =>
+      httpClient.updateWithConcurrency(backend, url, mutateFn, options);
+    return exported;
+  };
 
-/**
- * Initializes a new instance of axios that will utilize the HTTP client's
- * functionality. Note that this function will use axios.create() to ensure
- * that the global axios instance isn't modified, so the client's
- * functionality will only apply to the returned axios instance.
- * @param {*} axios Axios import to extend.
- * @param {typedefs.ClientOptions} [options] Options that control how
- *  the client will behave.
- * @returns {*} Axios, which can be used to submit HTTP requests as usual.
- */
-module.exports.axiosClient = (axios, options = {}) => {
-  // creating a new instance of axios because registering interceptors
-  // on the global axios can lead to issues when multiple libraries
-  // are using the client at the same time.
-  const axiosBackend = new AxiosBackend(options, axios.create());
-  return axiosBackend.registerInterceptors(backendInterceptor);
-};
+  return {
+    /**
+     * Sets the default global, client-specific request options that will be applied to all
+     * requests that go through the client. These options will be merged with options that
+     * are provided at the time of a request.
+     * @param {typedefs.ClientRequestOptions} options Global options to add to all requests.
+     * @returns {void}
+     */
+    setGlobalOptions: (options) => httpClient.setGlobalOptions(options),
 
-/**
- * Initializes a new instance of fetch that will utilize the HTTP client's
- * functionality. Note that this function will ensure that the global axios
- * instance isn't modified, so the client's functionality will only apply
- * to the returned fetch function.
- * @param {*} fetch Fetch import to extend.
- * @param {typedefs.ClientOptions} [options] Options that control how
- *  the client will behave.
- * @returns {*} Fetch, which can be used to submit HTTP requests as usual.
- */
-module.exports.fetchClient = (fetch, options = {}) => {
-  // the fetch backend will create its own "instance" of fetch to
-  // modify, so there is no risk of interference if multiple
-  // libraries are using the client at the same time.
-  const fetchBackend = new FetchBackend(options, fetch);
-  return fetchBackend.registerInterceptors(backendInterceptor);
+    /**
+     * Clears the cookies that the client is currently using.
+     * @returns {Promise} Resolves when the cookies have been cleared.
+     */
+    clearCookies: () => httpClient.clearCookies(),
+
+    /**
+     * Retrieves the cookies that the client would include in a request to a given URL.
+     * @param {string} url URL whose cookies should be retrieved.
+     * @returns {Promise<Array<string>>} Resolves with the cookies, as strings.
+     */
+    getCookies: (url) => httpClient.getCookies(url),
+
+    /**
+     * Adds cookies to the client, as if they had been received in the Set-Cookie header
+     * of a response from a given URL.
+     * @param {string} url URL from which the cookies were received.
+     * @param {Array<string>} cookies Unparsed cookie definitions, in the format of a
+     *  Set-Cookie header's value.
+     * @returns {Promise} Resolves when the cookies have been set.
+     */
+    setCookies: (url, cookies) => httpClient.setCookies(url, cookies),
+
+    /**
+     * Retrieves the circuit breaker that tracks failing hosts for all of the
+     * instance's requests. Can be used to listen for "stateChange" events, or to
+     * check or reset the state of a host's circuit.
+     * @returns {*} The instance's circuit breaker.
+     */
+    getCircuitBreaker: () => httpClient.getCircuitBreaker(),
+
+    /**
+     * Retrieves the tracker of hosts that have rate limited the instance's requests.
+     * Can be used to check or end the pause of a host.
+     * @returns {*} The instance's host throttle.
+     */
+    getHostThrottle: () => httpClient.getHostThrottle(),
+
+    /**
+     * Initializes a new instance of axios that will utilize the HTTP client's
+     * functionality. Note that this function will use axios.create() to ensure
+     * that the global axios instance isn't modified, so the client's
+     * functionality will only apply to the returned axios instance.
+     * @param {*} axios Axios import to extend.
+     * @param {typedefs.ClientOptions} [options] Options that control how
+     *  the client will behave.
+     * @returns {*} Axios, which can be used to submit HTTP requests as usual.
+     */
+    axiosClient: (axios, options = {}) => {
+      // creating a new instance of axios because registering interceptors
+      // on the global axios can lead to issues when multiple libraries
+      // are using the client at the same time.
+      const axiosBackend = new AxiosBackend(
+        mergeOptions(clientOptions, options),
+        axios.create()
+      );
+      return registerBackend(axiosBackend);
+    },
+
+    /**
+     * Initializes a new instance of fetch that will utilize the HTTP client's
+     * functionality. Note that this function will ensure that the global axios
+     * instance isn't modified, so the client's functionality will only apply
+     * to the returned fetch function.
+     * @param {*} fetch Fetch import to extend.
+     * @param {typedefs.ClientOptions} [options] Options that control how
+     *  the client will behave.
+     * @returns {*} Fetch, which can be used to submit HTTP requests as usual.
+     */
+    fetchClient: (fetch, options = {}) => {
+      // the fetch backend will create its own "instance" of fetch to
+      // modify, so there is no risk of interference if multiple
+      // libraries are using the client at the same time.
+      const fetchBackend = new FetchBackend(
+        mergeOptions(clientOptions, options),
+        fetch
+      );
+      return registerBackend(fetchBackend);
+    },
+
+    /**
+     * Initializes a new request function that uses Node.JS's built-in http and https
+     * modules to submit requests, and that will utilize the HTTP client's functionality.
+     * The function's signature is similar to fetch's: it accepts a URL and an optional
+     * options object, and resolves with a response regardless of the response's status
+     * code. Responses are fully buffered, and provide status, statusText, headers, ok,
+     * body, text(), and json().
+     * @param {typedefs.ClientOptions} [options] Options that control how
+     *  the client will behave.
+     * @returns {*} Function that can be used to submit HTTP requests.
+     */
+    nodeHttpClient: (options = {}) => {
+      const nodeHttpBackend = new NodeHttpBackend(
+        mergeOptions(clientOptions, options)
+      );
+      return registerBackend(nodeHttpBackend);
+    },
+
+    /**
+     * Initializes a new undici Dispatcher that will utilize the HTTP client's
+     * functionality. The dispatcher can be provided to any of undici's methods, such
+     * as request() or stream(), or registered as undici's global dispatcher. The
+     * client's information about a response will be available in the "context"
+     * property of undici's result.
+     * @param {*} undici Undici import to extend.
+     * @param {typedefs.ClientOptions} [options] Options that control how
+     *  the client will behave. May also contain a "dispatcher" property, which is the
+     *  undici Dispatcher (such as an Agent or Pool) that will be used to send
+     *  requests. If not provided, a new Agent will be used.
+     * @returns {*} Undici Dispatcher, which can be used to submit HTTP requests.
+     */
+    undiciClient: (undici, options = {}) => {
+      // using a new agent by default to ensure that the global dispatcher isn't
+      // modified.
+      const undiciOptions = mergeOptions(clientOptions, options);
+      const { dispatcher = new undici.Agent() } = undiciOptions;
+      const undiciBackend = new UndiciBackend(undiciOptions, dispatcher);
+      return registerBackend(undiciBackend);
+    },
+
+    /**
+     * Initializes a new request function that uses a browser's XMLHttpRequest to
+     * submit requests, and that will utilize the HTTP client's functionality. The
+     * function's signature is similar to fetch's: it accepts a URL and an optional
+     * options object, and resolves with a response regardless of the response's
+     * status code. Cookies are handled by the browser according to the "credentials"
+     * option, so the client's handleCookies option has no effect.
+     * @param {*} XMLHttpRequest XMLHttpRequest class to use, typically
+     *  window.XMLHttpRequest.
+     * @param {typedefs.ClientOptions} [options] Options that control how
+     *  the client will behave.
+     * @returns {*} Function that can be used to submit HTTP requests.
+     */
+    xhrClient: (XMLHttpRequest, options = {}) => {
+      const xhrBackend = new XhrBackend(
+        mergeOptions(clientOptions, options),
+        XMLHttpRequest
+      );
+      return registerBackend(xhrBackend);
+    },
+
+    /**
+     * Initializes a new instance of got that will utilize the HTTP client's
+     * functionality. The given got instance isn't modified; the client's
+     * functionality will only apply to the returned instance, which is an extension
+     * of the given one. Client request options are provided in a "cloudClient"
+     * property of got's options.
+     * @param {*} got Got import to extend.
+     * @param {typedefs.ClientOptions} [options] Options that control how
+     *  the client will behave.
+     * @returns {*} Got instance, which can be used to submit HTTP requests as usual.
+     */
+    gotClient: (got, options = {}) => {
+      const gotBackend = new GotBackend(
+        mergeOptions(clientOptions, options),
+        got
+      );
+      return registerBackend(gotBackend);
+    },
+
+    /**
+     * Initializes a new superagent agent that will utilize the HTTP client's
+     * functionality. The given superagent instance isn't modified; the client's
+     * functionality will only apply to requests sent using the returned agent.
+     * Client request options are provided using a cloudClient() method that's
+     * available on each of the agent's requests.
+     * @param {*} superagent Superagent import to extend.
+     * @param {typedefs.ClientOptions} [options] Options that control how
+     *  the client will behave.
+     * @returns {*} Superagent agent, which can be used to submit HTTP requests as usual.
+     */
+    superagentClient: (superagent, options = {}) => {
+      const superagentBackend = new SuperagentBackend(
+        mergeOptions(clientOptions, options),
+        superagent
+      );
+      return registerBackend(superagentBackend);
+    },
+
+    /**
+     * Initializes a new request function that doesn't perform any HTTP communication.
+     * Requests are matched against a table of routes, and receive the scripted
+     * responses that the routes provide. Requests still utilize the HTTP client's
+     * functionality, such as retry strategies and cookie handling, so the function
+     * is useful for unit testing code that uses the client. The function's
+     * signature is similar to fetch's.
+     *
+     * The function also has a getAttempts() method, which provides every attempt the
+     * function has received, and a reset() method, which clears the attempts and
+     * restarts each route's sequence of responses.
+     * @param {Array<typedefs.MockRoute>} routes Routes that requests will be matched
+     *  against. The first matching route will provide the response.
+     * @param {typedefs.ClientOptions} [options] Options that control how
+     *  the client will behave.
+     * @returns {*} Function that can be used to submit mock HTTP requests.
+     */
+    mockClient: (routes, options = {}) => {
+      const mockBackend = new MockBackend(
+        mergeOptions(clientOptions, options),
+        routes
+      );
+      return registerBackend(mockBackend);
+    },
+
+    /**
+     * Initializes a new request function that records HTTP interactions to, or replays
+     * them from, a cassette file. When recording, requests are sent using Node.JS's
+     * built-in http and https modules, and every attempt of a request (including
+     * retries) is written to the cassette. When replaying, requests receive the
+     * recorded responses without any HTTP communication, and will fail if the
+     * cassette doesn't contain a matching interaction. The function's signature and
+     * responses are the same as those of nodeHttpClient().
+     * @param {typedefs.CassetteOptions} cassetteOptions Options controlling the cassette.
+     * @param {typedefs.ClientOptions} [options] Options that control how
+     *  the client will behave.
+     * @returns {*} Function that can be used to submit HTTP requests.
+     */
+    cassetteClient: (cassetteOptions, options = {}) => {
+      const cassetteBackend = new CassetteBackend(
+        mergeOptions(clientOptions, options),
+        cassetteOptions
+      );
+      return registerBackend(cassetteBackend);
+    },
+  };
+}
+
+// the module's exports are a default instance of the client, which is shared by
+// everything in the process that uses the exports directly
+module.exports = {
+  ...createCloudClient(),
+  createCloudClient,
+  CircuitOpenError,
+  HostPausedError,
+  RetryStrategy,
+  ErrorStatusCode,
+  TooManyRequests,
+  NetworkError,
+  all,
+  any,
+  not,
+  forMethods,
+  forUrls,
 };
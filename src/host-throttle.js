@@ -0,0 +1,118 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const HttpOptions = require("./http-options");
+
+const PRIVATE = Symbol("PRIVATE");
+
+/**
+ * Tracks hosts that have rate limited the client, so that requests to a host can be
+ * paused for as long as its rate limit is active.
+ *
+ * When a request receives a 429 (Too Many Requests) response whose headers indicate
+ * how long to wait, the response's host is paused for that amount of time. The client
+ * holds requests to a paused host, including retries, until the pause ends, so that
+ * concurrent requests don't each need to receive their own 429 response.
+ */
+class HostThrottle {
+  constructor() {
+    this[PRIVATE] = {
+      pauses: {},
+    };
+  }
+
+  /**
+   * Retrieves the amount of time remaining in a host's pause.
+   * @param {string} key Key of the host, such as a URL's origin.
+   * @returns {number} Time span in milliseconds, or 0 if the host isn't paused.
+   */
+  getPauseTime(key) {
+    const pausedUntil = this[PRIVATE].pauses[key];
+    if (!pausedUntil) {
+      return 0;
+    }
+    const remaining = pausedUntil - new Date().getTime();
+    if (remaining <= 0) {
+      delete this[PRIVATE].pauses[key];
+      return 0;
+    }
+    return remaining;
+  }
+
+  /**
+   * Pauses requests to a host. A host that's already paused for longer than the
+   * given amount of time won't be modified.
+   * @param {string} key Key of the host, such as a URL's origin.
+   * @param {number} duration Amount of time, in milliseconds, to pause the host.
+   */
+  pause(key, duration) {
+    const pausedUntil = new Date().getTime() + duration;
+    this[PRIVATE].pauses[key] = Math.max(
+      this[PRIVATE].pauses[key] || 0,
+      pausedUntil
+    );
+  }
+
+  /**
+   * Ends the pause of a host. If no key is provided, the pauses of all hosts will
+   * end.
+   * @param {string} [key] Key of the host to reset.
+   */
+  reset(key) {
+    if (key === undefined) {
+      this[PRIVATE].pauses = {};
+    } else {
+      delete this[PRIVATE].pauses[key];
+    }
+  }
+
+  /**
+   * Retrieves the amount of time that a request must wait before it's sent, because
+   * its host is paused.
+   * @param {HttpOptions} httpOptions Options of the request being sent.
+   * @returns {number} Time span in milliseconds, or 0 if the request can be sent
+   *  immediately. Always 0 if the request's throttling is disabled.
+   */
+  getWaitTime(httpOptions) {
+    const options = httpOptions.getThrottlingOptions();
+    if (!options || !options.pauseHost) {
+      return 0;
+    }
+    return this.getPauseTime(httpOptions.getOrigin());
+  }
+
+  /**
+   * Pauses the host of a request that received a 429 response. Does nothing if the
+   * request's throttling is disabled, or if the server's requested wait time is
+   * unknown or longer than the request allows.
+   * @param {HttpOptions} httpOptions Options of the request that was sent.
+   * @param {number} retryAfter Amount of time, in milliseconds, that the server
+   *  requested the client to wait. 0 if the server didn't request a wait time.
+   */
+  recordRateLimit(httpOptions, retryAfter) {
+    const options = httpOptions.getThrottlingOptions();
+    if (!options || !options.pauseHost) {
+      return;
+    }
+    const maxRetryAfter = httpOptions.getMaxRetryAfter();
+    if (!retryAfter || (retryAfter > maxRetryAfter && maxRetryAfter >= 0)) {
+      // without a usable wait time, the request's own retry delay will apply instead
+      return;
+    }
+    const key = httpOptions.getOrigin();
+    httpOptions.logWarn(
+      `${key} responded with 429, pausing requests to the host for ${retryAfter}ms`
+    );
+    this.pause(key, retryAfter);
+  }
+}
+
+module.exports = HostThrottle;
@@ -81,7 +81,7 @@ class HttpBackendInterceptor {
     );
 
     if (retryOptions) {
-      return backend.submitRequest(retryOptions);
+      return client.submitRetry(backend, config, retryOptions, response);
     }
 
     return client.getClientResponse(backend, config, response);
@@ -117,7 +117,7 @@ class HttpBackendInterceptor {
     );
 
     if (retryOptions) {
-      return backend.submitRequest(retryOptions);
+      return client.submitRetry(backend, config, retryOptions, response);
     }
 
     if (response) {
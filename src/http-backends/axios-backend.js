@@ -11,6 +11,7 @@ governing permissions and limitations under the License.
 
 const HttpBackend = require("./http-backend");
 const AxiosHttpOptions = require("./axios-http-options");
+const AxiosHttpResponse = require("./axios-http-response");
 const typedefs = require("../typedefs");
 
 const PRIVATE = Symbol("PRIVATE");
@@ -96,6 +97,8 @@ class AxiosBackend extends HttpBackend {
     // consumer
     if (!timeout) {
       timeout = options.getTimeout();
+    } else {
+      timeout = options.fitTimeToDeadline(timeout);
     }
 
     return {
@@ -133,6 +136,10 @@ class AxiosBackend extends HttpBackend {
   createHttpOptions(options) {
     return new AxiosHttpOptions(options, this.getClientOptions());
   }
+
+  createHttpResponse(response, error) {
+    return new AxiosHttpResponse(response, error);
+  }
 }
 
 module.exports = AxiosBackend;
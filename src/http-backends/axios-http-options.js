@@ -11,10 +11,70 @@ governing permissions and limitations under the License.
 
 const HttpOptions = require("../http-options");
 
+// options are re-created throughout a request's lifecycle, so the signal that
+// represents a cancel token is remembered to ensure it's only created once
+const cancelTokenSignals = new WeakMap();
+
+/**
+ * Retrieves an AbortSignal that will be aborted when an axios CancelToken is
+ * cancelled, or when a given signal is aborted.
+ * @param {*} cancelToken Axios CancelToken to represent.
+ * @param {AbortSignal} [signal] If provided, an additional signal that will abort
+ *  the returned signal.
+ * @returns {AbortSignal} Signal representing the cancel token.
+ */
+function getCancelTokenSignal(cancelToken, signal) {
+  if (!cancelTokenSignals.has(cancelToken)) {
+    const controller = new AbortController();
+    const abort = (reason) => {
+      if (!controller.signal.aborted) {
+        controller.abort(reason);
+      }
+    };
+    if (cancelToken.reason) {
+      abort(cancelToken.reason);
+    } else {
+      cancelToken.promise.then(abort);
+    }
+    if (signal) {
+      if (signal.aborted) {
+        abort(signal.reason);
+      } else {
+        signal.addEventListener("abort", () => abort(signal.reason));
+      }
+    }
+    cancelTokenSignals.set(cancelToken, controller.signal);
+  }
+  return cancelTokenSignals.get(cancelToken);
+}
+
 class AxiosHttpOptions extends HttpOptions {
+  getAbortSignal() {
+    const { signal, cancelToken } = this.getOptions();
+    if (cancelToken) {
+      return getCancelTokenSignal(cancelToken, signal);
+    }
+    return signal;
+  }
+
+  getBody() {
+    const { data } = this.getOptions();
+    return data;
+  }
+
+  setBody(data) {
+    this.setRequestOptions({ data });
+  }
+
   toJSON() {
     const options = super.toJSON();
-    const propertiesToDelete = ["env", "transformRequest", "transformResponse"];
+    const propertiesToDelete = [
+      "env",
+      "transformRequest",
+      "transformResponse",
+      "signal",
+      "cancelToken",
+    ];
 
     propertiesToDelete.forEach((toDelete) => {
       if (options[toDelete]) {
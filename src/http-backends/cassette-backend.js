@@ -0,0 +1,182 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const HttpBackend = require("./http-backend");
+const NodeHttpBackend = require("./node-http-backend");
+const Cassette = require("../cassette");
+const typedefs = require("../typedefs");
+
+const PRIVATE = Symbol("PRIVATE");
+const _request = Symbol("_request");
+const _record = Symbol("_record");
+
+/**
+ * Creates a response, in the same form as the node http backend's responses, from a
+ * response that was recorded in a cassette.
+ * @param {*} recorded Response as recorded in the cassette.
+ * @returns {*} Buffered response.
+ */
+function createReplayResponse(recorded) {
+  const { status, statusText, headers = {}, body = "", encoding } = recorded;
+  const buffer = Buffer.from(body, encoding === "base64" ? "base64" : "utf8");
+  return {
+    status,
+    statusText,
+    headers,
+    ok: status >= 200 && status < 300,
+    body: buffer,
+    text: async () => buffer.toString(),
+    json: async () => JSON.parse(buffer.toString()),
+  };
+}
+
+/**
+ * Creates an error from an error that was recorded in a cassette.
+ * @param {*} recorded Error as recorded in the cassette.
+ * @returns {Error} The error.
+ */
+function createReplayError(recorded) {
+  const { name, message, code } = recorded;
+  const error = new Error(message);
+  if (name) {
+    error.name = name;
+  }
+  if (code) {
+    error.code = code;
+  }
+  return error;
+}
+
+/**
+ * Reprents a backend that records and replays HTTP interactions using a cassette.
+ * When recording, each attempt of a request (including retries) is sent using
+ * Node.JS's http and https modules, then written to the cassette. When replaying,
+ * attempts receive the responses recorded in the cassette, and there is no HTTP
+ * communication at all.
+ *
+ * Requests are submitted using the same signature, and receive the same responses,
+ * as the node http backend.
+ */
+class CassetteBackend extends HttpBackend {
+  /**
+   * Constructs a new instance of the cassette backend.
+   * @param {typedefs.ClientOptions} options Options for controlling how the backend behaves.
+   * @param {typedefs.CassetteOptions} cassetteOptions Options for the cassette that will
+   *  record or replay the backend's interactions.
+   */
+  constructor(options, cassetteOptions) {
+    super(options);
+    this[PRIVATE] = {
+      cassette: new Cassette(cassetteOptions),
+      // the node http backend's default interceptor simply sends each request
+      // without any of the client's functionality
+      nodeHttpBackend: new NodeHttpBackend(options),
+      interceptor: {
+        interceptRequest: (backend, config) => config,
+        interceptResponse: (backend, config, response) => response,
+        interceptResponseError: (backend, config, error) => {
+          throw error;
+        },
+      },
+    };
+  }
+
+  registerInterceptors(interceptor) {
+    this[PRIVATE].interceptor = interceptor;
+    return (url, config = {}) => {
+      if (typeof url === "string" || url instanceof URL) {
+        return this[_request](String(url), config);
+      }
+
+      // first argument is an object containing everything
+      return this.submitRequest(url);
+    };
+  }
+
+  async submitRequest(options) {
+    const requestOptions = {
+      ...options,
+    };
+    const { url } = requestOptions;
+    delete requestOptions.url;
+
+    return this[_request](String(url), requestOptions);
+  }
+
+  getSetCookies(response) {
+    return this[PRIVATE].nodeHttpBackend.getSetCookies(response);
+  }
+
+  createHttpOptions(options) {
+    return this[PRIVATE].nodeHttpBackend.createHttpOptions(options);
+  }
+
+  /**
+   * Submits a request by either recording or replaying it.
+   * @param {string} url URL to which the request will be submitted.
+   * @param {*} config Request options, as supported by the node http backend.
+   * @returns {Promise<*>} Resolves with the HTTP response.
+   */
+  async [_request](url, config) {
+    const { cassette, interceptor } = this[PRIVATE];
+    const newConfig = await interceptor.interceptRequest(this, {
+      ...config,
+      url,
+    });
+
+    // a request that isn't in the cassette fails immediately, without going
+    // through the client's retry strategies
+    const interaction = cassette.isRecording()
+      ? undefined
+      : await cassette.findInteraction(newConfig);
+
+    let response;
+    let error;
+    try {
+      if (!interaction) {
+        response = await this[_record](newConfig);
+      } else if (interaction.error) {
+        error = createReplayError(interaction.error);
+      } else {
+        response = createReplayResponse(interaction.response);
+      }
+    } catch (e) {
+      error = e;
+    }
+
+    if (response) {
+      return interceptor.interceptResponse(this, newConfig, response);
+    }
+    return interceptor.interceptResponseError(this, newConfig, error);
+  }
+
+  /**
+   * Does the work of sending a request using the node http backend, and recording
+   * the result in the cassette.
+   * @param {*} config Request options, including a "url".
+   * @returns {Promise<*>} Resolves with the buffered response.
+   */
+  async [_record](config) {
+    const { cassette, nodeHttpBackend } = this[PRIVATE];
+
+    let response;
+    try {
+      response = await nodeHttpBackend.submitRequest(config);
+    } catch (e) {
+      await cassette.recordInteraction(config, undefined, e);
+      throw e;
+    }
+    await cassette.recordInteraction(config, response);
+    return response;
+  }
+}
+
+module.exports = CassetteBackend;
@@ -20,6 +20,21 @@ const typedefs = require("../typedefs");
 const PRIVATE = Symbol("PRIVATE");
 const _fetch = Symbol("PRIVATE");
 
+/**
+ * Creates the error that a request will fail with when it exceeds the client's
+ * timeout. Fetch only provides a generic abort error in this case.
+ * @param {number} timeout The timeout, in milliseconds, that the request exceeded.
+ * @param {*} abortError The error that fetch provided when the request was aborted.
+ * @returns {Error} The timeout error.
+ */
+function createTimeoutError(timeout, abortError) {
+  const error = new Error(`timeout of ${timeout}ms exceeded`);
+  error.name = "TimeoutError";
+  error.code = "ETIMEDOUT";
+  error.cause = abortError;
+  return error;
+}
+
 /**
  * Reprents a backend that uses fetch as the HTTP library for performing HTTP
  * communications.
@@ -104,23 +119,42 @@ class FetchBackend extends HttpBackend {
     const httpOptions = this.createHttpOptions(newConfig);
 
     const controller = new AbortController();
-    newConfig.signal = controller.signal;
 
     // abort the request after the specified timeout
-    const timeoutId = setTimeout(
-      () => controller.abort(),
-      httpOptions.getTimeout()
-    );
+    const timeout = httpOptions.getTimeout();
+    let timedOut = false;
+    const timeoutId = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+
+    // also abort the request if the caller's signal aborts. the caller's signal
+    // remains in the config so that it applies to any retries.
+    const callerSignal = httpOptions.getAbortSignal();
+    const onCallerAbort = () => controller.abort(callerSignal.reason);
+    if (callerSignal) {
+      if (callerSignal.aborted) {
+        onCallerAbort();
+      } else {
+        callerSignal.addEventListener("abort", onCallerAbort);
+      }
+    }
 
     let response;
     let error;
     try {
-      response = await fetch(newUrl, newConfig);
+      response = await fetch(newUrl, {
+        ...newConfig,
+        signal: controller.signal,
+      });
     } catch (e) {
-      error = e;
+      error = timedOut ? createTimeoutError(timeout, e) : e;
     } finally {
       // make sure the timeout for aborting the request is always cleared
       clearTimeout(timeoutId);
+      if (callerSignal) {
+        callerSignal.removeEventListener("abort", onCallerAbort);
+      }
     }
 
     const mergedConfig = {
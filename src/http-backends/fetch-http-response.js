@@ -9,8 +9,15 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 
+const { Readable } = require("stream");
+
 const HttpResponse = require("../http-response");
 
+// statuses whose responses can't have a body
+const NULL_BODY_STATUSES = [204, 205, 304];
+
+const BUFFERED = Symbol("BUFFERED");
+
 class FetchHttpResponse extends HttpResponse {
   getHeaders() {
     const { headers } = this.getRawResponse();
@@ -23,6 +30,84 @@ class FetchHttpResponse extends HttpResponse {
     }
     return headerLookup;
   }
+
+  async readBody() {
+    const rawResponse = this.getRawResponse();
+    if (rawResponse[BUFFERED] !== undefined) {
+      // reading the buffered body again doesn't use the consumer's copy of it
+      return rawResponse[BUFFERED];
+    }
+    if (typeof rawResponse.arrayBuffer !== "function" || rawResponse.bodyUsed) {
+      return "";
+    }
+    // implementations such as node-fetch provide the body as a node stream, which the
+    // re-exposed body needs to match
+    const { body: originalBody } = rawResponse;
+    const isNodeStream =
+      !!originalBody && typeof originalBody.pipe === "function";
+
+    // fetch bodies can only be read once, and some implementations won't provide a
+    // clone's body until the original has been read. buffer the body instead, then
+    // re-expose it through the response's body methods so that the consumer can
+    // still read it.
+    const buffer = await rawResponse.arrayBuffer();
+    const text = new TextDecoder().decode(buffer);
+    Object.defineProperty(rawResponse, BUFFERED, { value: text });
+    let used = false;
+    const reading =
+      (read) =>
+      (...args) => {
+        used = true;
+        return read(...args);
+      };
+    rawResponse.arrayBuffer = reading(async () => buffer.slice(0));
+    rawResponse.text = reading(async () => text);
+    rawResponse.json = reading(async () => JSON.parse(text));
+    if (typeof rawResponse.buffer === "function") {
+      rawResponse.buffer = reading(async () => Buffer.from(buffer));
+    }
+
+    let copyResponse;
+    if (typeof Response === "function") {
+      // the remaining body methods are provided by a new response with the buffered
+      // body. responses with a null body status can't have a body, even an empty one.
+      const { status, statusText, headers } = rawResponse;
+      const hasBody = buffer.byteLength && !NULL_BODY_STATUSES.includes(status);
+      copyResponse = () =>
+        new Response(hasBody ? buffer.slice(0) : null, {
+          status,
+          statusText,
+          headers,
+        });
+      rawResponse.blob = reading(() => copyResponse().blob());
+      rawResponse.formData = reading(() => copyResponse().formData());
+    }
+
+    let bodyStream;
+    if (isNodeStream || copyResponse) {
+      Object.defineProperty(rawResponse, "body", {
+        configurable: true,
+        get: () => {
+          if (!bodyStream) {
+            bodyStream = isNodeStream
+              ? Readable.from(buffer.byteLength ? [Buffer.from(buffer)] : [])
+              : copyResponse().body;
+          }
+          return bodyStream;
+        },
+      });
+    }
+    Object.defineProperty(rawResponse, "bodyUsed", {
+      configurable: true,
+      get: () => {
+        if (used || !bodyStream) {
+          return used;
+        }
+        return isNodeStream ? bodyStream.readableDidRead : bodyStream.locked;
+      },
+    });
+    return text;
+  }
 }
 
 module.exports = FetchHttpResponse;
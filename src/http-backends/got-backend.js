@@ -0,0 +1,178 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const HttpBackend = require("./http-backend");
+const typedefs = require("../typedefs");
+
+const PRIVATE = Symbol("PRIVATE");
+const _request = Symbol("_request");
+
+// got options that will be included in the client's request config, so that
+// they're re-sent when retrying a request
+const REQUEST_PROPERTIES = [
+  "method",
+  "headers",
+  "body",
+  "json",
+  "form",
+  "responseType",
+];
+
+/**
+ * Got's responses only provide statusCode and statusMessage. Adds status and
+ * statusText to a response so that it matches what the client's retry strategies
+ * expect.
+ * @param {*} response Response as provided by got.
+ * @returns {*} The given response.
+ */
+function addResponseStatus(response) {
+  if (response && response.status === undefined) {
+    response.status = response.statusCode;
+    response.statusText = response.statusMessage;
+  }
+  return response;
+}
+
+/**
+ * Got's promise shortcuts, such as got(url).json(), aren't available on a
+ * promise returned by an asynchronous handler. Adds equivalent shortcuts to such
+ * a promise.
+ * @param {Promise<*>} promise Promise that will resolve with a got response.
+ * @returns {Promise<*>} The given promise.
+ */
+function addPromiseShortcuts(promise) {
+  promise.text = async () => String((await promise).body);
+  promise.json = async () => JSON.parse(await promise.text());
+  promise.buffer = async () => Buffer.from((await promise).body);
+  return promise;
+}
+
+/**
+ * Reprents a backend that uses got as the HTTP library for performing HTTP
+ * communications. The backend plugs into got as a handler of an extended got
+ * instance. Got's own retry functionality is disabled so that it doesn't
+ * interfere with the client's.
+ *
+ * Streams created with got.stream() don't go through the client.
+ */
+class GotBackend extends HttpBackend {
+  /**
+   * Constructs a new instance of the got backend, based on an instance of the
+   * got library itself.
+   * @param {typedefs.ClientOptions} options Options for controlling how the backend behaves.
+   * @param {*} gotInstance Got instance on which to base the backend.
+   */
+  constructor(options, gotInstance) {
+    super(options);
+    this[PRIVATE] = {
+      got: gotInstance.extend({ retry: 0 }),
+    };
+  }
+
+  registerInterceptors(interceptor) {
+    const { got } = this[PRIVATE];
+    this[PRIVATE].got = got.extend({
+      handlers: [
+        (options, next) => {
+          if (options.isStream) {
+            return next(options);
+          }
+          return addPromiseShortcuts(
+            this[_request](interceptor, options, next)
+          );
+        },
+      ],
+    });
+    return this[PRIVATE].got;
+  }
+
+  async submitRequest(options) {
+    const { got } = this[PRIVATE];
+    const gotOptions = {
+      ...options,
+    };
+    const { url } = gotOptions;
+    delete gotOptions.url;
+
+    return addResponseStatus(await got(url, gotOptions));
+  }
+
+  getErrorResponse(httpOptions, error) {
+    const { response } = error;
+    if (response) {
+      httpOptions.logWarn(
+        `request failed with got error status code ${response.statusCode}`
+      );
+    } else {
+      httpOptions.logWarn("request failed with unknown error type", error);
+    }
+    return addResponseStatus(response);
+  }
+
+  getSetCookies(response) {
+    const { headers = {} } = response;
+    const setCookie = headers["set-cookie"];
+    if (setCookie) {
+      return Array.isArray(setCookie) ? setCookie : [setCookie];
+    }
+    return [];
+  }
+
+  /**
+   * Runs a request through the interceptor and submits it using got.
+   * @param {*} interceptor Interceptor that was registered with the backend.
+   * @param {*} options Normalized got options, as provided to a handler.
+   * @param {Function} next Got's next handler, which will submit the request.
+   * @returns {Promise<*>} Resolves with the final response to the request.
+   */
+  async [_request](interceptor, options, next) {
+    const config = {
+      url: options.url.href,
+      cloudClient: options.cloudClient,
+    };
+    REQUEST_PROPERTIES.forEach((property) => {
+      if (options[property] !== undefined) {
+        config[property] = options[property];
+      }
+    });
+
+    const newConfig = await interceptor.interceptRequest(this, config);
+    const httpOptions = this.createHttpOptions(newConfig);
+    options.cloudClient = newConfig.cloudClient;
+
+    // the client may have changed the request, such as by creating a new body
+    REQUEST_PROPERTIES.forEach((property) => {
+      if (newConfig[property] !== config[property]) {
+        options[property] = newConfig[property];
+      }
+    });
+
+    // only add a timeout if one wasn't already specified by the consumer
+    if (!Object.keys(options.timeout || {}).length) {
+      options.timeout = { request: httpOptions.getTimeout() };
+    }
+
+    let response;
+    let error;
+    try {
+      response = addResponseStatus(await next(options));
+    } catch (e) {
+      error = e;
+    }
+
+    if (response) {
+      return interceptor.interceptResponse(this, newConfig, response);
+    }
+    return interceptor.interceptResponseError(this, newConfig, error);
+  }
+}
+
+module.exports = GotBackend;
@@ -0,0 +1,283 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const HttpBackend = require("./http-backend");
+const typedefs = require("../typedefs");
+
+const PRIVATE = Symbol("PRIVATE");
+const _request = Symbol("_request");
+const _findRoute = Symbol("_findRoute");
+const _getNextResponse = Symbol("_getNextResponse");
+
+/**
+ * Determines whether a value matches a pattern provided in a mock route.
+ * @param {string|RegExp|Function} pattern If a string, the value must be equal to
+ *  the pattern. If a RegExp, the value must match the expression. If a function,
+ *  the function will receive the value and must return true.
+ * @param {*} value Value to match against the pattern.
+ * @returns {boolean} True if the value matches, false otherwise.
+ */
+function matchesPattern(pattern, value) {
+  if (pattern instanceof RegExp) {
+    return value !== undefined && pattern.test(String(value));
+  } else if (typeof pattern === "function") {
+    return !!pattern(value);
+  }
+  return String(pattern) === value;
+}
+
+/**
+ * Converts request headers to a simple object whose header names are lowercase.
+ * @param {object} [headers] Headers to convert.
+ * @returns {object} Simple object containing the headers.
+ */
+function normalizeHeaders(headers = {}) {
+  const normalized = {};
+  Object.keys(headers).forEach((name) => {
+    normalized[name.toLowerCase()] = headers[name];
+  });
+  return normalized;
+}
+
+/**
+ * Creates the error that a scripted mock response will reject with.
+ * @param {Error|string|object} error If an Error, it will be used as-is. If a string,
+ *  the message of a new Error. If an object, properties to apply to a new Error, such
+ *  as "message" and "code". Unless otherwise specified, new Errors have a code of
+ *  "ECONNRESET", so they're treated as network errors.
+ * @returns {Error} The error to reject with.
+ */
+function createMockError(error) {
+  if (error instanceof Error) {
+    return error;
+  }
+  const {
+    message = "mock network error",
+    code = "ECONNRESET",
+    ...properties
+  } = typeof error === "string" ? { message: error } : error;
+  return Object.assign(new Error(message), { code }, properties);
+}
+
+/**
+ * Creates a fetch-like response from a scripted mock response.
+ * @param {string} url URL of the request that's receiving the response.
+ * @param {*} mockResponse Scripted response, as provided in a mock route.
+ * @returns {*} Fetch-like response.
+ */
+function createMockResponse(url, mockResponse) {
+  const {
+    status = 200,
+    statusText = "",
+    headers = {},
+    body = "",
+  } = mockResponse;
+  const responseHeaders = normalizeHeaders(headers);
+  let text = body;
+  if (Buffer.isBuffer(body)) {
+    text = body.toString();
+  } else if (typeof body === "object" && body !== null) {
+    text = JSON.stringify(body);
+    if (!responseHeaders["content-type"]) {
+      responseHeaders["content-type"] = "application/json";
+    }
+  }
+
+  return {
+    status,
+    statusText,
+    headers: responseHeaders,
+    ok: status >= 200 && status < 300,
+    url,
+    body: String(text),
+    text: async () => String(text),
+    json: async () => JSON.parse(text),
+  };
+}
+
+/**
+ * Reprents a backend that doesn't perform any HTTP communication at all. Instead,
+ * requests are matched against a table of routes, each of which provides a
+ * scripted sequence of responses. Requests are submitted using a fetch-like
+ * signature, and still go through the client's retry strategies, cookie handling,
+ * and response metadata.
+ *
+ * Intended for use in consumers' unit tests.
+ */
+class MockBackend extends HttpBackend {
+  /**
+   * Constructs a new instance of the mock backend.
+   * @param {typedefs.ClientOptions} options Options for controlling how the backend behaves.
+   * @param {Array<typedefs.MockRoute>} routes Routes that requests will be matched
+   *  against. The first matching route will provide the response.
+   * @throws {Error} If a route's responses aren't a non-empty array.
+   */
+  constructor(options, routes = []) {
+    super(options);
+    routes.forEach(({ url, responses }, index) => {
+      if (
+        responses !== undefined &&
+        (!Array.isArray(responses) || !responses.length)
+      ) {
+        throw new Error(
+          `Mock route ${index} (${url}) must provide a non-empty array of responses`
+        );
+      }
+    });
+    this[PRIVATE] = {
+      routes,
+      responseCounts: routes.map(() => 0),
+      attempts: [],
+      interceptor: {
+        interceptRequest: (backend, config) => config,
+        interceptResponse: (backend, config, response) => response,
+        interceptResponseError: (backend, config, error) => {
+          throw error;
+        },
+      },
+    };
+  }
+
+  registerInterceptors(interceptor) {
+    this[PRIVATE].interceptor = interceptor;
+    const mockFetch = (url, config = {}) => this[_request](String(url), config);
+    mockFetch.getAttempts = () => this.getAttempts();
+    mockFetch.reset = () => this.reset();
+    return mockFetch;
+  }
+
+  async submitRequest(options) {
+    const mockOptions = {
+      ...options,
+    };
+    const { url } = mockOptions;
+    delete mockOptions.url;
+
+    return this[_request](url, mockOptions);
+  }
+
+  getSetCookies(response) {
+    const { headers = {} } = response;
+    const setCookie = headers["set-cookie"];
+    if (setCookie) {
+      return Array.isArray(setCookie) ? setCookie : [setCookie];
+    }
+    return [];
+  }
+
+  /**
+   * Retrieves every attempt that the backend has received, in the order they
+   * were received. Each retry of a request is its own attempt.
+   * @returns {Array<typedefs.MockAttempt>} The backend's attempts.
+   */
+  getAttempts() {
+    return [...this[PRIVATE].attempts];
+  }
+
+  /**
+   * Clears the backend's recorded attempts, and restarts each route's response
+   * sequence from its first response.
+   */
+  reset() {
+    const { routes } = this[PRIVATE];
+    this[PRIVATE].attempts = [];
+    this[PRIVATE].responseCounts = routes.map(() => 0);
+  }
+
+  /**
+   * Finds the mock route that should be used to respond to a request, and provides
+   * the route's next response.
+   * @param {string} url URL to which the request will be submitted.
+   * @param {*} config Fetch-like request options.
+   * @returns {Promise<*>} Resolves with the fetch-like response.
+   */
+  async [_request](url, config) {
+    const { interceptor, attempts } = this[PRIVATE];
+    const newConfig = await interceptor.interceptRequest(this, {
+      ...config,
+      url,
+    });
+
+    const { url: newUrl, body } = newConfig;
+    const method = String(newConfig.method || "GET").toUpperCase();
+    const headers = normalizeHeaders(newConfig.headers);
+    const attempt = { method, url: newUrl, headers, body };
+    attempts.push(attempt);
+
+    const routeIndex = this[_findRoute](method, newUrl, headers);
+    if (routeIndex < 0) {
+      // fail loudly, and don't give retry strategies a chance to hide the problem
+      throw new Error(`No mock route matches request ${method} ${newUrl}`);
+    }
+
+    const mockResponse = this[_getNextResponse](routeIndex);
+    let response;
+    let error;
+    if (mockResponse.error) {
+      error = createMockError(mockResponse.error);
+      attempt.error = error;
+    } else {
+      response = createMockResponse(newUrl, mockResponse);
+      attempt.status = response.status;
+    }
+
+    if (response) {
+      return interceptor.interceptResponse(this, newConfig, response);
+    }
+    return interceptor.interceptResponseError(this, newConfig, error);
+  }
+
+  /**
+   * Finds the first route that matches a request.
+   * @param {string} method HTTP method of the request, in uppercase.
+   * @param {string} url URL of the request.
+   * @param {object} headers Headers of the request, with lowercase names.
+   * @returns {number} Index of the matching route, or -1 if no route matches.
+   */
+  [_findRoute](method, url, headers) {
+    const { routes } = this[PRIVATE];
+    return routes.findIndex((route) => {
+      const {
+        method: routeMethod,
+        url: routeUrl,
+        headers: routeHeaders = {},
+      } = route;
+      if (routeMethod && String(routeMethod).toUpperCase() !== method) {
+        return false;
+      }
+      if (routeUrl !== undefined && !matchesPattern(routeUrl, url)) {
+        return false;
+      }
+      return Object.keys(routeHeaders).every((name) =>
+        matchesPattern(routeHeaders[name], headers[name.toLowerCase()])
+      );
+    });
+  }
+
+  /**
+   * Retrieves the next response in a route's sequence of responses. Once a route
+   * has provided all of its responses, it will continue to provide the last one.
+   * @param {number} routeIndex Index of the route whose response will be provided.
+   * @returns {*} Scripted response, as provided in the route.
+   */
+  [_getNextResponse](routeIndex) {
+    const { routes, responseCounts } = this[PRIVATE];
+    const { responses = [{}] } = routes[routeIndex];
+    const responseIndex = Math.min(
+      responseCounts[routeIndex],
+      responses.length - 1
+    );
+    responseCounts[routeIndex] += 1;
+    return responses[responseIndex];
+  }
+}
+
+module.exports = MockBackend;
@@ -0,0 +1,207 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const http = require("http");
+const https = require("https");
+const { pipeline } = require("stream");
+
+const HttpBackend = require("./http-backend");
+const NodeHttpOptions = require("./node-http-options");
+const typedefs = require("../typedefs");
+
+const PRIVATE = Symbol("PRIVATE");
+const _request = Symbol("_request");
+const _send = Symbol("_send");
+
+/**
+ * Reprents a backend that uses Node.JS's built-in http and https modules for
+ * performing HTTP communications. The backend has no third-party dependencies.
+ *
+ * Requests are submitted using a fetch-like signature, and responses are fully
+ * buffered before being provided to the consumer.
+ */
+class NodeHttpBackend extends HttpBackend {
+  /**
+   * Constructs a new instance of the node http backend.
+   * @param {typedefs.ClientOptions} options Options for controlling how the backend behaves.
+   */
+  constructor(options) {
+    super(options);
+    this[PRIVATE] = {
+      interceptor: {
+        interceptRequest: (backend, config) => config,
+        interceptResponse: (backend, config, response) => response,
+        interceptResponseError: (backend, config, error) => {
+          throw error;
+        },
+      },
+    };
+  }
+
+  registerInterceptors(interceptor) {
+    this[PRIVATE].interceptor = interceptor;
+    return (url, config = {}) => {
+      if (typeof url === "string" || url instanceof URL) {
+        return this[_request](String(url), config);
+      }
+
+      // first argument is an object containing everything
+      const options = { ...url };
+      const { url: requestUrl } = options;
+      delete options.url;
+      return this[_request](requestUrl, options);
+    };
+  }
+
+  async submitRequest(options) {
+    const requestOptions = {
+      ...options,
+    };
+    const { url } = requestOptions;
+    delete requestOptions.url;
+
+    return this[_request](url, requestOptions);
+  }
+
+  getSetCookies(response) {
+    const { headers = {} } = response;
+    const setCookie = headers["set-cookie"];
+    if (setCookie) {
+      return Array.isArray(setCookie) ? setCookie : [setCookie];
+    }
+    return [];
+  }
+
+  createHttpOptions(options) {
+    return new NodeHttpOptions(options, this.getClientOptions());
+  }
+
+  /**
+   * Submits an HTTP request using the http or https module, depending on the
+   * protocol of the request's URL.
+   * @param {string} url URL to which the request will be submitted.
+   * @param {*} config Request options, as supported by http.request(). May also
+   *  include "body", which will be written to the request.
+   * @returns {Promise<*>} Resolves with the HTTP response.
+   */
+  async [_request](url, config) {
+    const { interceptor } = this[PRIVATE];
+    const newConfig = await interceptor.interceptRequest(this, {
+      ...config,
+      url,
+    });
+
+    const { url: newUrl } = newConfig;
+    const httpOptions = this.createHttpOptions(newConfig);
+
+    let response;
+    let error;
+    try {
+      response = await this[_send](newUrl, newConfig, httpOptions.getTimeout());
+    } catch (e) {
+      error = e;
+    }
+
+    if (response) {
+      return interceptor.interceptResponse(this, newConfig, response);
+    }
+    return interceptor.interceptResponseError(this, newConfig, error);
+  }
+
+  /**
+   * Does the work of sending a request and buffering its response.
+   * @param {string} url URL to which the request will be submitted.
+   * @param {*} config Request options, as supported by http.request().
+   * @param {number} timeout Amount of time, in milliseconds, to wait for the
+   *  request, including its entire response, before aborting it.
+   * @returns {Promise<*>} Resolves with the buffered response.
+   */
+  [_send](url, config, timeout) {
+    const requestOptions = { ...config };
+    const { body, headers = {}, method = "GET" } = requestOptions;
+    ["url", "body", "cloudClient"].forEach((toDelete) => {
+      delete requestOptions[toDelete];
+    });
+
+    const requestHeaders = { ...headers };
+    const hasContentLength = Object.keys(requestHeaders).some(
+      (headerName) => headerName.toLowerCase() === "content-length"
+    );
+    const isStream = body && typeof body.pipe === "function";
+    if (body && !isStream && !hasContentLength) {
+      requestHeaders["content-length"] = Buffer.byteLength(body);
+    }
+
+    const transport = new URL(url).protocol === "https:" ? https : http;
+    return new Promise((resolve, reject) => {
+      let timer;
+      let bodyError;
+      const fail = (e) => {
+        clearTimeout(timer);
+        reject(bodyError || e);
+      };
+      const req = transport.request(
+        url,
+        {
+          ...requestOptions,
+          method: String(method).toUpperCase(),
+          headers: requestHeaders,
+        },
+        (res) => {
+          const chunks = [];
+          res.on("data", (chunk) => chunks.push(chunk));
+          res.on("error", fail);
+          res.on("end", () => {
+            clearTimeout(timer);
+            const responseBody = Buffer.concat(chunks);
+            const { statusCode: status, statusMessage: statusText } = res;
+            resolve({
+              status,
+              statusText,
+              headers: res.headers,
+              ok: status >= 200 && status < 300,
+              body: responseBody,
+              text: async () => responseBody.toString(),
+              json: async () => JSON.parse(responseBody.toString()),
+            });
+          });
+        }
+      );
+
+      // the http module only has a socket idle timeout, which never fires for a
+      // server that keeps sending data slowly. destroy the request once the full
+      // timeout has passed instead.
+      timer = setTimeout(() => {
+        const timeoutError = new Error(`timeout of ${timeout}ms exceeded`);
+        timeoutError.code = "ETIMEDOUT";
+        req.destroy(timeoutError);
+      }, timeout);
+      req.on("error", fail);
+
+      if (isStream) {
+        // a body that fails, such as a missing file, destroys the request so that the
+        // failure rejects instead of being an unhandled error event
+        body.once("error", (e) => {
+          bodyError = e;
+        });
+        pipeline(body, req, (e) => {
+          if (e) {
+            fail(e);
+          }
+        });
+      } else {
+        req.end(body);
+      }
+    });
+  }
+}
+
+module.exports = NodeHttpBackend;
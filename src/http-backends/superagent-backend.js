@@ -0,0 +1,187 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const HttpBackend = require("./http-backend");
+const { isStreamBody, readStreamBody } = require("../http-utils");
+const SuperagentHttpResponse = require("./superagent-http-response");
+const typedefs = require("../typedefs");
+
+const PRIVATE = Symbol("PRIVATE");
+const _plugin = Symbol("_plugin");
+const _request = Symbol("_request");
+
+/**
+ * Reprents a backend that uses superagent as the HTTP library for performing HTTP
+ * communications. The backend is a superagent plugin that's registered with a
+ * superagent agent, and takes over sending each of the agent's requests.
+ *
+ * Client request options are provided using the cloudClient() method that the
+ * plugin adds to each request.
+ */
+class SuperagentBackend extends HttpBackend {
+  /**
+   * Constructs a new instance of the superagent backend, based on an instance of
+   * the superagent library itself.
+   * @param {typedefs.ClientOptions} options Options for controlling how the backend behaves.
+   * @param {*} superagent Superagent instance on which to base the backend.
+   */
+  constructor(options, superagent) {
+    super(options);
+    this[PRIVATE] = {
+      superagent,
+    };
+  }
+
+  registerInterceptors(interceptor) {
+    const { superagent } = this[PRIVATE];
+    const agent = superagent.agent();
+    agent.use((request) => this[_plugin](interceptor, request));
+    this[PRIVATE].superagent = agent;
+    return agent;
+  }
+
+  async submitRequest(options) {
+    const { superagent } = this[PRIVATE];
+    const {
+      url,
+      method = "GET",
+      headers = {},
+      query,
+      body,
+      cloudClient,
+    } = options;
+
+    const request = superagent[String(method).toLowerCase()](url).set(headers);
+    if (query) {
+      request.query(query);
+    }
+    if (isStreamBody(body)) {
+      // send() would treat a stream as an object to serialize. the stream will
+      // be replaced by a new body from the request's body factory.
+      request._data = body;
+    } else if (body !== undefined) {
+      request.send(body);
+    }
+    if (cloudClient && request.cloudClient) {
+      request.cloudClient(cloudClient);
+    }
+    return request;
+  }
+
+  getErrorResponse(httpOptions, error) {
+    const { status, response } = error;
+    if (response) {
+      httpOptions.logWarn(
+        `request failed with superagent error status code ${status}`
+      );
+    } else {
+      httpOptions.logWarn("request failed with unknown error type", error);
+    }
+    return response;
+  }
+
+  getSetCookies(response) {
+    const { headers = {} } = response;
+    const setCookie = headers["set-cookie"];
+    if (setCookie) {
+      return Array.isArray(setCookie) ? setCookie : [setCookie];
+    }
+    return [];
+  }
+
+  createHttpResponse(response, error) {
+    return new SuperagentHttpResponse(response, error);
+  }
+
+  /**
+   * Superagent plugin that replaces a request's end() method, so that the request
+   * is sent through the interceptor. Also adds a cloudClient() method to the request,
+   * which can be used to provide the client's request options.
+   * @param {*} interceptor Interceptor that was registered with the backend.
+   * @param {*} request Superagent request to which the plugin is being applied.
+   */
+  [_plugin](interceptor, request) {
+    const end = request.end.bind(request);
+    let cloudClient;
+
+    request.cloudClient = (options) => {
+      cloudClient = options;
+      return request;
+    };
+    request.end = (callback = () => {}) => {
+      this[_request](interceptor, request, cloudClient, end).then(
+        (response) => callback(null, response),
+        (error) => callback(error, error.response)
+      );
+      return request;
+    };
+  }
+
+  /**
+   * Runs a superagent request through the interceptor and sends it.
+   * @param {*} interceptor Interceptor that was registered with the backend.
+   * @param {*} request Superagent request to send.
+   * @param {*} cloudClient Client request options, if any were provided.
+   * @param {Function} end The request's original end() method.
+   * @returns {Promise<*>} Resolves with the final response to the request.
+   */
+  async [_request](interceptor, request, cloudClient, end) {
+    const config = {
+      url: request.url,
+      method: request.method,
+      headers: { ...request.header },
+      cloudClient,
+    };
+    if (Object.keys(request.qs || {}).length) {
+      config.query = { ...request.qs };
+    }
+    // superagent doesn't expose the request's data other than through _data
+    if (request._data !== undefined && request._data !== null) {
+      config.body = request._data;
+    }
+
+    const newConfig = await interceptor.interceptRequest(this, config);
+    const httpOptions = this.createHttpOptions(newConfig);
+    request.set(newConfig.headers);
+
+    // only add a timeout if one wasn't already specified by the consumer
+    if (!request._timeout && !request._responseTimeout) {
+      request.timeout(httpOptions.getTimeout());
+    }
+
+    let response;
+    let error;
+    try {
+      // the client may have created a new body. superagent can't send a stream
+      // from end(), so stream bodies are buffered first.
+      let { body } = newConfig;
+      if (isStreamBody(body)) {
+        const chunks = await readStreamBody(body);
+        body = Buffer.concat(chunks.map((chunk) => Buffer.from(chunk)));
+      }
+      if (body !== config.body) {
+        request._data = body;
+      }
+      response = await new Promise((resolve, reject) => {
+        end((err, res) => (err ? reject(err) : resolve(res)));
+      });
+    } catch (e) {
+      error = e;
+    }
+
+    if (response) {
+      return interceptor.interceptResponse(this, newConfig, response);
+    }
+    return interceptor.interceptResponseError(this, newConfig, error);
+  }
+}
+
+module.exports = SuperagentBackend;
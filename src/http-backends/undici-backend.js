@@ -0,0 +1,268 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const HttpBackend = require("./http-backend");
+const UndiciHttpOptions = require("./undici-http-options");
+const typedefs = require("../typedefs");
+
+const PRIVATE = Symbol("PRIVATE");
+const _request = Symbol("_request");
+const _dispatch = Symbol("_dispatch");
+
+/**
+ * Converts undici's raw header format, which is a flat array of alternating names
+ * and values, to a simple object. Header names will be lowercase, and headers with
+ * multiple values will have an array as their value.
+ * @param {Array<Buffer|string>} rawHeaders Raw headers as provided by undici.
+ * @returns {object} Simple object containing the headers.
+ */
+function parseRawHeaders(rawHeaders = []) {
+  const headers = {};
+  for (let i = 0; i < rawHeaders.length; i += 2) {
+    const name = String(rawHeaders[i]).toLowerCase();
+    const value = String(rawHeaders[i + 1]);
+    if (headers[name] === undefined) {
+      headers[name] = value;
+    } else if (Array.isArray(headers[name])) {
+      headers[name].push(value);
+    } else {
+      headers[name] = [headers[name], value];
+    }
+  }
+  return headers;
+}
+
+/**
+ * Converts request headers, which undici allows to be either an object or a flat
+ * array of names and values, to a simple object.
+ * @param {object|Array<string>} [headers] Headers to convert.
+ * @returns {object} Simple object containing the headers.
+ */
+function normalizeRequestHeaders(headers) {
+  if (Array.isArray(headers)) {
+    const normalized = {};
+    for (let i = 0; i < headers.length; i += 2) {
+      normalized[headers[i]] = headers[i + 1];
+    }
+    return normalized;
+  }
+  return { ...headers };
+}
+
+/**
+ * Reprents a backend that uses an undici Dispatcher for performing HTTP
+ * communications. The backend plugs into the dispatcher as a dispatcher
+ * interceptor, so the client's functionality applies to anything sent through
+ * the dispatcher, including undici's request() and stream().
+ *
+ * Responses are fully buffered by the backend before being handed back to
+ * undici.
+ */
+class UndiciBackend extends HttpBackend {
+  /**
+   * Constructs a new instance of the undici backend, based on a dispatcher.
+   * @param {typedefs.ClientOptions} options Options for controlling how the backend behaves.
+   * @param {*} dispatcher Undici Dispatcher (such as an Agent or Pool) that will be
+   *  used to send requests.
+   */
+  constructor(options, dispatcher) {
+    super(options);
+    this[PRIVATE] = {
+      dispatcher,
+      dispatch: (opts, handler) => dispatcher.dispatch(opts, handler),
+      interceptor: {
+        interceptRequest: (backend, config) => config,
+        interceptResponse: (backend, config, response) => response,
+        interceptResponseError: (backend, config, error) => {
+          throw error;
+        },
+      },
+    };
+  }
+
+  registerInterceptors(interceptor) {
+    const { dispatcher } = this[PRIVATE];
+    this[PRIVATE].interceptor = interceptor;
+    return dispatcher.compose((dispatch) => {
+      this[PRIVATE].dispatch = dispatch;
+      return (opts, handler) => {
+        // the abort is passed to every attempt of the request, and to the waits
+        // between them
+        const controller = new AbortController();
+        let aborted = false;
+        const abort = (reason) => {
+          aborted = reason || new Error("Request aborted");
+          controller.abort(aborted);
+        };
+        const config = {
+          ...opts,
+          headers: normalizeRequestHeaders(opts.headers),
+          url: new URL(opts.path, opts.origin).href,
+          signal: controller.signal,
+        };
+        delete config.origin;
+        delete config.path;
+
+        // the handler receives the abort function before the request starts, so
+        // that the request can be aborted while it's in progress
+        const context = {};
+        handler.onConnect(abort, context);
+
+        this[_request](config).then(
+          (response) => {
+            if (aborted) {
+              handler.onError(aborted);
+              return;
+            }
+            const { cloudClient, rawHeaders, rawTrailers, body } = response;
+            context.cloudClient = cloudClient;
+            handler.onHeaders(
+              response.status,
+              rawHeaders,
+              () => {},
+              response.statusText
+            );
+            if (body.length) {
+              handler.onData(body);
+            }
+            handler.onComplete(rawTrailers);
+          },
+          (error) => handler.onError(aborted || error)
+        );
+        return true;
+      };
+    });
+  }
+
+  async submitRequest(options) {
+    return this[_request](options);
+  }
+
+  getSetCookies(response) {
+    const { headers = {} } = response;
+    const setCookie = headers["set-cookie"];
+    if (setCookie) {
+      return Array.isArray(setCookie) ? setCookie : [setCookie];
+    }
+    return [];
+  }
+
+  createHttpOptions(options) {
+    return new UndiciHttpOptions(options, this.getClientOptions());
+  }
+
+  /**
+   * Runs a request through the interceptor and submits it using the dispatcher.
+   * @param {*} config Request options, which should include a "url" in addition
+   *  to undici's dispatch options.
+   * @returns {Promise<*>} Resolves with the final response to the request.
+   */
+  async [_request](config) {
+    const { interceptor } = this[PRIVATE];
+    const newConfig = await interceptor.interceptRequest(this, config);
+    const httpOptions = this.createHttpOptions(newConfig);
+
+    let response;
+    let error;
+    try {
+      response = await this[_dispatch](newConfig, httpOptions.getTimeout());
+    } catch (e) {
+      error = e;
+    }
+
+    if (response) {
+      return interceptor.interceptResponse(this, newConfig, response);
+    }
+    return interceptor.interceptResponseError(this, newConfig, error);
+  }
+
+  /**
+   * Does the work of sending a request through the dispatcher and buffering its
+   * response.
+   * @param {*} config Request options, including a "url", and an optional "signal"
+   *  that aborts the request.
+   * @param {number} timeout Amount of time, in milliseconds, to wait for the
+   *  response's headers, and between chunks of its body, before aborting.
+   * @returns {Promise<*>} Resolves with the buffered response.
+   */
+  [_dispatch](config, timeout) {
+    const { dispatch } = this[PRIVATE];
+    const {
+      url,
+      signal,
+      headersTimeout = timeout,
+      bodyTimeout = timeout,
+    } = config;
+    const { origin, pathname, search } = new URL(url);
+    const opts = {
+      ...config,
+      origin,
+      path: `${pathname}${search}`,
+      method: String(config.method || "GET").toUpperCase(),
+      headersTimeout,
+      bodyTimeout,
+    };
+    ["url", "cloudClient", "dispatcher", "signal"].forEach((toDelete) => {
+      delete opts[toDelete];
+    });
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      let abortDispatch;
+      const onAbort = () => abortDispatch && abortDispatch(signal.reason);
+      const cleanUp = () => {
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+        }
+      };
+      if (signal) {
+        signal.addEventListener("abort", onAbort);
+      }
+
+      const chunks = [];
+      const response = {};
+      dispatch(opts, {
+        onConnect: (abortRequest) => {
+          abortDispatch = abortRequest;
+          if (signal && signal.aborted) {
+            abortRequest(signal.reason);
+          }
+        },
+        onHeaders: (statusCode, rawHeaders, resume, statusText) => {
+          response.status = statusCode;
+          response.statusText = statusText;
+          response.rawHeaders = rawHeaders;
+          response.headers = parseRawHeaders(rawHeaders);
+          return true;
+        },
+        onData: (chunk) => {
+          chunks.push(chunk);
+          return true;
+        },
+        onComplete: (rawTrailers) => {
+          cleanUp();
+          response.rawTrailers = rawTrailers || [];
+          response.body = Buffer.concat(chunks);
+          resolve(response);
+        },
+        onError: (error) => {
+          cleanUp();
+          reject(error);
+        },
+      });
+    });
+  }
+}
+
+module.exports = UndiciBackend;
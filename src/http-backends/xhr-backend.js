@@ -0,0 +1,241 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const HttpBackend = require("./http-backend");
+const { isStreamBody, readStreamBody } = require("../http-utils");
+const XhrHttpOptions = require("./xhr-http-options");
+const XhrHttpResponse = require("./xhr-http-response");
+const typedefs = require("../typedefs");
+
+const PRIVATE = Symbol("PRIVATE");
+const _request = Symbol("_request");
+const _send = Symbol("_send");
+
+/**
+ * Parses the value of XMLHttpRequest.getAllResponseHeaders() into a simple object.
+ * Header names will be lowercase.
+ * @param {string} rawHeaders Raw header string, where each header is on its own line.
+ * @returns {object} Simple object containing the headers.
+ */
+function parseResponseHeaders(rawHeaders = "") {
+  const headers = {};
+  String(rawHeaders)
+    .trim()
+    .split(/[\r\n]+/)
+    .forEach((line) => {
+      const separator = line.indexOf(":");
+      if (separator > 0) {
+        const name = line.substring(0, separator).trim().toLowerCase();
+        const value = line.substring(separator + 1).trim();
+        headers[name] = headers[name] ? `${headers[name]}, ${value}` : value;
+      }
+    });
+  return headers;
+}
+
+/**
+ * Creates an error that will be provided when an XMLHttpRequest fails.
+ * @param {string} name Name of the error.
+ * @param {string} message Message of the error.
+ * @returns {Error} The new error.
+ */
+function createXhrError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+/**
+ * Reprents a backend that uses a browser's XMLHttpRequest for performing HTTP
+ * communications. Requests are submitted using a fetch-like signature.
+ *
+ * Browsers don't expose Set-Cookie headers, so the backend never uses the
+ * client's cookie handling. Instead, cookies are managed by the browser itself
+ * according to the request's "credentials" option.
+ */
+class XhrBackend extends HttpBackend {
+  /**
+   * Constructs a new instance of the XMLHttpRequest backend.
+   * @param {typedefs.ClientOptions} options Options for controlling how the backend behaves.
+   * @param {*} XMLHttpRequest The XMLHttpRequest class, as provided by the browser.
+   */
+  constructor(options, XMLHttpRequest) {
+    super(options);
+    this[PRIVATE] = {
+      XMLHttpRequest,
+      interceptor: {
+        interceptRequest: (backend, config) => config,
+        interceptResponse: (backend, config, response) => response,
+        interceptResponseError: (backend, config, error) => {
+          throw error;
+        },
+      },
+    };
+  }
+
+  registerInterceptors(interceptor) {
+    this[PRIVATE].interceptor = interceptor;
+    return (url, config = {}) => this[_request](String(url), config);
+  }
+
+  async submitRequest(options) {
+    const xhrOptions = {
+      ...options,
+    };
+    const { url } = xhrOptions;
+    delete xhrOptions.url;
+
+    return this[_request](url, xhrOptions);
+  }
+
+  shouldHandleCookies() {
+    // the browser handles cookies on the backend's behalf
+    return false;
+  }
+
+  getSetCookies() {
+    return [];
+  }
+
+  createHttpOptions(options) {
+    return new XhrHttpOptions(options, this.getClientOptions());
+  }
+
+  createHttpResponse(response, error) {
+    return new XhrHttpResponse(response, error);
+  }
+
+  /**
+   * Submits an HTTP request using XMLHttpRequest.
+   * @param {string} url URL to which the request will be submitted.
+   * @param {*} config Fetch-like request options.
+   * @returns {Promise<*>} Resolves with the HTTP response.
+   */
+  async [_request](url, config) {
+    const { interceptor } = this[PRIVATE];
+    const newConfig = await interceptor.interceptRequest(this, {
+      ...config,
+      url,
+    });
+
+    const httpOptions = this.createHttpOptions(newConfig);
+
+    let response;
+    let error;
+    try {
+      // XMLHttpRequest can't send streams, such as ones from a body factory
+      let sendConfig = newConfig;
+      if (isStreamBody(newConfig.body)) {
+        sendConfig = {
+          ...newConfig,
+          body: new Blob(await readStreamBody(newConfig.body)),
+        };
+      }
+      response = await this[_send](sendConfig, httpOptions.getTimeout());
+    } catch (e) {
+      error = e;
+    }
+
+    if (response) {
+      return interceptor.interceptResponse(this, newConfig, response);
+    }
+    return interceptor.interceptResponseError(this, newConfig, error);
+  }
+
+  /**
+   * Does the work of sending a request using XMLHttpRequest.
+   * @param {*} config Fetch-like request options, including a "url".
+   * @param {number} timeout Amount of time, in milliseconds, to wait for the
+   *  request before aborting it.
+   * @returns {Promise<*>} Resolves with the response.
+   */
+  [_send](config, timeout) {
+    const { XMLHttpRequest } = this[PRIVATE];
+    const {
+      url,
+      method = "GET",
+      headers = {},
+      body = null,
+      credentials = "same-origin",
+      responseType = "text",
+      signal,
+      onUploadProgress,
+      onDownloadProgress,
+    } = config;
+
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open(String(method).toUpperCase(), url, true);
+      Object.keys(headers).forEach((headerName) => {
+        xhr.setRequestHeader(headerName, headers[headerName]);
+      });
+      xhr.timeout = timeout;
+      xhr.withCredentials = credentials === "include";
+      xhr.responseType = responseType;
+
+      if (onUploadProgress && xhr.upload) {
+        xhr.upload.onprogress = onUploadProgress;
+      }
+      if (onDownloadProgress) {
+        xhr.onprogress = onDownloadProgress;
+      }
+
+      const onAbort = () => xhr.abort();
+      if (signal) {
+        if (signal.aborted) {
+          reject(createXhrError("AbortError", "The request was aborted"));
+          return;
+        }
+        signal.addEventListener("abort", onAbort);
+      }
+      const cleanUp = () => {
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+        }
+      };
+
+      xhr.onload = () => {
+        cleanUp();
+        const { status, statusText, response: data, responseURL } = xhr;
+        const getText = () =>
+          typeof data === "string" ? data : xhr.responseText;
+        resolve({
+          status,
+          statusText,
+          headers: parseResponseHeaders(xhr.getAllResponseHeaders()),
+          ok: status >= 200 && status < 300,
+          url: responseURL,
+          data,
+          text: async () => getText(),
+          json: async () => JSON.parse(getText()),
+        });
+      };
+      xhr.onerror = () => {
+        cleanUp();
+        reject(createXhrError("NetworkError", "A network error occurred"));
+      };
+      xhr.ontimeout = () => {
+        cleanUp();
+        reject(
+          createXhrError("TimeoutError", `timeout of ${timeout}ms exceeded`)
+        );
+      };
+      xhr.onabort = () => {
+        cleanUp();
+        reject(createXhrError("AbortError", "The request was aborted"));
+      };
+
+      xhr.send(body);
+    });
+  }
+}
+
+module.exports = XhrBackend;
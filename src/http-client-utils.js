@@ -18,28 +18,186 @@
 const HttpOptions = require("./http-options");
 const HttpResponse = require("./http-response");
 const HttpBackend = require("./http-backends/http-backend");
+const RetryBudget = require("./retry-budget");
+const { classifyError } = require("./http-utils");
+const {
+  JITTER_NONE,
+  JITTER_FULL,
+  JITTER_EQUAL,
+  JITTER_DECORRELATED,
+} = require("./constants");
 
 /**
- * Retrieves the Retry-After header value from an HTTP response.
+ * Parses a header value that represents a number, such as a number of seconds.
+ * @param {*} value Header value to parse.
+ * @returns {number} The header's numeric value, or NaN if the value isn't a number.
+ */
+function parseNumericHeader(value) {
+  const trimmed = String(value).trim();
+  if (!/^\d+(\.\d+)?$/.test(trimmed)) {
+    return NaN;
+  }
+  return parseFloat(trimmed);
+}
+
+/**
+ * Retrieves the Retry-After information from an HTTP response. Understands the
+ * following headers, in order of precedence:
+ *
+ * - retry-after-ms and x-ms-retry-after-ms: A number of milliseconds.
+ * - Retry-After: Either a number of seconds, or an HTTP-date. Dates are compared
+ *   against the response's Date header, if present, to account for clock skew
+ *   between the client and the server.
+ * - RateLimit-Reset and X-RateLimit-Reset: Either a number of seconds, or a Unix
+ *   timestamp in seconds. Only used if the response's status code is 429, or if the
+ *   response indicates that there are no requests remaining.
  * @param {HttpResponse} response Response whose information will be used.
+ * @param {number} [now] Current time, as a Unix timestamp in milliseconds.
  * @returns {number} The number of milliseconds to wait before retrying, as specified
  *  in the response. Will be falsy if no retry after information is present.
  */
-function getRetryAfter(response) {
-  const headers = response.getHeaders();
-  if (!headers) {
+function getRetryAfter(response, now = Date.now()) {
+  const rawHeaders = response.getHeaders();
+  if (!rawHeaders) {
     return 0;
   }
-  const permutations = ["retry-after", "Retry-After"];
-  let retryAfterSeconds = 0;
-  for (let i = 0; i < permutations.length; i += 1) {
-    if (headers[permutations[i]]) {
-      retryAfterSeconds = parseInt(headers[permutations[i]], 10);
-      break;
+  const headers = {};
+  Object.keys(rawHeaders).forEach((name) => {
+    const value = rawHeaders[name];
+    headers[name.toLowerCase()] = Array.isArray(value) ? value[0] : value;
+  });
+
+  // measure dates using the server's clock when possible
+  const serverDate = headers.date ? Date.parse(headers.date) : NaN;
+  const serverNow = isNaN(serverDate) ? now : serverDate;
+  let retryAfter = NaN;
+
+  const msHeader = ["retry-after-ms", "x-ms-retry-after-ms"].find(
+    (name) => headers[name] !== undefined
+  );
+  if (msHeader) {
+    retryAfter = parseNumericHeader(headers[msHeader]);
+  }
+
+  if (isNaN(retryAfter) && headers["retry-after"] !== undefined) {
+    const value = headers["retry-after"];
+    const seconds = parseNumericHeader(value);
+    if (!isNaN(seconds)) {
+      retryAfter = seconds * 1000;
+    } else {
+      const retryDate = Date.parse(value);
+      if (!isNaN(retryDate)) {
+        retryAfter = retryDate - serverNow;
+      }
+    }
+  }
+
+  const status = response.getStatus();
+  const limited =
+    status === 429 ||
+    ["ratelimit-remaining", "x-ratelimit-remaining"].some(
+      (name) =>
+        headers[name] !== undefined && parseNumericHeader(headers[name]) === 0
+    );
+  if (isNaN(retryAfter) && limited) {
+    const resetHeader = ["ratelimit-reset", "x-ratelimit-reset"].find(
+      (name) => headers[name] !== undefined
+    );
+    if (resetHeader) {
+      const reset = parseNumericHeader(headers[resetHeader]);
+      // large values are timestamps rather than a number of seconds
+      if (reset > 1000000000) {
+        retryAfter = reset * 1000 - serverNow;
+      } else {
+        retryAfter = reset * 1000;
+      }
     }
   }
 
-  return retryAfterSeconds * 1000;
+  if (isNaN(retryAfter) || retryAfter < 0) {
+    return 0;
+  }
+  return Math.ceil(retryAfter);
+}
+
+/**
+ * Retrieves the reason that an AbortSignal was aborted.
+ * @param {AbortSignal} signal Signal that was aborted.
+ * @returns {*} The signal's reason, or an AbortError if the signal doesn't
+ *  provide one.
+ */
+function getAbortReason(signal) {
+  if (signal.reason !== undefined) {
+    return signal.reason;
+  }
+  const error = new Error("This operation was aborted");
+  error.name = "AbortError";
+  return error;
+}
+
+/**
+ * Waits for a given amount of time before resolving.
+ * @param {number} delay Amount of time, in milliseconds, to wait.
+ * @param {AbortSignal} [signal] If provided and aborted while waiting, the wait
+ *  will stop immediately and reject with the signal's reason.
+ * @returns {Promise} Resolves when the time has elapsed.
+ */
+function sleep(delay, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(getAbortReason(signal));
+      return;
+    }
+
+    let timeoutId;
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(getAbortReason(signal));
+    };
+    timeoutId = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+      resolve();
+    }, delay);
+    if (signal) {
+      signal.addEventListener("abort", onAbort);
+    }
+  });
+}
+
+/**
+ * Applies randomness to a retry delay, so that many clients retrying at the same
+ * time don't all retry in lockstep.
+ * @param {string} jitter The jitter mode to use. One of "none", "full", "equal", or
+ *  "decorrelated".
+ * @param {number} delay Delay, in milliseconds, as calculated by exponential backoff.
+ * @param {number} baseDelay The request's un-multiplied retry delay, in milliseconds.
+ *  Used by decorrelated jitter as the lower bound of the delay.
+ * @param {number} [previousDelay] The previous jittered delay of the request, if
+ *  any. Used by decorrelated jitter to calculate the upper bound of the delay.
+ * @param {number} [random] Random number between 0 and 1 to use for the jitter.
+ * @returns {number} The jittered delay, in milliseconds.
+ */
+function applyJitter(
+  jitter,
+  delay,
+  baseDelay,
+  previousDelay = baseDelay,
+  random = Math.random()
+) {
+  switch (jitter) {
+    case JITTER_FULL:
+      return Math.round(delay * random);
+    case JITTER_EQUAL:
+      return Math.round(delay / 2 + (delay / 2) * random);
+    case JITTER_DECORRELATED: {
+      const upper = Math.max(previousDelay * 3, baseDelay);
+      return Math.round(baseDelay + (upper - baseDelay) * random);
+    }
+    default:
+      return delay;
+  }
 }
 
 /**
@@ -49,41 +207,69 @@ function getRetryAfter(response) {
  * @param {HttpBackend} backend Backend processing the request.
  * @param {HttpResponse} response Response that will be given to each strategy.
  * @param {number} attempts Number of times the current request has been retried.
- * @returns {number|boolean} If false, indicates that the request should _not_
- *  be retried. If not false, the amount of time in milliseconds that should
- *  elapse before retrying.
+ * @param {RetryBudget} [retryBudget] If provided, budget that must allow the retry
+ *  before the request will be retried.
+ * @returns {object|boolean} If false, indicates that the request should _not_
+ *  be retried. If not false, information about the retry: the "delay" in
+ *  milliseconds that should elapse before retrying, the "computedDelay" before
+ *  jitter, the raw request "options" of the retry, the name of the "strategy" that
+ *  voted to retry, and the strategy's "reason".
  */
-async function retryWithStrategies(httpOptions, backend, response, attempts) {
+async function retryWithStrategies(
+  httpOptions,
+  backend,
+  response,
+  attempts,
+  retryBudget
+) {
+  const signal = httpOptions.getAbortSignal();
+  if (signal && signal.aborted) {
+    // the caller cancelled the request, so it shouldn't be retried
+    httpOptions.logDebug("request was aborted by the caller, not retrying");
+    return false;
+  }
+
   const retryStrategies = httpOptions.getRetryStrategies();
   const options = await backend.getRequestConfig(httpOptions);
   const rawResponse = response.getRawResponse();
   let defaultDelay = httpOptions.getRetryDelay();
   let defaultMultiple = httpOptions.getRetryDelayMultiple();
+  let defaultJitter = httpOptions.getRetryJitter();
+  const maxDelay = httpOptions.getRetryMaxDelay();
   const retryAfter = getRetryAfter(response);
+  const maxRetryAfter = httpOptions.getMaxRetryAfter();
 
   if (retryAfter) {
     // Retry-After header should override any settings provided
     defaultDelay = retryAfter;
     defaultMultiple = 1;
+    defaultJitter = JITTER_NONE;
   }
 
   for (let i = 0; i < retryStrategies.length; i++) {
     const strategy = retryStrategies[i];
     const retryOptions = {
       url: httpOptions.getUrl(),
+      method: String(httpOptions.getMethod()).toUpperCase(),
+      idempotent: httpOptions.isIdempotent(),
       options,
       response: rawResponse,
+      error: response.getError(),
+      errorCategory: response.getError()
+        ? classifyError(response.getError())
+        : undefined,
       attempts,
       maxAttempts: httpOptions.getMaxRetries(),
       delayMultiple: defaultMultiple,
       delay: defaultDelay,
+      jitter: defaultJitter,
+      maxDelay,
+      retryAfter,
+      getBody: () => response.getBody(),
+      getJson: () => response.getJson(),
     };
     const shouldRetry = await strategy.shouldRetry(retryOptions);
-    if (strategy.constructor) {
-      httpOptions.logDebug(
-        `${strategy.constructor.name} answered with ${shouldRetry} for retry`
-      );
-    }
+    httpOptions.logDebug(`${strategy} answered with ${shouldRetry} for retry`);
     if (shouldRetry) {
       const delayMultiple = await strategy.getRetryDelayMultiple(retryOptions);
       const maxRetries = await strategy.getMaxRetryCount(retryOptions);
@@ -96,14 +282,87 @@ async function retryWithStrategies(httpOptions, backend, response, attempts) {
         return false;
       }
 
-      let retryDelay = delay * Math.pow(delayMultiple, attempts - 1);
-      return { delay: retryDelay, options: requestOptions };
+      if (retryAfter > maxRetryAfter && maxRetryAfter >= 0) {
+        const reason = `the server requested a wait of ${retryAfter}ms before retrying, which is longer than the maximum of ${maxRetryAfter}ms. increase cloudClient.retry.maxRetryAfter to allow the retry`;
+        httpOptions.logWarn(`not retrying request: ${reason}`);
+        httpOptions.addClientOptions({ retrySuppressed: reason });
+        return false;
+      }
+
+      // the next attempt might not send the body at all, such as when it reads the
+      // result of the request
+      const nextOptions = backend.createHttpOptions(options);
+      nextOptions.setRequestOptions(requestOptions);
+      if (!nextOptions.isBodyReplayable()) {
+        const reason =
+          "the request's body is a stream that can't be replayed. provide cloudClient.bodyFactory or cloudClient.bodyFile to allow retries";
+        httpOptions.logWarn(`not retrying request: ${reason}`);
+        httpOptions.addClientOptions({ retrySuppressed: reason });
+        return false;
+      }
+
+      let computedDelay = delay * Math.pow(delayMultiple, attempts - 1);
+      if (!retryAfter && maxDelay > 0) {
+        computedDelay = Math.min(computedDelay, maxDelay);
+      }
+
+      const jitter = await strategy.getRetryJitter(retryOptions);
+      const { jittered: previousDelay } =
+        httpOptions.getRetryDelays().pop() || {};
+      let retryDelay = applyJitter(jitter, computedDelay, delay, previousDelay);
+      if (!retryAfter && maxDelay > 0) {
+        retryDelay = Math.min(retryDelay, maxDelay);
+      }
+      if (retryDelay !== computedDelay) {
+        httpOptions.logDebug(
+          `applied ${jitter} jitter to retry delay of ${computedDelay}, resulting in ${retryDelay}`
+        );
+      }
+
+      const remaining = httpOptions.getRemainingTime();
+      if (remaining !== undefined && retryDelay >= remaining) {
+        const reason = `waiting ${retryDelay}ms to retry would exceed the request's deadline of ${httpOptions.getDeadline()}ms, which has ${Math.max(
+          remaining,
+          0
+        )}ms remaining`;
+        httpOptions.logWarn(`not retrying request: ${reason}`);
+        httpOptions.addClientOptions({ retrySuppressed: reason });
+        return false;
+      }
+
+      // every retry draws from the budget, unless it's limited to retries of failed
+      // requests
+      const { failuresOnly } = httpOptions.getRetryBudgetOptions() || {};
+      const failed = !!response.getError() || response.getStatus() >= 500;
+      if (
+        (failed || !failuresOnly) &&
+        retryBudget &&
+        !retryBudget.acquireRetry(httpOptions)
+      ) {
+        const { perHost } = httpOptions.getRetryBudgetOptions();
+        const budgetName = perHost
+          ? `retry budget for ${httpOptions.getRetryBudgetKey()}`
+          : "client's retry budget";
+        const reason = `the ${budgetName} is exhausted, because too many requests are being retried compared to the number that are succeeding. adjust cloudClient.retryBudget to allow more retries`;
+        httpOptions.logWarn(`not retrying request: ${reason}`);
+        httpOptions.addClientOptions({ retrySuppressed: reason });
+        return false;
+      }
+      return {
+        delay: retryDelay,
+        computedDelay,
+        options: requestOptions,
+        strategy: String(strategy),
+        reason: await strategy.getRetryReason(retryOptions),
+      };
     }
   }
   return false;
 }
 
 module.exports = {
+  applyJitter,
   getRetryAfter,
   retryWithStrategies,
+  sleep,
 };
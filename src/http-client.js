@@ -9,33 +9,59 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 
-const { promisify } = require("util");
 const { Cookie, CookieJar, MemoryCookieStore } = require("tough-cookie");
 
 const HttpOptions = require("./http-options");
 const HttpResponse = require("./http-response");
-const { retryWithStrategies } = require("./http-client-utils");
+const {
+  applyJitter,
+  getRetryAfter,
+  retryWithStrategies,
+  sleep,
+} = require("./http-client-utils");
+const {
+  createGetRequest,
+  getHeaderValue,
+  isStreamBody,
+  setHeaders,
+} = require("./http-utils");
 const HttpBackend = require("./http-backends/http-backend");
+const CircuitBreaker = require("./circuit-breaker");
+const CircuitOpenError = require("./circuit-open-error");
+const HostPausedError = require("./host-paused-error");
+const RetryBudget = require("./retry-budget");
+const HostThrottle = require("./host-throttle");
+const VerifyWrite = require("./retry-strategies/verify-write");
 const typedefs = require("./typedefs");
 
-const sleep = promisify(setTimeout);
-
 // private methods
 const _setClientCookies = Symbol("_setClientCookies");
 const _getClientCookies = Symbol("_getClientCookies");
+const _getCookieJar = Symbol("_getCookieJar");
+const _waitForHost = Symbol("_waitForHost");
+const _submitUpdateRequest = Symbol("_submitUpdateRequest");
 
 // private methods
 const PRIVATE = Symbol("PRIVATE");
 
+// client options of a write's verification that are provided with the write's response
+const VERIFICATION_OPTIONS = [
+  "retries",
+  "retryWait",
+  "retryResponses",
+  "retryDelays",
+  "retrySuppressed",
+  "pausedFor",
+  "verification",
+];
+
 /**
  * Supports submitting and managing in-progress HTTP requests. Features of the
  * client include retrying failed requests, and timing request duration.
  */
 class HttpClient {
   constructor() {
-    this[PRIVATE] = {
-      cookieJar: new CookieJar(new MemoryCookieStore(), { rejectPublicSuffixes: false }),
-    };
+    this[PRIVATE] = {};
   }
 
   /**
@@ -70,6 +96,9 @@ class HttpClient {
     httpOptions.logInfo(`> submitting request`);
     httpOptions.mergeClientOptions(this.getGlobalOptions());
 
+    // waits out any rate limit that the host has placed on the client
+    await this[_waitForHost](backend, httpOptions);
+
     if (backend.shouldHandleCookies()) {
       httpOptions.logDebug("applying any cookies in the client's jar");
       const clientCookies = await this[_getClientCookies](httpOptions.getUrl());
@@ -79,8 +108,30 @@ class HttpClient {
       httpOptions.setAdditionalCookies(clientCookies);
     }
 
+    httpOptions.addIdempotencyKey();
+
+    // fails fast if the host's circuit is open
+    this.getCircuitBreaker().beforeRequest(httpOptions);
+
     httpOptions.setStartTime(new Date().getTime());
-    return backend.getRequestConfig(httpOptions);
+    let createdBody;
+    try {
+      if (httpOptions.hasBodyFactory()) {
+        // a new body is needed for every attempt, since streams can only be read once.
+        // it's created last, so that a request that isn't sent doesn't leave it open.
+        httpOptions.logDebug("creating request body");
+        createdBody = await httpOptions.createBody();
+        httpOptions.setBody(createdBody);
+      }
+      return await backend.getRequestConfig(httpOptions);
+    } catch (e) {
+      // the request won't be sent, so it can't be the circuit's probe
+      this.getCircuitBreaker().releaseProbe(httpOptions);
+      if (createdBody && typeof createdBody.destroy === "function") {
+        createdBody.destroy();
+      }
+      throw e;
+    }
   }
 
   /**
@@ -97,6 +148,18 @@ class HttpClient {
     httpOptions.setEndTime(new Date().getTime());
     const httpResponse = backend.createHttpResponse(response);
     httpOptions.logInfo(`< ${httpResponse.getStatus()} finished request`);
+    const failed = httpResponse.getStatus() >= 500;
+    this.getCircuitBreaker().recordResult(httpOptions, failed);
+    if (!failed && httpResponse.getStatus() !== 429) {
+      // a rate limited request didn't succeed, even though the host is healthy
+      this.getRetryBudget().recordSuccess(httpOptions);
+    }
+    if (httpResponse.getStatus() === 429) {
+      this.getHostThrottle().recordRateLimit(
+        httpOptions,
+        getRetryAfter(httpResponse)
+      );
+    }
 
     // record client cookies from response
     return this[_setClientCookies](httpOptions, backend, httpResponse);
@@ -122,6 +185,18 @@ class HttpClient {
     }
 
     httpOptions.logInfo(`< ERR finished request. ${errorDetails}`);
+
+    // requests that weren't sent, or that the caller cancelled, don't indicate a
+    // problem with the host
+    const signal = httpOptions.getAbortSignal();
+    if (signal && signal.aborted) {
+      this.getCircuitBreaker().releaseProbe(httpOptions);
+    } else if (
+      !(error instanceof CircuitOpenError) &&
+      !(error instanceof HostPausedError)
+    ) {
+      this.getCircuitBreaker().recordResult(httpOptions, true);
+    }
   }
 
   /**
@@ -138,6 +213,10 @@ class HttpClient {
    *  truthy, the raw options that should be used in the next attempt of the request.
    */
   async getRetryOptionsFromResponse(backend, rawOptions, rawResponse, error) {
+    if (error instanceof CircuitOpenError || error instanceof HostPausedError) {
+      // the request was never sent, and retrying it would fail for the same reason
+      return false;
+    }
     const httpOptions = backend.createHttpOptions(rawOptions);
     const httpResponse = backend.createHttpResponse(rawResponse || {}, error);
 
@@ -145,25 +224,284 @@ class HttpClient {
       httpOptions,
       backend,
       httpResponse,
-      httpOptions.getRetries() + 1
+      httpOptions.getRetries() + 1,
+      this.getRetryBudget()
     );
 
     if (retryInfo) {
-      const { delay, options: requestOptions } = retryInfo;
-      httpOptions.addRetry(httpResponse, delay);
+      const {
+        delay,
+        computedDelay,
+        options: requestOptions,
+        strategy,
+        reason,
+      } = retryInfo;
+      httpOptions.addRetry(httpResponse, delay, computedDelay);
       httpResponse.setRequestTime(httpOptions.getRequestTime());
       httpOptions.logInfo(
-        `request is being retried by a retry strategy. waiting ${delay} for attempt ${httpOptions.getRetries()}.`
+        `request is being retried by ${strategy}, because ${reason}. waiting ${delay} for attempt ${httpOptions.getRetries()}.`
       );
 
       httpOptions.setRequestOptions(requestOptions);
-      await sleep(delay);
+      try {
+        // an abort while waiting stops the retry immediately
+        await sleep(delay, httpOptions.getAbortSignal());
+      } catch (e) {
+        httpOptions.logInfo("request was aborted while waiting to retry");
+        let error = e;
+        if (typeof error !== "object" || error === null) {
+          error = new Error(String(e));
+          error.name = "AbortError";
+        }
+        // throws the abort reason, with the request's retry information attached
+        this.getClientError(
+          backend,
+          await backend.getRequestConfig(httpOptions),
+          error
+        );
+      }
       return backend.getRequestConfig(httpOptions);
     }
 
     return false;
   }
 
+  /**
+   * Submits the next attempt of a request, as provided by getRetryOptionsFromResponse().
+   *
+   * If the request was a write that succeeded, and the next attempt is the first read
+   * that verifies the write, the client waits for the verification to finish and then
+   * provides the write's response. The response's client options will include the
+   * verification's reads.
+   * @param {HttpBackend} backend Backend processing the current request.
+   * @param {typedefs.RequestOptions} config Configuration of the attempt that is being
+   *  retried.
+   * @param {typedefs.RequestOptions} retryConfig Configuration of the next attempt.
+   * @param {*} rawResponse Response of the attempt that is being retried, as provided
+   *  by the underlying backend.
+   * @returns {Promise<*>} Resolves with the response to the request.
+   */
+  async submitRetry(backend, config, retryConfig, rawResponse) {
+    const httpOptions = backend.createHttpOptions(config);
+    const { verification } = backend
+      .createHttpOptions(retryConfig)
+      .getClientOptions();
+    if (!verification || httpOptions.getClientOptions().verification) {
+      return backend.submitRequest(retryConfig);
+    }
+
+    let result;
+    try {
+      result = await backend.submitRequest(retryConfig);
+    } catch (e) {
+      const signal = httpOptions.getAbortSignal();
+      if (!e || !e.cloudClient || (signal && signal.aborted)) {
+        throw e;
+      }
+      // the write itself succeeded, so a failed read only means it wasn't verified
+      result = e;
+    }
+
+    const { status, headers, options = {} } = result.cloudClient || {};
+    const { cloudClient: readClientOptions = {} } = options;
+    const writeClientOptions = {};
+    VERIFICATION_OPTIONS.forEach((name) => {
+      if (readClientOptions[name] !== undefined) {
+        writeClientOptions[name] = readClientOptions[name];
+      }
+    });
+    const readVerification = {
+      ...verification,
+      ...readClientOptions.verification,
+    };
+    const finalVerification = {
+      ...readVerification,
+      verified: VerifyWrite.isVerified(readVerification, { status, headers }),
+    };
+    if (finalVerification.verified) {
+      httpOptions.logInfo(
+        `verified write after ${finalVerification.attempts} reads of ${finalVerification.verifyUrl}`
+      );
+    } else {
+      httpOptions.logWarn(
+        `unable to verify write after ${finalVerification.attempts} reads of ${finalVerification.verifyUrl}`
+      );
+    }
+    httpOptions.addClientOptions({
+      ...writeClientOptions,
+      verification: finalVerification,
+    });
+    return this.getClientResponse(
+      backend,
+      await backend.getRequestConfig(httpOptions),
+      rawResponse
+    );
+  }
+
+  /**
+   * Updates a resource using optimistic concurrency. The resource is read, the given
+   * function modifies its body, and the modified body is written back with an
+   * If-Match header containing the read's ETag. If the write conflicts with another
+   * change to the resource, the process starts over after a delay, until the write
+   * succeeds or the maximum number of attempts is reached.
+   *
+   * Each read and write is a normal request of the backend, so it's retried
+   * according to the request's retry options. The response's client options will
+   * include a "concurrentUpdate" property with the responses of every read and write.
+   * @param {HttpBackend} backend Backend that will submit the requests.
+   * @param {string} url URL of the resource to update.
+   * @param {Function} mutateFn Function that receives the current body of the
+   *  resource, parsed as JSON if possible, and information about the attempt. Should
+   *  return the new body, or a Promise resolving with it. Returning undefined skips
+   *  the write.
+   * @param {typedefs.RequestOptions} [options] Options to use for the reads and writes.
+   * @returns {Promise<*>} Resolves with the response of the final write, in the
+   *  backend's format. Rejects in the same cases as the backend would. If the
+   *  request is aborted while waiting for the next attempt, rejects with the abort
+   *  reason, whose client options include the "concurrentUpdate" property.
+   */
+  async updateWithConcurrency(backend, url, mutateFn, options = {}) {
+    const httpOptions = backend.createHttpOptions({ ...options, url });
+    const { method, maxAttempts, delay, delayMultiple, conflictStatuses } =
+      httpOptions.getConcurrentUpdateOptions();
+    const responses = [];
+    const delays = [];
+    let attempts = 0;
+    let previousDelay;
+    let result;
+    let updated = false;
+
+    while (!result) {
+      attempts += 1;
+      const readOptions = backend.createHttpOptions({ ...options, url });
+      readOptions.setRequestOptions(
+        createGetRequest(options, url, {}, ["if-match", "if-none-match"])
+      );
+      const read = await this[_submitUpdateRequest](backend, readOptions);
+      responses.push(read.response.toJSON());
+      const readStatus = read.response.getStatus();
+      if (readStatus < 200 || readStatus >= 300) {
+        httpOptions.logWarn(
+          `unable to read ${url} for update, status ${readStatus}`
+        );
+        result = read;
+        break;
+      }
+
+      const etag = getHeaderValue(read.response.getHeaders(), "etag");
+      const text = await read.response.getBody();
+      let current = text;
+      try {
+        current = text ? JSON.parse(text) : undefined;
+      } catch (e) {
+        // the body isn't JSON, so the function receives the text
+      }
+      const body = await mutateFn(current, {
+        attempt: attempts,
+        etag,
+        response: read.response.getRawResponse(),
+      });
+      if (body === undefined) {
+        httpOptions.logInfo(`update of ${url} skipped, no changes to write`);
+        result = read;
+        break;
+      }
+
+      const writeOptions = backend.createHttpOptions({
+        ...options,
+        url,
+        method,
+      });
+      const isJson =
+        typeof body === "object" &&
+        body !== null &&
+        !ArrayBuffer.isView(body) &&
+        !isStreamBody(body);
+      const headers = {};
+      if (etag) {
+        headers["If-Match"] = etag;
+      }
+      if (isJson && !getHeaderValue(options.headers, "content-type")) {
+        headers["Content-Type"] = "application/json";
+      }
+      writeOptions.setRequestOptions({
+        headers: setHeaders(options.headers, headers),
+      });
+      writeOptions.setBody(isJson ? JSON.stringify(body) : body);
+      writeOptions.addClientOptions({
+        // conflicts are resolved by reading the resource again
+        eventuallyConsistentUpdate: false,
+        bodyFactory: undefined,
+        bodyFile: undefined,
+      });
+
+      const write = await this[_submitUpdateRequest](backend, writeOptions);
+      responses.push(write.response.toJSON());
+      const status = write.response.getStatus();
+      if (!conflictStatuses.includes(status)) {
+        updated = status >= 200 && status < 300;
+        result = write;
+      } else if (attempts >= maxAttempts) {
+        httpOptions.logWarn(
+          `update of ${url} still conflicts after ${attempts} attempts`
+        );
+        result = write;
+      } else {
+        const computedDelay = delay * delayMultiple ** (attempts - 1);
+        const jitteredDelay = applyJitter(
+          httpOptions.getRetryJitter(),
+          computedDelay,
+          delay,
+          previousDelay
+        );
+        previousDelay = jitteredDelay;
+        delays.push({ computed: computedDelay, jittered: jitteredDelay });
+        httpOptions.logInfo(
+          `update of ${url} conflicted with status ${status}, waiting ${jitteredDelay} for attempt ${
+            attempts + 1
+          }`
+        );
+        try {
+          // an abort while waiting stops the update immediately
+          await sleep(jitteredDelay, httpOptions.getAbortSignal());
+        } catch (e) {
+          httpOptions.logInfo(
+            `update of ${url} was aborted while waiting for attempt ${
+              attempts + 1
+            }`
+          );
+          let error = e;
+          if (typeof error !== "object" || error === null) {
+            error = new Error(String(e));
+            error.name = "AbortError";
+          }
+          // throws the abort reason, with the attempts made so far attached
+          const { options: writeJson = {} } = write;
+          backend.createHttpResponse({}, error).toClientResponse({
+            options: {
+              ...writeJson,
+              cloudClient: {
+                ...writeJson.cloudClient,
+                concurrentUpdate: { attempts, updated, responses, delays },
+              },
+            },
+          });
+        }
+      }
+    }
+
+    const { response, options: resultOptions = {} } = result;
+    return response.toClientResponse({
+      options: {
+        ...resultOptions,
+        cloudClient: {
+          ...resultOptions.cloudClient,
+          concurrentUpdate: { attempts, updated, responses, delays },
+        },
+      },
+    });
+  }
+
   /**
    * Retrieves the final response that the client will provide to the consumer.
    * @param {HttpBackend} backend Backend processing the current request.
@@ -197,13 +535,46 @@ class HttpClient {
     });
   }
 
+  /**
+   * Retrieves the circuit breaker that the client uses to track failing hosts.
+   * @returns {CircuitBreaker} The client's circuit breaker.
+   */
+  getCircuitBreaker() {
+    if (!this[PRIVATE].circuitBreaker) {
+      this[PRIVATE].circuitBreaker = new CircuitBreaker();
+    }
+    return this[PRIVATE].circuitBreaker;
+  }
+
+  /**
+   * Retrieves the retry budget that the client uses to limit its retries.
+   * @returns {RetryBudget} The client's retry budget.
+   */
+  getRetryBudget() {
+    if (!this[PRIVATE].retryBudget) {
+      this[PRIVATE].retryBudget = new RetryBudget();
+    }
+    return this[PRIVATE].retryBudget;
+  }
+
+  /**
+   * Retrieves the tracker that the client uses to pause requests to hosts that have
+   * rate limited the client.
+   * @returns {HostThrottle} The client's host throttle.
+   */
+  getHostThrottle() {
+    if (!this[PRIVATE].hostThrottle) {
+      this[PRIVATE].hostThrottle = new HostThrottle();
+    }
+    return this[PRIVATE].hostThrottle;
+  }
+
   /**
    * Clears the cookies that the client is currently using.
    * @returns {Promise} Resolves when the client's cookies have been cleared.
    */
   clearCookies() {
-    const { cookieJar } = this[PRIVATE];
-    return cookieJar.removeAllCookies();
+    return this[_getCookieJar]().removeAllCookies();
   }
 
   /**
@@ -214,7 +585,7 @@ class HttpClient {
    * @returns {Promise} Resolves when the cookies have been set.
    */
   async setCookies(url, cookies) {
-    const { cookieJar } = this[PRIVATE];
+    const cookieJar = this[_getCookieJar]();
     for (let i = 0; i < cookies.length; i++) {
       const cookie = Cookie.parse(cookies[i]);
       await cookieJar.setCookie(cookie, url);
@@ -263,8 +634,100 @@ class HttpClient {
    *  jar.
    */
   async [_getClientCookies](url) {
-    const { cookieJar } = this[PRIVATE];
-    return cookieJar.getCookies(url);
+    return this[_getCookieJar]().getCookies(url);
+  }
+
+  /**
+   * Waits until the request's host is no longer paused by a rate limit. The time spent
+   * waiting is added to the request's "pausedFor" client option, and counts toward the
+   * request's deadline.
+   * @param {HttpBackend} backend Backend processing the request.
+   * @param {HttpOptions} httpOptions Options of the request being sent.
+   * @returns {Promise} Resolves when the request can be sent. Rejects with the abort
+   *  reason if the request is aborted while waiting, or with a HostPausedError if the
+   *  pause would outlast the request's deadline.
+   */
+  async [_waitForHost](backend, httpOptions) {
+    const hostThrottle = this.getHostThrottle();
+    let { pausedFor = 0, firstStartTime } = httpOptions.getClientOptions();
+    let waitTime = hostThrottle.getWaitTime(httpOptions);
+    if (waitTime > 0 && !firstStartTime) {
+      httpOptions.addClientOptions({ firstStartTime: new Date().getTime() });
+    }
+
+    // other requests may extend the pause while waiting
+    while (waitTime > 0) {
+      const remaining = httpOptions.getRemainingTime();
+      if (remaining !== undefined && waitTime >= remaining) {
+        const origin = httpOptions.getOrigin();
+        httpOptions.logWarn(
+          `requests to ${origin} are paused for ${waitTime}ms, which would exceed the request's deadline of ${httpOptions.getDeadline()}ms`
+        );
+        // throws the error, with the request's retry information attached
+        this.getClientError(
+          backend,
+          await backend.getRequestConfig(httpOptions),
+          new HostPausedError(origin, waitTime)
+        );
+      }
+      httpOptions.logInfo(
+        `requests to ${httpOptions.getOrigin()} are paused by a rate limit, waiting ${waitTime}ms`
+      );
+      await sleep(waitTime, httpOptions.getAbortSignal());
+      pausedFor += waitTime;
+      httpOptions.addClientOptions({ pausedFor });
+      waitTime = hostThrottle.getWaitTime(httpOptions);
+    }
+  }
+
+  /**
+   * Submits one of the reads or writes of updateWithConcurrency(). A backend error
+   * that has a response, such as axios' error for a 412 status, is treated as the
+   * request's response.
+   * @param {HttpBackend} backend Backend that will submit the request.
+   * @param {HttpOptions} httpOptions Options of the request.
+   * @returns {Promise<*>} Resolves with an object containing the request's
+   *  HttpResponse in "response", and the client's JSON options of the request in
+   *  "options". Rejects if the request didn't generate a response.
+   */
+  async [_submitUpdateRequest](backend, httpOptions) {
+    let rawResponse;
+    let error;
+    try {
+      rawResponse = await backend.submitRequest(
+        await backend.getRequestConfig(httpOptions)
+      );
+    } catch (e) {
+      const signal = httpOptions.getAbortSignal();
+      if (!e || !e.cloudClient || (signal && signal.aborted)) {
+        throw e;
+      }
+      rawResponse = backend.getErrorResponse(httpOptions, e);
+      if (!rawResponse) {
+        throw e;
+      }
+      error = e;
+    }
+    const { options } = (error || rawResponse).cloudClient || {};
+    return {
+      response: backend.createHttpResponse(rawResponse, error),
+      options,
+    };
+  }
+
+  /**
+   * Retrieves the client's cookie jar. The jar is created the first time it's
+   * needed, so that clients whose backends don't handle cookies (such as
+   * those running in a browser) never create one.
+   * @returns {CookieJar} The client's cookie jar.
+   */
+  [_getCookieJar]() {
+    if (!this[PRIVATE].cookieJar) {
+      this[PRIVATE].cookieJar = new CookieJar(new MemoryCookieStore(), {
+        rejectPublicSuffixes: false,
+      });
+    }
+    return this[PRIVATE].cookieJar;
   }
 }
 
@@ -9,28 +9,68 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 
+const fs = require("fs");
 const { Cookie, CookieJar, MemoryCookieStore } = require("tough-cookie");
 const { v4: uuid } = require("uuid");
 
 const {
   objectToJson,
+  isStreamBody,
+  isIdempotentMethod,
+  getHeaderValue,
   parseCookieHeader,
   buildCookieLookup,
 } = require("./http-utils");
 const DefaultLogger = require("./default-logger");
 const ErrorStatusCode = require("./retry-strategies/error-status-code");
 const NetworkError = require("./retry-strategies/network-error");
+const TooManyRequests = require("./retry-strategies/too-many-requests");
 const RetryStrategy = require("./retry-strategies/retry-strategy");
+const RetryRule = require("./retry-strategies/retry-rule");
+const { toStrategy } = require("./retry-strategies/combinators");
 const EventuallyConsistentCreate = require("./retry-strategies/eventually-consistent-create");
 const EventuallyConsistentUpdate = require("./retry-strategies/eventually-consistent-update");
 const EventuallyConsistentDelete = require("./retry-strategies/eventually-consistent-delete");
+const LongRunningOperation = require("./retry-strategies/long-running-operation");
+const VerifyCreate = require("./retry-strategies/verify-create");
+const VerifyUpdate = require("./retry-strategies/verify-update");
 const HttpResponse = require("./http-response");
-const { DEFAULT_TIMEOUT } = require("./constants");
+const { DEFAULT_TIMEOUT, JITTER_NONE } = require("./constants");
 const typedefs = require("./typedefs");
 
 const DEFAULT_RETRY_COUNT = 3;
 const DEFAULT_RETRY_DELAY = 1000;
 const DEFAULT_RETRY_DELAY_MULTIPLE = 2;
+const DEFAULT_MAX_RETRY_AFTER = 300000; // five minutes
+const DEFAULT_CIRCUIT_FAILURE_THRESHOLD = 5;
+const DEFAULT_CIRCUIT_WINDOW = 60000; // one minute
+const DEFAULT_CIRCUIT_RESET_TIMEOUT = 30000; // thirty seconds
+const DEFAULT_CIRCUIT_HALF_OPEN_REQUESTS = 1;
+const DEFAULT_RETRY_BUDGET_PERCENT = 20;
+const DEFAULT_RETRY_BUDGET_MIN_PER_SECOND = 1;
+const DEFAULT_RETRY_BUDGET_WINDOW = 10000; // ten seconds
+const RETRY_BUDGET_CLIENT_KEY = "*";
+const DEFAULT_OPERATION_STATUS_FIELD = "status";
+const DEFAULT_OPERATION_SUCCESS_VALUES = [
+  "succeeded",
+  "success",
+  "completed",
+  "complete",
+  "done",
+];
+const DEFAULT_OPERATION_FAILURE_VALUES = [
+  "failed",
+  "failure",
+  "canceled",
+  "cancelled",
+  "error",
+];
+const DEFAULT_OPERATION_RESULT_FIELD = "resourceLocation";
+const DEFAULT_OPERATION_MAX_POLLS = 60;
+const DEFAULT_VERIFY_MAX_ATTEMPTS = 10;
+const DEFAULT_CONCURRENT_UPDATE_METHOD = "PUT";
+const DEFAULT_CONCURRENT_UPDATE_MAX_ATTEMPTS = 5;
+const DEFAULT_CONCURRENT_UPDATE_CONFLICTS = [409, 412];
 
 // private methods
 const PRIVATE = Symbol("PRIVATE");
@@ -38,6 +78,19 @@ const _getRetryOptions = Symbol("_getRetryOptions");
 const _getCookieLookup = Symbol("_getCookieLookup");
 const _log = Symbol("_log");
 
+/**
+ * Retrieves the origin of a URL, such as "https://myhost.com".
+ * @param {string} url URL whose origin should be retrieved.
+ * @returns {string} The URL's origin, or the URL itself if it can't be parsed.
+ */
+function getOrigin(url) {
+  try {
+    return new URL(url).origin;
+  } catch (e) {
+    return url;
+  }
+}
+
 class HttpOptions {
   /**
    * Constructs a new instance of the options class that uses the given raw set
@@ -62,6 +115,15 @@ class HttpOptions {
     return url;
   }
 
+  /**
+   * Retrieves the origin of the URL to be requested by the client, such as
+   * "https://myhost.com".
+   * @returns {string} The URL's origin, or the URL itself if it can't be parsed.
+   */
+  getOrigin() {
+    return getOrigin(String(this.getUrl()));
+  }
+
   /**
    * Retrieves the method to be used in a request.
    * @returns {string} An HTTP method.
@@ -71,6 +133,45 @@ class HttpOptions {
     return method;
   }
 
+  /**
+   * Retrieves the value of the request's Idempotency-Key header, if it has one.
+   * @returns {string} The request's idempotency key, or undefined if there isn't one.
+   */
+  getIdempotencyKey() {
+    const { headers } = this.getOptions();
+    return getHeaderValue(headers, "idempotency-key");
+  }
+
+  /**
+   * Adds an Idempotency-Key header to the request if the options' "idempotencyKey"
+   * option is enabled. The header will only be added if the request doesn't already
+   * have one, so the key stays the same across all of the request's retries.
+   */
+  addIdempotencyKey() {
+    const { idempotencyKey } = this.getClientOptions();
+    if (!idempotencyKey || this.getIdempotencyKey()) {
+      return;
+    }
+    const key = typeof idempotencyKey === "string" ? idempotencyKey : uuid();
+    const { headers = {} } = this.getOptions();
+    this.setRequestOptions({
+      headers: {
+        ...headers,
+        "idempotency-key": key,
+      },
+    });
+  }
+
+  /**
+   * Retrieves a value indicating whether the request can safely be sent more than
+   * once. This is the case if its method is idempotent, or if it has an
+   * Idempotency-Key header.
+   * @returns {boolean} True if the request is idempotent.
+   */
+  isIdempotent() {
+    return isIdempotentMethod(this.getMethod()) || !!this.getIdempotencyKey();
+  }
+
   /**
    * Retrieves the number of times that the request has been retried so far.
    * @returns {number} Retry count.
@@ -99,6 +200,17 @@ class HttpOptions {
     return retryResponses;
   }
 
+  /**
+   * Retrieves the delays of each of the retries for the current request. Each item
+   * includes the delay as computed by exponential backoff ("computed") and the delay
+   * that the client actually waited after applying jitter ("jittered").
+   * @returns {Array<object>} Array of delays registered with the options.
+   */
+  getRetryDelays() {
+    const { retryDelays = [] } = this.getClientOptions();
+    return [...retryDelays];
+  }
+
   /**
    * Retrieves the amount of time, in milliseconds, that it took for the most recent
    * request's response to be provided by the underlying HTTP backend.
@@ -116,23 +228,34 @@ class HttpOptions {
 
   /**
    * Sets the raw HTTP request options upon which the client's options are based. This will merge
-   * the current options with the given options.
+   * the current options with the given options. Client options in "cloudClient" are merged
+   * with the current client options.
    * @param {typedefs.RequestOptions} options Raw HTTP request options.
    */
   setRequestOptions(options) {
-    this[PRIVATE].options = {
+    const newOptions = {
       ...this[PRIVATE].options,
       ...options,
     };
+    if (options.cloudClient) {
+      newOptions.cloudClient = {
+        ...this.getClientOptions(),
+        ...options.cloudClient,
+      };
+    }
+    this[PRIVATE].options = newOptions;
   }
 
   /**
-   * Records the start time of the most recent request.
+   * Records the start time of the most recent request. The start time of the
+   * request's first attempt is also remembered.
    * @param {number} startTime Timestamp, in milliseconds.
    */
   setStartTime(startTime) {
+    const { firstStartTime = startTime } = this.getClientOptions();
     this.addClientOptions({
       startTime,
+      firstStartTime,
       endTime: 0,
     });
   }
@@ -151,8 +274,10 @@ class HttpOptions {
    * and add the given delay to the options' retryWait value.
    * @param {HttpResponse} response Response to add to the option's retryResponses.
    * @param {number} retryDelay Timespan, in milliseconds, to add to the options' retryWait.
+   * @param {number} [computedDelay] The delay, in milliseconds, as it was calculated
+   *  before jitter was applied to it. Defaults to the retry delay.
    */
-  addRetry(response, retryDelay) {
+  addRetry(response, retryDelay, computedDelay = retryDelay) {
     const clientOptions = this.getClientOptions();
     const { retries = 0, retryWait = 0, retryResponses = [] } = clientOptions;
 
@@ -162,6 +287,10 @@ class HttpOptions {
       retries: retries + 1,
       retryWait: retryWait + retryDelay,
       retryResponses,
+      retryDelays: [
+        ...this.getRetryDelays(),
+        { computed: computedDelay, jittered: retryDelay },
+      ],
     };
 
     this.addClientOptions(newOptions);
@@ -173,8 +302,9 @@ class HttpOptions {
    *
    * Each strategy is responsible for examining a response and determining whether
    * it warrants a retry. The client will initiate a retry based on the first
-   * strategy that indicates a retry is necessary.
-   * @returns {Array<typedefs.RetryStrategy>} Strategies to use to initiate retries.
+   * strategy that indicates a retry is necessary. Strategies are ordered by their
+   * priority, highest first, and strategies with the same priority keep their order.
+   * @returns {Array<RetryStrategy>} Strategies to use to initiate retries.
    */
   getRetryStrategies() {
     const {
@@ -182,26 +312,55 @@ class HttpOptions {
       eventuallyConsistentUpdate = false,
       eventuallyConsistentDelete = false,
     } = this.getClientOptions();
-    const allStrategies = [new ErrorStatusCode(), new NetworkError()];
-    const { strategies = [] } = this[_getRetryOptions]();
+    const { strategies = [], defaults = true } = this[_getRetryOptions]();
+    const allStrategies = [];
+    if (defaults) {
+      allStrategies.push(new ErrorStatusCode());
+      if (this.getThrottlingOptions()) {
+        allStrategies.push(new TooManyRequests());
+      }
+      allStrategies.push(new NetworkError());
+    }
 
     strategies.forEach((strategy) => {
-      allStrategies.push(new RetryStrategy(strategy));
+      allStrategies.push(toStrategy(strategy));
     });
 
+    const verifyCreateOptions = this.getVerifyCreateOptions();
+    if (verifyCreateOptions) {
+      allStrategies.push(new VerifyCreate(verifyCreateOptions));
+    }
+
+    const verifyUpdateOptions = this.getVerifyUpdateOptions();
+    if (verifyUpdateOptions) {
+      allStrategies.push(new VerifyUpdate(verifyUpdateOptions));
+    }
+
     if (eventuallyConsistentCreate) {
       allStrategies.push(new EventuallyConsistentCreate());
     }
 
     if (eventuallyConsistentUpdate) {
-      allStrategies.push(new EventuallyConsistentUpdate());
+      allStrategies.push(
+        new EventuallyConsistentUpdate(
+          eventuallyConsistentUpdate === true ? {} : eventuallyConsistentUpdate
+        )
+      );
     }
 
     if (eventuallyConsistentDelete) {
       allStrategies.push(new EventuallyConsistentDelete());
     }
 
-    return allStrategies;
+    const operationOptions = this.getLongRunningOperationOptions();
+    if (operationOptions) {
+      allStrategies.push(new LongRunningOperation(operationOptions));
+    }
+
+    // sorting is stable, so strategies with the same priority keep their order
+    return allStrategies.sort(
+      (first, second) => second.getPriority() - first.getPriority()
+    );
   }
 
   /**
@@ -239,6 +398,47 @@ class HttpOptions {
     return delayMultiple;
   }
 
+  /**
+   * Retrieves the type of randomness that the client should apply to the delay
+   * before retrying a request. One of "none", "full", "equal", or "decorrelated".
+   *
+   * This jitter will only be used when a retry strategy doesn't provide its own
+   * value.
+   *
+   * Default is "none".
+   * @returns {string} Jitter mode.
+   */
+  getRetryJitter() {
+    const { jitter = JITTER_NONE } = this[_getRetryOptions]();
+    return jitter;
+  }
+
+  /**
+   * Retrieves the maximum amount of time, in milliseconds, that the client should
+   * wait before retrying a request, regardless of how many times it's been retried.
+   * Doesn't apply to delays provided by the server in a Retry-After header.
+   * @returns {number} Time span in milliseconds, or undefined if there's no maximum.
+   */
+  getRetryMaxDelay() {
+    const { maxDelay } = this[_getRetryOptions]();
+    return maxDelay;
+  }
+
+  /**
+   * Retrieves the maximum amount of time, in milliseconds, that the client will wait
+   * when a server requests a delay through a header like Retry-After. Requests whose
+   * server asks for a longer wait won't be retried. A value of -1 indicates that
+   * there's no maximum.
+   *
+   * Default is 300000 (five minutes).
+   * @returns {number} Time span in milliseconds.
+   */
+  getMaxRetryAfter() {
+    const { maxRetryAfter = DEFAULT_MAX_RETRY_AFTER } =
+      this[_getRetryOptions]();
+    return maxRetryAfter;
+  }
+
   /**
    * Gets the number of times that the client should retry a request before
    * giving up.
@@ -256,12 +456,288 @@ class HttpOptions {
 
   /**
    * Retrieves the timeout value, in milliseconds, as specified in the client's
-   * options.
+   * options. If the request has a deadline, the timeout will be shortened so that
+   * the request doesn't exceed the deadline.
    * @returns {number} Timespan in milliseconds.
    */
   getTimeout() {
     const { timeout = DEFAULT_TIMEOUT } = this.getClientOptions();
-    return timeout;
+    return this.fitTimeToDeadline(timeout);
+  }
+
+  /**
+   * Retrieves the maximum amount of time, in milliseconds, that the client should spend
+   * on a request, including all of its retries. Provided as either "retry.deadline" or
+   * "totalTimeout" in the client's options.
+   * @returns {number} Time span in milliseconds, or undefined if there's no deadline.
+   */
+  getDeadline() {
+    const { totalTimeout } = this.getClientOptions();
+    const { deadline = totalTimeout } = this[_getRetryOptions]();
+    return deadline;
+  }
+
+  /**
+   * Retrieves the amount of time, in milliseconds, that remains before the request
+   * reaches its deadline. Time is measured from the start of the request's first
+   * attempt.
+   * @returns {number} Time span in milliseconds, or undefined if there's no deadline.
+   */
+  getRemainingTime() {
+    const deadline = this.getDeadline();
+    if (!deadline) {
+      return undefined;
+    }
+    const { firstStartTime } = this.getClientOptions();
+    if (!firstStartTime) {
+      return deadline;
+    }
+    return deadline - (new Date().getTime() - firstStartTime);
+  }
+
+  /**
+   * Shortens a timespan so that it doesn't exceed the time remaining before the
+   * request's deadline.
+   * @param {number} time Time span, in milliseconds.
+   * @returns {number} The given time span, or the remaining time if it's shorter.
+   */
+  fitTimeToDeadline(time) {
+    const remaining = this.getRemainingTime();
+    if (remaining === undefined) {
+      return time;
+    }
+    // a timeout of 0 often means "no timeout", so always provide at least 1ms
+    return Math.max(1, Math.min(time, remaining));
+  }
+
+  /**
+   * Retrieves the settings of the circuit breaker that applies to the request, with
+   * defaults applied to settings that weren't provided.
+   * @returns {typedefs.CircuitBreakerOptions|boolean} The circuit breaker's settings, or
+   *  false if the request doesn't use a circuit breaker.
+   */
+  getCircuitBreakerOptions() {
+    const { circuitBreaker } = this.getClientOptions();
+    if (!circuitBreaker) {
+      return false;
+    }
+    const {
+      failureThreshold = DEFAULT_CIRCUIT_FAILURE_THRESHOLD,
+      window = DEFAULT_CIRCUIT_WINDOW,
+      resetTimeout = DEFAULT_CIRCUIT_RESET_TIMEOUT,
+      halfOpenRequests = DEFAULT_CIRCUIT_HALF_OPEN_REQUESTS,
+      key,
+    } = circuitBreaker === true ? {} : circuitBreaker;
+    return { failureThreshold, window, resetTimeout, halfOpenRequests, key };
+  }
+
+  /**
+   * Retrieves the key of the circuit that the request belongs to. By default this is
+   * the origin of the request's URL, but can be provided by the circuit breaker's
+   * "key" function.
+   * @returns {string} Key of the request's circuit.
+   */
+  getCircuitKey() {
+    const { key } = this.getCircuitBreakerOptions();
+    const url = String(this.getUrl());
+    if (key) {
+      return key(url);
+    }
+    return this.getOrigin();
+  }
+
+  /**
+   * Retrieves the settings of the retry budget that applies to the request, with
+   * defaults applied to settings that weren't provided.
+   * @returns {typedefs.RetryBudgetOptions|boolean} The retry budget's settings, or
+   *  false if the request doesn't use a retry budget.
+   */
+  getRetryBudgetOptions() {
+    const { retryBudget } = this.getClientOptions();
+    if (!retryBudget) {
+      return false;
+    }
+    const {
+      percent = DEFAULT_RETRY_BUDGET_PERCENT,
+      minRetriesPerSecond = DEFAULT_RETRY_BUDGET_MIN_PER_SECOND,
+      window = DEFAULT_RETRY_BUDGET_WINDOW,
+      perHost = false,
+      failuresOnly = false,
+    } = retryBudget === true ? {} : retryBudget;
+    return { percent, minRetriesPerSecond, window, perHost, failuresOnly };
+  }
+
+  /**
+   * Retrieves the key of the retry budget that the request draws from. When the
+   * budget is tracked per host, this is the origin of the request's URL. Otherwise
+   * all of the client's requests share the same key.
+   * @returns {string} Key of the request's retry budget.
+   */
+  getRetryBudgetKey() {
+    const { perHost } = this.getRetryBudgetOptions();
+    if (perHost) {
+      return this.getOrigin();
+    }
+    return RETRY_BUDGET_CLIENT_KEY;
+  }
+
+  /**
+   * Retrieves the settings that control how the client handles 429 (Too Many Requests)
+   * responses. Throttling is enabled unless it's explicitly disabled.
+   * @returns {typedefs.ThrottlingOptions|boolean} The throttling settings, or false if
+   *  the client shouldn't handle 429 responses.
+   */
+  getThrottlingOptions() {
+    const { throttling = true } = this.getClientOptions();
+    if (!throttling) {
+      return false;
+    }
+    const { pauseHost = true } = throttling === true ? {} : throttling;
+    return { pauseHost };
+  }
+
+  /**
+   * Retrieves the settings that control how the client polls long-running operations,
+   * with defaults applied to settings that weren't provided.
+   * @returns {typedefs.LongRunningOperationOptions|boolean} The operation settings, or
+   *  false if the client shouldn't poll long-running operations.
+   */
+  getLongRunningOperationOptions() {
+    const { longRunningOperation } = this.getClientOptions();
+    if (!longRunningOperation) {
+      return false;
+    }
+    const {
+      statusField = DEFAULT_OPERATION_STATUS_FIELD,
+      successValues = DEFAULT_OPERATION_SUCCESS_VALUES,
+      failureValues = DEFAULT_OPERATION_FAILURE_VALUES,
+      resultField = DEFAULT_OPERATION_RESULT_FIELD,
+      fetchResult = false,
+      pollDelay,
+      maxPolls = DEFAULT_OPERATION_MAX_POLLS,
+    } = longRunningOperation === true ? {} : longRunningOperation;
+    return {
+      statusField,
+      successValues: successValues.map((value) => value.toLowerCase()),
+      failureValues: failureValues.map((value) => value.toLowerCase()),
+      resultField,
+      fetchResult,
+      pollDelay,
+      maxPolls,
+    };
+  }
+
+  /**
+   * Retrieves the settings that control how the client verifies that resources it
+   * creates can be read, with defaults applied to settings that weren't provided.
+   * @returns {typedefs.VerifyCreateOptions|boolean} The verification settings, or
+   *  false if the client shouldn't verify creates.
+   */
+  getVerifyCreateOptions() {
+    const { verifyCreate } = this.getClientOptions();
+    if (!verifyCreate) {
+      return false;
+    }
+    const {
+      url,
+      maxAttempts = DEFAULT_VERIFY_MAX_ATTEMPTS,
+      delay,
+    } = verifyCreate === true ? {} : verifyCreate;
+    return { url, maxAttempts, delay };
+  }
+
+  /**
+   * Retrieves the settings that control how the client verifies that updates of
+   * resources are reflected by reads, with defaults applied to settings that weren't
+   * provided.
+   * @returns {typedefs.VerifyUpdateOptions|boolean} The verification settings, or
+   *  false if the client shouldn't verify updates.
+   */
+  getVerifyUpdateOptions() {
+    const { verifyUpdate } = this.getClientOptions();
+    if (!verifyUpdate) {
+      return false;
+    }
+    const { maxAttempts = DEFAULT_VERIFY_MAX_ATTEMPTS, delay } =
+      verifyUpdate === true ? {} : verifyUpdate;
+    return { maxAttempts, delay };
+  }
+
+  /**
+   * Retrieves the settings that control how updateWithConcurrency() reads, modifies
+   * and conditionally writes a resource, with defaults applied to settings that
+   * weren't provided.
+   * @returns {typedefs.ConcurrentUpdateOptions} The update's settings.
+   */
+  getConcurrentUpdateOptions() {
+    const { concurrentUpdate = {} } = this.getClientOptions();
+    const {
+      method = DEFAULT_CONCURRENT_UPDATE_METHOD,
+      maxAttempts = DEFAULT_CONCURRENT_UPDATE_MAX_ATTEMPTS,
+      delay = this.getRetryDelay(),
+      delayMultiple = this.getRetryDelayMultiple(),
+      conflictStatuses = DEFAULT_CONCURRENT_UPDATE_CONFLICTS,
+    } = concurrentUpdate;
+    return { method, maxAttempts, delay, delayMultiple, conflictStatuses };
+  }
+
+  /**
+   * Retrieves the AbortSignal that the caller provided to cancel the request, if any.
+   * @returns {AbortSignal} The caller's signal, or undefined if none was provided.
+   */
+  getAbortSignal() {
+    const { signal } = this.getOptions();
+    return signal;
+  }
+
+  /**
+   * Retrieves the body of the request, as provided in the options.
+   * @returns {*} The request's body, or undefined if there isn't one.
+   */
+  getBody() {
+    const { body } = this.getOptions();
+    return body;
+  }
+
+  /**
+   * Sets the body of the request.
+   * @param {*} body The request's new body.
+   */
+  setBody(body) {
+    this.setRequestOptions({ body });
+  }
+
+  /**
+   * Retrieves a value indicating whether the options provide a way of creating a new
+   * body for each attempt of the request, through either "bodyFactory" or "bodyFile".
+   * @returns {boolean} True if the request's body is created by the client.
+   */
+  hasBodyFactory() {
+    const { bodyFactory, bodyFile } = this.getClientOptions();
+    return !!(bodyFactory || bodyFile);
+  }
+
+  /**
+   * Creates a new body for the request, using either the "bodyFactory" or "bodyFile"
+   * provided in the options.
+   * @returns {Promise<*>} Resolves with the new body.
+   */
+  async createBody() {
+    const { bodyFactory, bodyFile } = this.getClientOptions();
+    if (bodyFactory) {
+      return bodyFactory();
+    }
+    return fs.createReadStream(bodyFile);
+  }
+
+  /**
+   * Retrieves a value indicating whether the request's body can be sent again if the
+   * request is retried. Streamed bodies are consumed by the first attempt, so they
+   * can only be replayed if the client is able to create them again.
+   * @returns {boolean} True if the request's body can be replayed.
+   */
+  isBodyReplayable() {
+    return this.hasBodyFactory() || !isStreamBody(this.getBody());
   }
 
   /**
@@ -272,7 +748,9 @@ class HttpOptions {
   async getCookieJar() {
     const { cookies } = this[PRIVATE];
     if (!cookies) {
-      const cookieJar = new CookieJar(new MemoryCookieStore(), { rejectPublicSuffixes: false });
+      const cookieJar = new CookieJar(new MemoryCookieStore(), {
+        rejectPublicSuffixes: false,
+      });
       let cookieList = [];
       const { headers = {} } = this.getOptions();
 
@@ -473,6 +951,27 @@ class HttpOptions {
       ...clientOptions,
     };
 
+    [
+      "circuitBreaker",
+      "retryBudget",
+      "throttling",
+      "longRunningOperation",
+      "verifyCreate",
+      "verifyUpdate",
+      "eventuallyConsistentUpdate",
+      "concurrentUpdate",
+    ].forEach((name) => {
+      if (
+        typeof options[name] === "object" &&
+        typeof clientOptions[name] === "object"
+      ) {
+        newOptions[name] = {
+          ...options[name],
+          ...clientOptions[name],
+        };
+      }
+    });
+
     if (Object.keys(existingRetry).length || Object.keys(retry).length) {
       newOptions.retry = {
         ...retry,
@@ -480,7 +979,14 @@ class HttpOptions {
       };
 
       if (existingStrategies.length || strategies.length) {
-        newOptions.retry.strategies = [...existingStrategies, ...strategies];
+        // options are merged again on every attempt, so skip strategies that were
+        // already merged
+        newOptions.retry.strategies = [
+          ...existingStrategies,
+          ...strategies.filter(
+            (strategy) => !existingStrategies.includes(strategy)
+          ),
+        ];
       }
     }
 
@@ -504,8 +1010,13 @@ class HttpOptions {
       retryResponses: this.getRetryResponses(),
       ...this.getClientOptions(),
     };
-    if (cloudClient.retry) {
-      if (cloudClient.retry.strategies) {
+    if (cloudClient.retry && cloudClient.retry.strategies) {
+      // declarative rules can be represented as JSON, but strategy functions can't
+      const rules = cloudClient.retry.strategies.filter(RetryRule.isRule);
+      cloudClient.retry = { ...cloudClient.retry };
+      if (rules.length) {
+        cloudClient.retry.strategies = rules;
+      } else {
         delete cloudClient.retry.strategies;
       }
     }
@@ -15,6 +15,10 @@ const { redactHeaders } = require("./http-utils");
 const PRIVATE = Symbol("PRIVATE");
 const _extend = Symbol("_extend");
 
+// responses are re-created throughout a request's lifecycle, so each raw response's
+// body is remembered to ensure that it's only read once
+const bodies = new WeakMap();
+
 /**
  * Represents a response received from the HttpClient after submitting a request. Provides
  * various accessors for retrieving information from the response.
@@ -62,6 +66,15 @@ class HttpResponse {
     return rawResponse.statusText;
   }
 
+  /**
+   * Retrieves the error that was associated with the response, if any.
+   * @returns {*} The response's error, or false if there isn't one.
+   */
+  getError() {
+    const { error } = this[PRIVATE];
+    return error;
+  }
+
   /**
    * Retrieves the raw response from the underlying HTTP backend, as-is.
    * @returns {*} Raw response of the underlying HTTP backend.
@@ -71,6 +84,55 @@ class HttpResponse {
     return rawResponse;
   }
 
+  /**
+   * Retrieves the body of the response as text. The body is only read from the raw
+   * response once, and reading it won't prevent the consumer of the client from
+   * reading the body of the final response.
+   * @returns {Promise<string>} Resolves with the response's body.
+   */
+  getBody() {
+    const rawResponse = this.getRawResponse();
+    if (!bodies.has(rawResponse)) {
+      bodies.set(
+        rawResponse,
+        Promise.resolve().then(() => this.readBody())
+      );
+    }
+    return bodies.get(rawResponse);
+  }
+
+  /**
+   * Retrieves the body of the response, parsed as JSON.
+   * @returns {Promise<*>} Resolves with the parsed body, or undefined if the
+   *  body is empty or isn't valid JSON.
+   */
+  async getJson() {
+    const body = await this.getBody();
+    try {
+      return body ? JSON.parse(body) : undefined;
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Does the work of reading the body of the raw response. Backends whose responses
+   * don't provide their body in a "body" property should override the method.
+   *
+   * Consumers should use getBody() instead, which ensures the body is only read once.
+   * @returns {Promise<string>} Resolves with the response's body.
+   */
+  async readBody() {
+    const { body } = this.getRawResponse();
+    if (body === undefined || body === null) {
+      return "";
+    } else if (typeof body === "object" && !ArrayBuffer.isView(body)) {
+      // body has already been parsed by the backend
+      return JSON.stringify(body);
+    }
+    return String(body);
+  }
+
   /**
    * Sets the amount of time, in milliseconds, that it took for the underlying
    * HTTP library to submit the request and get a response.
@@ -17,6 +17,41 @@
 
 const { Cookie } = require("tough-cookie");
 
+const {
+  IDEMPOTENT_METHODS,
+  ERROR_CONNECT_TIMEOUT,
+  ERROR_READ_TIMEOUT,
+  ERROR_RESET,
+  ERROR_REFUSED,
+  ERROR_DNS,
+  ERROR_TLS,
+  ERROR_ABORTED,
+  ERROR_UNKNOWN,
+} = require("./constants");
+
+const CONNECT_TIMEOUT_CODES = ["UND_ERR_CONNECT_TIMEOUT"];
+const READ_TIMEOUT_CODES = [
+  "ETIMEDOUT",
+  "ESOCKETTIMEDOUT",
+  "UND_ERR_HEADERS_TIMEOUT",
+  "UND_ERR_BODY_TIMEOUT",
+];
+const RESET_CODES = ["ECONNRESET", "EPIPE", "UND_ERR_SOCKET"];
+// the connection couldn't be established
+const REFUSED_CODES = ["ECONNREFUSED", "EHOSTUNREACH", "ENETUNREACH"];
+const DNS_CODES = ["ENOTFOUND", "EAI_AGAIN", "EAI_FAIL", "EAI_NONAME"];
+const TLS_CODE_PATTERN =
+  /^(ERR_TLS_|ERR_SSL_|CERT_|UNABLE_TO_|EPROTO$)|SELF_SIGNED/;
+const ABORTED_CODES = ["ABORT_ERR", "ERR_CANCELED", "ECONNABORTED"];
+const ABORTED_NAMES = ["AbortError", "CanceledError"];
+// browsers don't expose the cause of network failures
+const BROWSER_NETWORK_ERROR_PATTERN =
+  /^(Failed to fetch|NetworkError when attempting to fetch resource|Load failed)/;
+// request options that might contain the body of a request
+const BODY_OPTIONS = ["body", "data", "json", "form"];
+// request headers that describe the body of a request
+const BODY_HEADERS = ["content-type", "content-length"];
+
 /**
  * Converts a simple object to its JSON representation. Ensures that certain
  * types are emitted from the JSON.
@@ -136,8 +171,234 @@ function buildCookieLookup(cookieList) {
   return lookup;
 }
 
+/**
+ * Determines whether a request body is a stream, which can only be consumed once. This
+ * includes Node Readable streams, WHATWG ReadableStreams, and async iterables.
+ * @param {*} body Request body to check.
+ * @returns {boolean} True if the body is a stream.
+ */
+function isStreamBody(body) {
+  if (!body || typeof body !== "object") {
+    return false;
+  }
+  return (
+    typeof body.pipe === "function" ||
+    typeof body.getReader === "function" ||
+    typeof body[Symbol.asyncIterator] === "function"
+  );
+}
+
+/**
+ * Reads every chunk of a stream body, for libraries that can't send a stream
+ * themselves.
+ * @param {*} body Stream body to read. Must be a Node Readable stream, WHATWG
+ *  ReadableStream, or async iterable.
+ * @returns {Promise<Array<string|Uint8Array>>} Resolves with the body's chunks.
+ */
+async function readStreamBody(body) {
+  const chunks = [];
+  for await (const chunk of body) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+/**
+ * Determines whether an HTTP method is idempotent, meaning that sending a request
+ * multiple times has the same effect as sending it once.
+ * @param {string} [method] HTTP method to check. Defaults to GET.
+ * @returns {boolean} True if the method is idempotent.
+ */
+function isIdempotentMethod(method = "GET") {
+  return IDEMPOTENT_METHODS.includes(String(method).toUpperCase());
+}
+
+/**
+ * Classifies the error that a request failed with, so that the client can decide
+ * whether the failure is likely to be temporary. Understands errors from Node.JS,
+ * undici, axios, got, superagent, and fetch.
+ * @param {*} error Error to classify.
+ * @returns {string} One of "connect-timeout", "read-timeout", "reset", "refused",
+ *  "dns", "tls", "aborted", or "unknown".
+ */
+function classifyError(error) {
+  if (!error || typeof error !== "object") {
+    return ERROR_UNKNOWN;
+  }
+  // some libraries, such as native fetch, provide the underlying error as a cause
+  const { cause } = error;
+  const errors = cause && typeof cause === "object" ? [error, cause] : [error];
+  const codes = errors.map(({ code }) => String(code || ""));
+  const hasCode = (toCheck) => codes.some((code) => toCheck.includes(code));
+  const isTimeout =
+    errors.some(({ name }) => name === "TimeoutError") ||
+    hasCode(READ_TIMEOUT_CODES) ||
+    // axios and superagent use ECONNABORTED for both timeouts and aborts
+    (hasCode(["ECONNABORTED"]) && /timeout/i.test(error.message));
+
+  if (
+    hasCode(CONNECT_TIMEOUT_CODES) ||
+    (isTimeout &&
+      // got and Node.JS describe which part of the request timed out
+      (["lookup", "connect", "secureConnect"].includes(error.event) ||
+        error.syscall === "connect"))
+  ) {
+    return ERROR_CONNECT_TIMEOUT;
+  } else if (isTimeout) {
+    return ERROR_READ_TIMEOUT;
+  } else if (hasCode(RESET_CODES)) {
+    return ERROR_RESET;
+  } else if (hasCode(REFUSED_CODES)) {
+    return ERROR_REFUSED;
+  } else if (hasCode(DNS_CODES)) {
+    return ERROR_DNS;
+  } else if (codes.some((code) => TLS_CODE_PATTERN.test(code))) {
+    return ERROR_TLS;
+  } else if (
+    hasCode(ABORTED_CODES) ||
+    errors.some(({ name }) => ABORTED_NAMES.includes(name))
+  ) {
+    return ERROR_ABORTED;
+  } else if (
+    error.name === "NetworkError" ||
+    (error.name === "TypeError" &&
+      BROWSER_NETWORK_ERROR_PATTERN.test(error.message))
+  ) {
+    // treat the failure as a dropped connection, which is only retried for
+    // idempotent requests
+    return ERROR_RESET;
+  }
+  return ERROR_UNKNOWN;
+}
+
+/**
+ * Retrieves the value of a header from a set of request headers, regardless of the
+ * case of the header's name.
+ * @param {*} headers Simple object, or a Headers instance, containing headers.
+ * @param {string} name Name of the header to retrieve.
+ * @returns {*} The header's value, or undefined if it isn't present.
+ */
+function getHeaderValue(headers, name) {
+  if (!headers) {
+    return undefined;
+  }
+  if (typeof headers.get === "function" && typeof headers.has === "function") {
+    return headers.has(name) ? headers.get(name) : undefined;
+  }
+  const lowerName = name.toLowerCase();
+  const headerName = Object.keys(headers).find(
+    (key) => key.toLowerCase() === lowerName
+  );
+  return headerName ? headers[headerName] : undefined;
+}
+
+/**
+ * Creates a copy of a set of request headers, without the given headers.
+ * @param {*} headers Simple object, or a Headers instance, containing headers.
+ * @param {Array<string>} names Names of the headers to remove, regardless of case.
+ * @returns {*} Copy of the headers, of the same type as the original.
+ */
+function removeHeaders(headers, names) {
+  if (!headers) {
+    return headers;
+  }
+  if (typeof headers.delete === "function") {
+    const copy = new headers.constructor(headers);
+    names.forEach((name) => copy.delete(name));
+    return copy;
+  }
+  const lowerNames = names.map((name) => name.toLowerCase());
+  const copy = {};
+  Object.keys(headers).forEach((name) => {
+    if (!lowerNames.includes(name.toLowerCase())) {
+      copy[name] = headers[name];
+    }
+  });
+  return copy;
+}
+
+/**
+ * Creates a copy of a set of request headers, with the given headers added. Headers
+ * that are already present will be replaced, regardless of case.
+ * @param {*} headers Simple object, or a Headers instance, containing headers.
+ * @param {object} toSet Simple object containing the headers to set.
+ * @returns {*} Copy of the headers, of the same type as the original.
+ */
+function setHeaders(headers, toSet) {
+  if (headers && typeof headers.set === "function") {
+    const copy = new headers.constructor(headers);
+    Object.keys(toSet).forEach((name) => copy.set(name, toSet[name]));
+    return copy;
+  }
+  return {
+    ...removeHeaders(headers || {}, Object.keys(toSet)),
+    ...toSet,
+  };
+}
+
+/**
+ * Resolves a URL that might be relative to the URL of the request that provided it.
+ * @param {string} url URL to resolve.
+ * @param {string} baseUrl URL of the request that provided the URL.
+ * @returns {string} Absolute URL, or the URL as-is if it can't be resolved.
+ */
+function resolveUrl(url, baseUrl) {
+  try {
+    return new URL(url, baseUrl).href;
+  } catch (e) {
+    return url;
+  }
+}
+
+/**
+ * Builds the raw options of a GET request that's sent on behalf of another request,
+ * such as to read the result of the other request. The GET will have the other
+ * request's options and headers, but not its body or the headers that describe it.
+ * @param {*} options Raw options of the other request.
+ * @param {string} url URL to request.
+ * @param {object} [cloudClient] Client options to include in the GET's options.
+ * @param {Array<string>} [headersToRemove] Names of additional headers that the GET
+ *  shouldn't have.
+ * @returns {object} Raw request options.
+ */
+function createGetRequest(
+  options,
+  url,
+  cloudClient = {},
+  headersToRemove = []
+) {
+  const requestOptions = {
+    url,
+    method: "GET",
+    headers: removeHeaders(options.headers, [
+      ...BODY_HEADERS,
+      ...headersToRemove,
+    ]),
+    cloudClient: {
+      bodyFactory: undefined,
+      bodyFile: undefined,
+      ...cloudClient,
+    },
+  };
+  BODY_OPTIONS.forEach((bodyOption) => {
+    if (options[bodyOption] !== undefined) {
+      requestOptions[bodyOption] = undefined;
+    }
+  });
+  return requestOptions;
+}
+
 module.exports = {
   objectToJson,
+  isStreamBody,
+  readStreamBody,
+  isIdempotentMethod,
+  classifyError,
+  getHeaderValue,
+  removeHeaders,
+  setHeaders,
+  resolveUrl,
+  createGetRequest,
   parseMultipleFetchSetCookieHeaders,
   redactHeaders,
   parseCookieHeader,
@@ -0,0 +1,122 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const HttpOptions = require("./http-options");
+
+const PRIVATE = Symbol("PRIVATE");
+const _getBudget = Symbol("_getBudget");
+
+/**
+ * Limits the number of retries that a client will send, so that retries don't
+ * multiply the load on a service that's already struggling.
+ *
+ * Retries are allowed up to a percentage of the requests that succeeded within a
+ * rolling window of time, plus a small minimum number of retries per second. Once the
+ * budget is exhausted, requests are no longer retried until enough time passes, or
+ * until more requests succeed. Budgets are tracked for the whole client, or for each
+ * host.
+ */
+class RetryBudget {
+  constructor() {
+    this[PRIVATE] = {
+      budgets: {},
+    };
+  }
+
+  /**
+   * Records a request that succeeded, which adds to the number of retries that its
+   * budget allows. Does nothing if the request's retry budget is disabled.
+   * @param {HttpOptions} httpOptions Options of the request that succeeded.
+   */
+  recordSuccess(httpOptions) {
+    if (!httpOptions.getRetryBudgetOptions()) {
+      return;
+    }
+    const budget = this[_getBudget](httpOptions);
+    budget.successes.push(new Date().getTime());
+  }
+
+  /**
+   * Determines whether a request's budget allows it to be retried, and if so, records
+   * the retry against the budget. Retries are always allowed if the request's retry
+   * budget is disabled.
+   * @param {HttpOptions} httpOptions Options of the request to be retried.
+   * @returns {boolean} True if the request can be retried.
+   */
+  acquireRetry(httpOptions) {
+    if (!httpOptions.getRetryBudgetOptions()) {
+      return true;
+    }
+    const budget = this[_getBudget](httpOptions);
+    if (budget.retries.length >= this.getAllowedRetries(httpOptions)) {
+      return false;
+    }
+    budget.retries.push(new Date().getTime());
+    return true;
+  }
+
+  /**
+   * Retrieves the total number of retries that a request's budget currently allows
+   * within its window, including retries that have already been sent.
+   * @param {HttpOptions} httpOptions Options of a request that uses the budget.
+   * @returns {number} Number of retries, or Infinity if the request's retry budget is
+   *  disabled.
+   */
+  getAllowedRetries(httpOptions) {
+    const options = httpOptions.getRetryBudgetOptions();
+    if (!options) {
+      return Infinity;
+    }
+    const { percent, minRetriesPerSecond, window } = options;
+    const { successes } = this[_getBudget](httpOptions);
+    return Math.floor(
+      (minRetriesPerSecond * window) / 1000 + (successes.length * percent) / 100
+    );
+  }
+
+  /**
+   * Clears the successes and retries recorded for a budget. If no key is provided,
+   * all budgets will be reset.
+   * @param {string} [key] Key of the budget to reset, such as a URL's origin.
+   */
+  reset(key) {
+    if (key === undefined) {
+      this[PRIVATE].budgets = {};
+    } else {
+      delete this[PRIVATE].budgets[key];
+    }
+  }
+
+  /**
+   * Retrieves the budget that a request uses, creating it if necessary. Successes and
+   * retries that are outside of the budget's window are discarded.
+   * @param {HttpOptions} httpOptions Options of a request that uses the budget.
+   * @returns {object} The budget's information.
+   */
+  [_getBudget](httpOptions) {
+    const { budgets } = this[PRIVATE];
+    const key = httpOptions.getRetryBudgetKey();
+    const { window } = httpOptions.getRetryBudgetOptions();
+    if (!budgets[key]) {
+      budgets[key] = {
+        successes: [],
+        retries: [],
+      };
+    }
+    const budget = budgets[key];
+    const windowStart = new Date().getTime() - window;
+    budget.successes = budget.successes.filter((time) => time > windowStart);
+    budget.retries = budget.retries.filter((time) => time > windowStart);
+    return budget;
+  }
+}
+
+module.exports = RetryBudget;
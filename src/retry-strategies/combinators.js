@@ -0,0 +1,296 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const RetryStrategy = require("./retry-strategy");
+const RetryRule = require("./retry-rule");
+const typedefs = require("../typedefs");
+
+const PRIVATE = Symbol("PRIVATE");
+const _getDelegate = Symbol("_getDelegate");
+
+/**
+ * Converts an item of the "retry.strategies" option to a strategy. Strategy
+ * instances are used as-is, items without a "shouldRetry" function are treated as
+ * declarative rules, and other items are treated as a set of strategy functions.
+ * @param {RetryStrategy|typedefs.RetryStrategy|typedefs.RetryRule} strategy Item
+ *  to convert.
+ * @returns {RetryStrategy} The item as a strategy.
+ */
+function toStrategy(strategy) {
+  if (strategy instanceof RetryStrategy) {
+    return strategy;
+  }
+  return RetryRule.isRule(strategy)
+    ? new RetryRule(strategy)
+    : new RetryStrategy(strategy);
+}
+
+/**
+ * Determines whether a URL matches a pattern.
+ * @param {string|RegExp|Function} pattern If a string, the URL must start with the
+ *  pattern. If a RegExp, the URL must match the expression. If a function, the
+ *  function will receive the URL and must return true.
+ * @param {string} url URL to match against the pattern.
+ * @returns {boolean} True if the URL matches, false otherwise.
+ */
+function matchesUrl(pattern, url) {
+  if (pattern instanceof RegExp) {
+    return pattern.test(String(url));
+  } else if (typeof pattern === "function") {
+    return !!pattern(url);
+  }
+  return String(url).startsWith(String(pattern));
+}
+
+/**
+ * Retry strategy that combines the votes of other strategies. When the combined
+ * strategy wants a retry, one of the strategies, referred to as the delegate,
+ * provides the retry's settings, such as its delay and request options.
+ *
+ * The strategy's priority is the highest priority of the strategies it combines,
+ * unless it's given its own priority through withPriority().
+ */
+class CombinedStrategy extends RetryStrategy {
+  /**
+   * Constructs a new instance of the strategy.
+   * @param {string} name Name of the combination, for use in log messages.
+   * @param {Array<RetryStrategy>} strategies Strategies being combined.
+   * @param {Function} vote Receives the retry options, and returns a Promise that
+   *  resolves with the delegate if the request should be retried, or undefined
+   *  otherwise.
+   * @param {Function} getReason Receives the retry options and the delegate, and
+   *  returns a Promise that resolves with the reason for the retry.
+   */
+  constructor(name, strategies, vote, getReason) {
+    super();
+    this[PRIVATE] = {
+      name,
+      strategies,
+      vote,
+      getReason,
+      delegates: new WeakMap(),
+    };
+  }
+
+  /**
+   * Sets the priority of the combined strategy, in place of the highest priority of
+   * the strategies it combines.
+   * @param {number} priority Priority to use. The client consults strategies with a
+   *  higher priority first.
+   * @returns {CombinedStrategy} The strategy, for chaining.
+   */
+  withPriority(priority) {
+    this[PRIVATE].priority = priority;
+    return this;
+  }
+
+  async shouldRetry(retryOptions) {
+    const delegate = await this[_getDelegate](retryOptions);
+    return !!delegate;
+  }
+
+  async getRetryDelayMultiple(retryOptions) {
+    const delegate = await this[_getDelegate](retryOptions);
+    return delegate.getRetryDelayMultiple(retryOptions);
+  }
+
+  async getRetryDelay(retryOptions) {
+    const delegate = await this[_getDelegate](retryOptions);
+    return delegate.getRetryDelay(retryOptions);
+  }
+
+  async getRetryJitter(retryOptions) {
+    const delegate = await this[_getDelegate](retryOptions);
+    return delegate.getRetryJitter(retryOptions);
+  }
+
+  async getMaxRetryCount(retryOptions) {
+    const delegate = await this[_getDelegate](retryOptions);
+    return delegate.getMaxRetryCount(retryOptions);
+  }
+
+  async getRetryRequestOptions(retryOptions) {
+    const delegate = await this[_getDelegate](retryOptions);
+    return delegate.getRetryRequestOptions(retryOptions);
+  }
+
+  async getRetryReason(retryOptions) {
+    const { getReason } = this[PRIVATE];
+    const delegate = await this[_getDelegate](retryOptions);
+    return getReason(retryOptions, delegate);
+  }
+
+  getPriority() {
+    const { strategies, priority } = this[PRIVATE];
+    if (priority !== undefined) {
+      return priority;
+    }
+    return Math.max(...strategies.map((strategy) => strategy.getPriority()));
+  }
+
+  toString() {
+    const { name, strategies } = this[PRIVATE];
+    return `${name}(${strategies.join(", ")})`;
+  }
+
+  /**
+   * Determines the strategy that provides the settings of a retry. The result is
+   * remembered for each set of retry options, since the strategy's methods are
+   * called several times for the same response.
+   * @param {*} retryOptions Information about the current request.
+   * @returns {Promise<RetryStrategy>} The delegate, or undefined if the request
+   *  shouldn't be retried.
+   */
+  [_getDelegate](retryOptions) {
+    const { delegates, vote } = this[PRIVATE];
+    if (!delegates.has(retryOptions)) {
+      delegates.set(retryOptions, vote(retryOptions));
+    }
+    return delegates.get(retryOptions);
+  }
+}
+
+/**
+ * Creates a strategy that retries a request only if all of the given strategies want
+ * it to be retried. The first strategy provides the retry's settings.
+ * @param {...RetryStrategy|typedefs.RetryStrategy|typedefs.RetryRule} strategies
+ *  Strategies to combine.
+ * @returns {RetryStrategy} The combined strategy.
+ */
+function all(...strategies) {
+  const toCombine = strategies.map(toStrategy);
+  return new CombinedStrategy(
+    "all",
+    toCombine,
+    async (retryOptions) => {
+      for (let i = 0; i < toCombine.length; i++) {
+        if (!(await toCombine[i].shouldRetry(retryOptions))) {
+          return undefined;
+        }
+      }
+      return toCombine[0];
+    },
+    async (retryOptions) => {
+      const reasons = await Promise.all(
+        toCombine.map((strategy) => strategy.getRetryReason(retryOptions))
+      );
+      return reasons.join(" and ");
+    }
+  );
+}
+
+/**
+ * Creates a strategy that retries a request if any of the given strategies want it
+ * to be retried. The first of the strategies that wants a retry provides the
+ * retry's settings.
+ * @param {...RetryStrategy|typedefs.RetryStrategy|typedefs.RetryRule} strategies
+ *  Strategies to combine.
+ * @returns {RetryStrategy} The combined strategy.
+ */
+function any(...strategies) {
+  const toCombine = strategies.map(toStrategy);
+  return new CombinedStrategy(
+    "any",
+    toCombine,
+    async (retryOptions) => {
+      for (let i = 0; i < toCombine.length; i++) {
+        if (await toCombine[i].shouldRetry(retryOptions)) {
+          return toCombine[i];
+        }
+      }
+      return undefined;
+    },
+    async (retryOptions, delegate) =>
+      `${await delegate.getRetryReason(retryOptions)}, according to ${delegate}`
+  );
+}
+
+/**
+ * Creates a strategy that retries a request only if the given strategy doesn't want
+ * it to be retried. Retries use the settings in the client's retry options. Most
+ * useful in combination with all(), such as to exclude some responses from another
+ * strategy.
+ * @param {RetryStrategy|typedefs.RetryStrategy|typedefs.RetryRule} strategy
+ *  Strategy to negate.
+ * @returns {RetryStrategy} The negated strategy.
+ */
+function not(strategy) {
+  const toNegate = toStrategy(strategy);
+  const defaults = new RetryStrategy();
+  return new CombinedStrategy(
+    "not",
+    [toNegate],
+    async (retryOptions) =>
+      (await toNegate.shouldRetry(retryOptions)) ? undefined : defaults,
+    async (retryOptions) =>
+      `${RetryStrategy.describeResponse(
+        retryOptions
+      )}, which ${toNegate} doesn't retry`
+  );
+}
+
+/**
+ * Creates a strategy that only applies the given strategy to requests that use one
+ * of the given HTTP methods.
+ * @param {Array<string>} methods HTTP methods, regardless of case.
+ * @param {RetryStrategy|typedefs.RetryStrategy|typedefs.RetryRule} strategy
+ *  Strategy to apply.
+ * @returns {RetryStrategy} The restricted strategy.
+ */
+function forMethods(methods, strategy) {
+  const toApply = toStrategy(strategy);
+  const upperMethods = methods.map((method) => String(method).toUpperCase());
+  return new CombinedStrategy(
+    `forMethods ${upperMethods.join(",")}`,
+    [toApply],
+    async (retryOptions) =>
+      upperMethods.includes(retryOptions.method) &&
+      (await toApply.shouldRetry(retryOptions))
+        ? toApply
+        : undefined,
+    async (retryOptions) => toApply.getRetryReason(retryOptions)
+  );
+}
+
+/**
+ * Creates a strategy that only applies the given strategy to requests whose URL
+ * matches one of the given patterns.
+ * @param {string|RegExp|Function|Array<string|RegExp|Function>} urls Patterns that
+ *  the request's URL must match. A string matches URLs that start with it, a RegExp
+ *  matches URLs that match the expression, and a function will receive the URL and
+ *  must return true.
+ * @param {RetryStrategy|typedefs.RetryStrategy|typedefs.RetryRule} strategy
+ *  Strategy to apply.
+ * @returns {RetryStrategy} The restricted strategy.
+ */
+function forUrls(urls, strategy) {
+  const toApply = toStrategy(strategy);
+  const patterns = Array.isArray(urls) ? urls : [urls];
+  return new CombinedStrategy(
+    `forUrls ${patterns.join(",")}`,
+    [toApply],
+    async (retryOptions) =>
+      patterns.some((pattern) => matchesUrl(pattern, retryOptions.url)) &&
+      (await toApply.shouldRetry(retryOptions))
+        ? toApply
+        : undefined,
+    async (retryOptions) => toApply.getRetryReason(retryOptions)
+  );
+}
+
+module.exports = {
+  toStrategy,
+  all,
+  any,
+  not,
+  forMethods,
+  forUrls,
+};
@@ -14,12 +14,20 @@ const RetryStrategy = require("./retry-strategy");
 /**
  * Retry strategy that will indicate that a retry is warranted when the response to
  * an HTTP request indicates an error-level HTTP status code such as 500.
+ *
+ * The server received requests that have a response, so only idempotent requests
+ * will be retried.
  */
 class ErrorStatusCode extends RetryStrategy {
   async shouldRetry(retryOptions) {
-    const { response = {} } = retryOptions;
+    const { response = {}, idempotent = true } = retryOptions;
     const { status } = response;
-    return status >= 500 && status < 600;
+    return idempotent && status >= 500 && status < 600;
+  }
+
+  async getRetryReason(retryOptions) {
+    const { status } = retryOptions.response;
+    return `the response had server error status ${status}`;
   }
 }
 
@@ -21,6 +21,10 @@ class EventuallyConsistentCreate extends RetryStrategy {
     const { status } = response;
     return status === 404;
   }
+
+  async getRetryReason() {
+    return "the resource may not be available yet, status 404";
+  }
 }
 
 module.exports = EventuallyConsistentCreate;
@@ -21,6 +21,11 @@ class EventuallyConsistentDelete extends RetryStrategy {
     const { status } = response;
     return status && status !== 404;
   }
+
+  async getRetryReason(retryOptions) {
+    const { status } = retryOptions.response;
+    return `the deleted resource may still be available, status ${status}`;
+  }
 }
 
 module.exports = EventuallyConsistentDelete;
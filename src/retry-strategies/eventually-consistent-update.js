@@ -10,18 +10,57 @@ governing permissions and limitations under the License.
 */
 
 const RetryStrategy = require("./retry-strategy");
+const { getHeaderValue, setHeaders } = require("../http-utils");
+const typedefs = require("../typedefs");
+
+const PRIVATE = Symbol("PRIVATE");
 
 /**
  * Retry strategy that assumes the target is an eventually consistent system, and will indicate
- * that a retry is warranted when the response etag does not match the request if-match if both
- * are present.
+ * that a retry is warranted when the response is 412, meaning that the request's If-Match
+ * header didn't match the ETag of the resource that the server read.
+ *
+ * If the strategy is given a "getEtag" function, the function will be used to re-read the
+ * resource's current ETag, and the retry will use that ETag as its If-Match header.
+ * Otherwise the retry will resend the original If-Match header.
  */
 class EventuallyConsistentUpdate extends RetryStrategy {
+  /**
+   * Constructs a new instance of the strategy.
+   * @param {typedefs.EventuallyConsistentUpdateOptions} [updateOptions] Options for
+   *  controlling how the strategy behaves.
+   */
+  constructor(updateOptions = {}) {
+    super();
+    this[PRIVATE] = {
+      updateOptions,
+    };
+  }
+
   async shouldRetry(retryOptions) {
     const { response = {} } = retryOptions;
     const { status } = response;
     return status === 412;
   }
+
+  async getRetryReason() {
+    return "the update's precondition failed with status 412, which may be due to a stale read";
+  }
+
+  async getRetryRequestOptions(retryOptions) {
+    const { getEtag } = this[PRIVATE].updateOptions;
+    const { options = {} } = retryOptions;
+    if (!getEtag || !getHeaderValue(options.headers, "if-match")) {
+      return {};
+    }
+    const etag = await getEtag(retryOptions);
+    if (!etag) {
+      return {};
+    }
+    return {
+      headers: setHeaders(options.headers, { "If-Match": etag }),
+    };
+  }
 }
 
 module.exports = EventuallyConsistentUpdate;
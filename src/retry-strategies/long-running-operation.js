@@ -0,0 +1,240 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const RetryStrategy = require("./retry-strategy");
+const {
+  getHeaderValue,
+  resolveUrl,
+  createGetRequest,
+} = require("../http-utils");
+const typedefs = require("../typedefs");
+
+const PRIVATE = Symbol("PRIVATE");
+const _getNextRequest = Symbol("_getNextRequest");
+const _findNextRequest = Symbol("_findNextRequest");
+const _createRequest = Symbol("_createRequest");
+
+// headers that provide the URL of an operation's status, in order of precedence
+const STATUS_HEADERS = [
+  "operation-location",
+  "azure-asyncoperation",
+  "location",
+];
+
+/**
+ * Retrieves the value of a JSON field as a lowercase string.
+ * @param {*} json JSON whose field should be retrieved.
+ * @param {string} field Name of the field, which may use dots to refer to nested
+ *  fields. For example, "properties.status".
+ * @returns {string} The field's value, or undefined if it isn't present.
+ */
+function getJsonField(json, field) {
+  const value = String(field)
+    .split(".")
+    .reduce(
+      (parent, name) =>
+        parent && typeof parent === "object" ? parent[name] : undefined,
+      json
+    );
+  return value === undefined || value === null ? undefined : String(value);
+}
+
+/**
+ * Retry strategy that polls the status of a long-running operation. When a request is
+ * accepted with a 202 status code and a header containing the URL of the operation's
+ * status, the strategy will poll that URL until the operation reaches a terminal state.
+ *
+ * The operation is complete when its status URL no longer responds with 202, and its
+ * status field (if any) doesn't indicate that it's still running. If configured to do
+ * so, the strategy will then fetch the operation's final resource.
+ *
+ * Information about the operation, including the URL and method of the original
+ * request, is kept in the request's client options as "operation".
+ */
+class LongRunningOperation extends RetryStrategy {
+  /**
+   * Constructs a new instance of the strategy.
+   * @param {typedefs.LongRunningOperationOptions} operationOptions Options for
+   *  controlling how the operation is polled, with defaults applied.
+   */
+  constructor(operationOptions) {
+    super();
+    this[PRIVATE] = {
+      operationOptions,
+      nextRequests: new WeakMap(),
+    };
+  }
+
+  async shouldRetry(retryOptions) {
+    const nextRequest = await this[_getNextRequest](retryOptions);
+    return !!nextRequest;
+  }
+
+  async getRetryDelayMultiple() {
+    return 1;
+  }
+
+  async getRetryDelay(retryOptions) {
+    const { pollDelay = retryOptions.delay } = this[PRIVATE].operationOptions;
+    // a server's Retry-After header always takes precedence
+    return retryOptions.retryAfter || pollDelay;
+  }
+
+  async getMaxRetryCount() {
+    // the strategy enforces its own limit on the number of polls
+    return -1;
+  }
+
+  async getRetryRequestOptions(retryOptions) {
+    const nextRequest = await this[_getNextRequest](retryOptions);
+    return nextRequest || {};
+  }
+
+  async getRetryReason(retryOptions) {
+    const { url } = (await this[_getNextRequest](retryOptions)) || {};
+    return `the operation hasn't finished, requesting ${url}`;
+  }
+
+  /**
+   * Determines the request that should be sent next for the operation, if any. The
+   * result is remembered for each set of retry options, since the strategy's methods
+   * are called several times for the same response.
+   * @param {*} retryOptions Information about the current request.
+   * @returns {Promise<object>} Raw options of the next request, or undefined if the
+   *  operation doesn't need another request.
+   */
+  async [_getNextRequest](retryOptions) {
+    const { nextRequests } = this[PRIVATE];
+    if (!nextRequests.has(retryOptions)) {
+      nextRequests.set(retryOptions, this[_findNextRequest](retryOptions));
+    }
+    return nextRequests.get(retryOptions);
+  }
+
+  /**
+   * Examines the response to the current request of an operation, and determines the
+   * request that should be sent next.
+   * @param {*} retryOptions Information about the current request.
+   * @returns {Promise<object>} Raw options of the next request, or undefined if the
+   *  operation doesn't need another request.
+   */
+  async [_findNextRequest](retryOptions) {
+    const {
+      url,
+      method,
+      options = {},
+      response,
+      getJson = async () => undefined,
+    } = retryOptions;
+    const { statusField, successValues, failureValues, resultField } =
+      this[PRIVATE].operationOptions;
+    const { fetchResult, maxPolls } = this[PRIVATE].operationOptions;
+    if (!response) {
+      return undefined;
+    }
+    const { status, headers } = response;
+    const { cloudClient = {} } = options;
+    const { operation } = cloudClient;
+
+    if (!operation) {
+      if (status !== 202) {
+        return undefined;
+      }
+      const statusHeader = STATUS_HEADERS.find((name) =>
+        getHeaderValue(headers, name)
+      );
+      if (!statusHeader) {
+        return undefined;
+      }
+      const location = getHeaderValue(headers, "location");
+      return this[_createRequest](retryOptions, {
+        url,
+        method,
+        statusUrl: resolveUrl(getHeaderValue(headers, statusHeader), url),
+        resultUrl:
+          statusHeader !== "location" && location
+            ? resolveUrl(location, url)
+            : undefined,
+        polls: 0,
+      });
+    }
+
+    if (operation.state === "fetching" || operation.polls >= maxPolls) {
+      return undefined;
+    }
+
+    if (status === 202) {
+      // the operation's status URL might change while it's running
+      const statusHeader = STATUS_HEADERS.find((name) =>
+        getHeaderValue(headers, name)
+      );
+      return this[_createRequest](retryOptions, {
+        ...operation,
+        statusUrl: statusHeader
+          ? resolveUrl(getHeaderValue(headers, statusHeader), url)
+          : operation.statusUrl,
+      });
+    }
+    if (status >= 300) {
+      return undefined;
+    }
+
+    const json = await getJson();
+    const state = getJsonField(json, statusField);
+    if (state !== undefined) {
+      const lowerState = state.toLowerCase();
+      if (failureValues.includes(lowerState)) {
+        return undefined;
+      }
+      if (!successValues.includes(lowerState)) {
+        return this[_createRequest](retryOptions, operation);
+      }
+    }
+
+    const location = getHeaderValue(headers, "location");
+    let resultUrl = operation.resultUrl;
+    if (!resultUrl && getJsonField(json, resultField)) {
+      resultUrl = resolveUrl(getJsonField(json, resultField), url);
+    } else if (!resultUrl && location) {
+      resultUrl = resolveUrl(location, url);
+    }
+    if (!fetchResult || !resultUrl) {
+      return undefined;
+    }
+    return this[_createRequest](
+      retryOptions,
+      { ...operation, resultUrl, state: "fetching" },
+      resultUrl
+    );
+  }
+
+  /**
+   * Builds the raw options of a GET request that is part of an operation. The body of
+   * the original request won't be included.
+   * @param {*} retryOptions Information about the current request.
+   * @param {object} operation Information about the operation.
+   * @param {string} [url] URL to request. Defaults to the operation's status URL.
+   * @returns {object} Raw request options.
+   */
+  [_createRequest](retryOptions, operation, url = operation.statusUrl) {
+    const { options = {} } = retryOptions;
+    const { state = "polling", polls } = operation;
+    return createGetRequest(options, url, {
+      operation: {
+        ...operation,
+        state,
+        polls: state === "polling" ? polls + 1 : polls,
+      },
+    });
+  }
+}
+
+module.exports = LongRunningOperation;
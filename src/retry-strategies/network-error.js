@@ -10,16 +10,41 @@ governing permissions and limitations under the License.
 */
 
 const RetryStrategy = require("./retry-strategy");
+const { classifyError } = require("../http-utils");
+const {
+  TRANSIENT_ERROR_CATEGORIES,
+  CONNECT_ERROR_CATEGORIES,
+} = require("../constants");
 
 /**
  * Retry strategy that will indicate that a retry is warranted when the response to
- * an HTTP request indicates some kind of network error.
+ * an HTTP request indicates a network error that's likely to be temporary, such as a
+ * timeout or a reset connection. Errors such as DNS failures, invalid certificates,
+ * and unrecognized errors aren't retried.
+ *
+ * A network error might occur after the server has received a request, so requests
+ * that aren't idempotent will only be retried if the error occurred while
+ * connecting to the server.
  */
 class NetworkError extends RetryStrategy {
   async shouldRetry(retryOptions) {
-    const { response = {} } = retryOptions;
+    const {
+      response = {},
+      idempotent = true,
+      error,
+      errorCategory = classifyError(error),
+    } = retryOptions;
     const { status } = response;
-    return status === undefined;
+    return (
+      status === undefined &&
+      TRANSIENT_ERROR_CATEGORIES.includes(errorCategory) &&
+      (idempotent || CONNECT_ERROR_CATEGORIES.includes(errorCategory))
+    );
+  }
+
+  async getRetryReason(retryOptions) {
+    const { error, errorCategory = classifyError(error) } = retryOptions;
+    return `the request failed with a transient ${errorCategory} error`;
   }
 }
 
@@ -0,0 +1,201 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const RetryStrategy = require("./retry-strategy");
+const { getHeaderValue } = require("../http-utils");
+const typedefs = require("../typedefs");
+
+const PRIVATE = Symbol("PRIVATE");
+const _matches = Symbol("_matches");
+
+const RULE_PROPERTIES = [
+  "statuses",
+  "methods",
+  "errorCodes",
+  "errorCategories",
+  "headerMatches",
+  "maxRetries",
+  "delay",
+  "delayMultiple",
+  "jitter",
+  "priority",
+];
+
+/**
+ * Determines whether a status code matches one of a rule's statuses.
+ * @param {number} status Status code to check.
+ * @param {Array<number|string>} statuses Status codes, or ranges such as "5xx".
+ * @returns {boolean} True if the status code matches.
+ */
+function matchesStatus(status, statuses) {
+  return statuses.some((ruleStatus) => {
+    const statusRange = /^([1-5])xx$/i.exec(String(ruleStatus));
+    if (statusRange) {
+      return Math.floor(status / 100) === Number(statusRange[1]);
+    }
+    return Number(ruleStatus) === status;
+  });
+}
+
+/**
+ * Determines whether the headers of a response match all of a rule's header matches.
+ * @param {*} headers Headers of the response.
+ * @param {object} headerMatches Header matches from the rule.
+ * @returns {boolean} True if all of the headers match.
+ */
+function matchesHeaders(headers, headerMatches) {
+  return Object.keys(headerMatches).every((name) => {
+    const expected = headerMatches[name];
+    const value = getHeaderValue(headers, name);
+    if (typeof expected === "boolean") {
+      return expected === (value !== undefined);
+    }
+    if (value === undefined) {
+      return false;
+    }
+    const expectedValues = Array.isArray(expected) ? expected : [expected];
+    return expectedValues.map(String).includes(String(value));
+  });
+}
+
+/**
+ * Retry strategy that's created from a declarative rule, rather than from functions.
+ * Since rules only contain simple values, they can be provided through JSON
+ * configuration, and will be included when a request's options are converted to JSON.
+ *
+ * A rule matches a response if the response has one of the rule's statuses, or its
+ * error has one of the rule's error codes or categories. If the rule has none of these,
+ * any failed request will match, meaning one with an error or a status of 400 or
+ * higher. In addition, the request must use one of the rule's methods, and the
+ * response must match all of the rule's header matches.
+ */
+class RetryRule extends RetryStrategy {
+  /**
+   * Determines whether an item in the "retry.strategies" option is a declarative rule,
+   * as opposed to a set of strategy functions.
+   * @param {*} strategy Item to check.
+   * @returns {boolean} True if the item is a rule.
+   */
+  static isRule(strategy) {
+    return (
+      !!strategy &&
+      typeof strategy === "object" &&
+      typeof strategy.shouldRetry !== "function"
+    );
+  }
+
+  /**
+   * Constructs a new strategy from a rule.
+   * @param {typedefs.RetryRule} rule Rule that the strategy will follow.
+   */
+  constructor(rule) {
+    super();
+    Object.keys(rule).forEach((property) => {
+      if (!RULE_PROPERTIES.includes(property)) {
+        throw new Error(
+          `Retry rule has unknown property "${property}". Supported properties are ${RULE_PROPERTIES.join(
+            ", "
+          )}`
+        );
+      }
+    });
+    this[PRIVATE] = {
+      rule,
+    };
+  }
+
+  async shouldRetry(retryOptions) {
+    return this[_matches](retryOptions);
+  }
+
+  async getMaxRetryCount(retryOptions) {
+    const { maxRetries } = this.getRule();
+    // attempts include the original request, so allow one more
+    return maxRetries === undefined ? retryOptions.maxAttempts : maxRetries + 1;
+  }
+
+  async getRetryDelay(retryOptions) {
+    const { delay } = this.getRule();
+    // a server's Retry-After header always takes precedence
+    return retryOptions.retryAfter || delay === undefined
+      ? retryOptions.delay
+      : delay;
+  }
+
+  async getRetryDelayMultiple(retryOptions) {
+    const { delayMultiple = retryOptions.delayMultiple } = this.getRule();
+    return delayMultiple;
+  }
+
+  async getRetryJitter(retryOptions) {
+    const { jitter = retryOptions.jitter } = this.getRule();
+    return jitter;
+  }
+
+  getPriority() {
+    const { priority = 0 } = this.getRule();
+    return priority;
+  }
+
+  /**
+   * Retrieves the rule that the strategy follows.
+   * @returns {typedefs.RetryRule} The strategy's rule.
+   */
+  getRule() {
+    return this[PRIVATE].rule;
+  }
+
+  /**
+   * Converts the strategy to a string, which includes its rule.
+   * @returns {string} String representation of the strategy.
+   */
+  toString() {
+    return `RetryRule ${JSON.stringify(this.getRule())}`;
+  }
+
+  /**
+   * Determines whether a request matches the strategy's rule.
+   * @param {*} retryOptions Information about the current request.
+   * @returns {boolean} True if the request matches.
+   */
+  [_matches](retryOptions) {
+    const { statuses, methods, errorCodes, errorCategories, headerMatches } =
+      this.getRule();
+    const { method, response, error, errorCategory } = retryOptions;
+    const { status, headers } = response || {};
+
+    if (
+      methods &&
+      !methods.some((ruleMethod) => String(ruleMethod).toUpperCase() === method)
+    ) {
+      return false;
+    }
+
+    if (headerMatches && !matchesHeaders(headers, headerMatches)) {
+      return false;
+    }
+
+    if (!statuses && !errorCodes && !errorCategories) {
+      // successful responses are never retried by a rule without criteria
+      return !!error || status >= 400;
+    }
+
+    const { code, cause = {} } = error || {};
+    return (
+      (!!statuses && !!status && matchesStatus(status, statuses)) ||
+      (!!errorCodes &&
+        (errorCodes.includes(code) || errorCodes.includes(cause.code))) ||
+      (!!errorCategories && !!error && errorCategories.includes(errorCategory))
+    );
+  }
+}
+
+module.exports = RetryRule;
@@ -30,8 +30,20 @@ const PRIVATE = Symbol("PRIVATE");
  * @property {HttpResponse} response The response to the HTTP request currently
  *  being examined to decide whether it should be retried.
  * @property {string} url The URL that was requested to generate the response.
+ * @property {string} method The HTTP method, in uppercase, of the request.
+ * @property {boolean} idempotent True if the request can safely be sent more than
+ *  once, because its method is idempotent or it has an Idempotency-Key header.
+ * @property {*} [error] The error that the request generated, if any.
+ * @property {string} [errorCategory] The type of failure that the error represents,
+ *  such as "reset" or "dns", if the request generated an error.
  * @property {object} options Additional options that were used to initiate the request
  *  that generated the response.
+ * @property {string} jitter The jitter mode that the client has been configured to
+ *  use when randomizing the delay before the next retry attempt.
+ * @property {number} [maxDelay] The maximum delay, in milliseconds, that the client
+ *  has been configured to wait before a retry attempt.
+ * @property {number} retryAfter The delay, in milliseconds, that the server requested
+ *  through a header such as Retry-After, or 0 if it didn't request one.
  */
 
 /**
@@ -45,6 +57,18 @@ const PRIVATE = Symbol("PRIVATE");
  * @property {Function} [getMaxRetries] Should return a Promise that resolves to the
  *  maximum number of times that the request should be retried. Defaults to the
  *  value provided in the client's options.
+ * @property {Function} [getJitter] Should return a Promise that resolves to the
+ *  jitter mode to apply to the delay, such as "none" to opt out of jitter. Receives
+ *  a single RetryOptions argument. Defaults to the jitter provided in the client's
+ *  options.
+ * @property {Function} [getReason] Should return a Promise that resolves to a short
+ *  description of why the request is being retried, for use in log messages.
+ *  Receives a single RetryOptions argument. Defaults to a description of the
+ *  response's status or error.
+ * @property {number} [priority=0] Strategies with a higher priority are consulted
+ *  before strategies with a lower priority. Strategies with the same priority are
+ *  consulted in the order they're provided.
+ * @property {string} [name] Name of the strategy, for use in log messages.
  */
 
 /**
@@ -68,6 +92,27 @@ class RetryStrategy {
     };
   }
 
+  /**
+   * Describes the response or error that a request generated, for use in the reasons
+   * that strategies give for retries.
+   * @param {RetryOptions} retryOptions Information about the request.
+   * @returns {string} Description of the request's outcome.
+   */
+  static describeResponse(retryOptions) {
+    const { response, error, errorCategory } = retryOptions;
+    const { status } = response || {};
+    if (status) {
+      return `the response had status ${status}`;
+    }
+    if (error) {
+      const category = errorCategory ? ` ${errorCategory}` : "";
+      return `the request failed with${category} error "${
+        error.message || error
+      }"`;
+    }
+    return "the strategy requested a retry";
+  }
+
   /**
    * Determines whether a given http request should be retried based on the response
    * that was received.
@@ -114,6 +159,19 @@ class RetryStrategy {
     return getDelay(retryOptions);
   }
 
+  /**
+   * Retrieves the type of randomness that the client should apply to the retry delay.
+   * Strategies can opt out of jitter by providing "none".
+   * @param {RetryOptions} retryOptions Information about the current request, which
+   *  can be used to determine the jitter.
+   * @returns {Promise<string>} Jitter mode.
+   */
+  async getRetryJitter(retryOptions) {
+    const { getJitter = async () => retryOptions.jitter } =
+      this[PRIVATE].options;
+    return getJitter(retryOptions);
+  }
+
   /**
    * Retrieves the maximum number of times that a request should be retried according to
    * the strategy.
@@ -142,6 +200,40 @@ class RetryStrategy {
     } = this[PRIVATE].options;
     return getRequestOptions(retryOptions);
   }
+
+  /**
+   * Retrieves a short description of why the strategy wants the request to be
+   * retried, which the client includes in the retry's log message.
+   * @param {RetryOptions} retryOptions Information about the current request, which
+   *  can be used to determine the reason.
+   * @returns {Promise<string>} Reason for the retry.
+   */
+  async getRetryReason(retryOptions) {
+    const {
+      getReason = async () => RetryStrategy.describeResponse(retryOptions),
+    } = this[PRIVATE].options;
+    return getReason(retryOptions);
+  }
+
+  /**
+   * Retrieves the priority of the strategy. The client consults strategies with a
+   * higher priority first, and the first strategy that wants a retry decides how the
+   * request is retried.
+   * @returns {number} The strategy's priority.
+   */
+  getPriority() {
+    const { priority = 0 } = this[PRIVATE].options;
+    return priority;
+  }
+
+  /**
+   * Converts the strategy to a string, for use in log messages.
+   * @returns {string} The name of the strategy.
+   */
+  toString() {
+    const { name = this.constructor.name } = this[PRIVATE].options;
+    return name;
+  }
 }
 
 module.exports = RetryStrategy;
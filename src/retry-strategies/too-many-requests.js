@@ -0,0 +1,35 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const RetryStrategy = require("./retry-strategy");
+
+/**
+ * Retry strategy that will indicate that a retry is warranted when the response to
+ * an HTTP request has a 429 (Too Many Requests) status code.
+ *
+ * A 429 response means that the server refused to process the request, so requests
+ * will be retried regardless of whether they're idempotent. The retry will wait for
+ * the amount of time requested by the response's Retry-After or rate limit headers,
+ * if it has them.
+ */
+class TooManyRequests extends RetryStrategy {
+  async shouldRetry(retryOptions) {
+    const { response = {} } = retryOptions;
+    const { status } = response;
+    return status === 429;
+  }
+
+  async getRetryReason() {
+    return "the server rate limited the request with status 429";
+  }
+}
+
+module.exports = TooManyRequests;
@@ -0,0 +1,57 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const VerifyWrite = require("./verify-write");
+const { getHeaderValue, resolveUrl } = require("../http-utils");
+const typedefs = require("../typedefs");
+
+const PRIVATE = Symbol("PRIVATE");
+
+const CREATE_METHODS = ["POST", "PUT"];
+const CREATE_STATUSES = [200, 201];
+
+/**
+ * Retry strategy that verifies that a newly created resource can be read. When a POST
+ * or PUT succeeds with a 201 or 200 status code, the strategy will read the new
+ * resource with GET requests until it no longer responds with 404.
+ *
+ * The resource's URL is the create's Location header, unless a URL is provided in the
+ * strategy's options.
+ */
+class VerifyCreate extends VerifyWrite {
+  /**
+   * Constructs a new instance of the strategy.
+   * @param {typedefs.VerifyCreateOptions} verifyOptions Options for controlling how
+   *  the resource is read, with defaults applied.
+   */
+  constructor(verifyOptions) {
+    super("create", verifyOptions);
+    this[PRIVATE] = {
+      verifyOptions,
+    };
+  }
+
+  async getVerification(retryOptions) {
+    const { url, method, response } = retryOptions;
+    const { status, headers } = response;
+    if (!CREATE_METHODS.includes(method) || !CREATE_STATUSES.includes(status)) {
+      return undefined;
+    }
+    const { url: verifyUrl } = this[PRIVATE].verifyOptions;
+    const resourceUrl = verifyUrl || getHeaderValue(headers, "location");
+    if (!resourceUrl) {
+      return undefined;
+    }
+    return { verifyUrl: resolveUrl(resourceUrl, url) };
+  }
+}
+
+module.exports = VerifyCreate;
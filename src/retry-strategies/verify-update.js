@@ -0,0 +1,48 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const VerifyWrite = require("./verify-write");
+const { getHeaderValue } = require("../http-utils");
+const typedefs = require("../typedefs");
+
+const UPDATE_METHODS = ["PUT", "PATCH"];
+
+/**
+ * Retry strategy that verifies that an update of a resource is reflected by reads of
+ * the resource. When a PUT or PATCH succeeds with a response that has an ETag, the
+ * strategy will read the resource with conditional GET requests until a read has the
+ * same ETag.
+ */
+class VerifyUpdate extends VerifyWrite {
+  /**
+   * Constructs a new instance of the strategy.
+   * @param {typedefs.VerifyUpdateOptions} verifyOptions Options for controlling how
+   *  the resource is read, with defaults applied.
+   */
+  constructor(verifyOptions) {
+    super("update", verifyOptions);
+  }
+
+  async getVerification(retryOptions) {
+    const { url, method, response } = retryOptions;
+    const { status, headers } = response;
+    const etag = getHeaderValue(headers, "etag");
+    if (!UPDATE_METHODS.includes(method) || status < 200 || status >= 300) {
+      return undefined;
+    }
+    if (!etag) {
+      return undefined;
+    }
+    return { verifyUrl: url, etag };
+  }
+}
+
+module.exports = VerifyUpdate;
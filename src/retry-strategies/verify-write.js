@@ -0,0 +1,231 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const RetryStrategy = require("./retry-strategy");
+const {
+  getHeaderValue,
+  setHeaders,
+  createGetRequest,
+} = require("../http-utils");
+const typedefs = require("../typedefs");
+
+const PRIVATE = Symbol("PRIVATE");
+const _getNextRequest = Symbol("_getNextRequest");
+const _findNextRequest = Symbol("_findNextRequest");
+const _createRequest = Symbol("_createRequest");
+
+// headers of the write that would change the meaning of the verification reads
+const CONDITIONAL_HEADERS = [
+  "if-match",
+  "if-none-match",
+  "if-modified-since",
+  "if-unmodified-since",
+  "idempotency-key",
+];
+
+/**
+ * Compares two ETags, ignoring whether either of them is weak.
+ * @param {string} etag First ETag to compare.
+ * @param {string} otherEtag Second ETag to compare.
+ * @returns {boolean} True if the ETags are the same.
+ */
+function etagsMatch(etag, otherEtag) {
+  if (!etag || !otherEtag) {
+    return false;
+  }
+  const normalize = (value) => String(value).trim().replace(/^W\//, "");
+  return normalize(etag) === normalize(otherEtag);
+}
+
+/**
+ * Base class for retry strategies that verify that a write, such as the creation or
+ * update of a resource, is reflected by reads of the resource. When a write succeeds,
+ * the strategy will read the resource with GET requests until the read reflects the
+ * write, or until the maximum number of reads is reached.
+ *
+ * Information about the verification, including the URL and method of the write, is
+ * kept in the request's client options as "verification". The client will provide the
+ * write's response once the verification is finished.
+ *
+ * Subclasses determine which writes are verified by implementing getVerification().
+ */
+class VerifyWrite extends RetryStrategy {
+  /**
+   * Constructs a new instance of the strategy.
+   * @param {string} type Type of the strategy's verifications, such as "create".
+   * @param {typedefs.VerifyCreateOptions|typedefs.VerifyUpdateOptions} verifyOptions
+   *  Options for controlling how the resource is read, with defaults applied.
+   */
+  constructor(type, verifyOptions) {
+    super();
+    this[PRIVATE] = {
+      type,
+      verifyOptions,
+      nextRequests: new WeakMap(),
+    };
+  }
+
+  /**
+   * Determines whether a read of a resource reflects the write that's being verified.
+   * A read that's successful reflects the write, unless the verification expects a
+   * specific ETag. In that case, the read must have that ETag or respond with 304.
+   * @param {object} verification Information about the verification.
+   * @param {*} response Response to the read, with a "status" and "headers".
+   * @returns {boolean} True if the read reflects the write.
+   */
+  static isVerified(verification, response = {}) {
+    const { status, headers } = response;
+    if (verification.etag) {
+      return (
+        status === 304 ||
+        (status >= 200 &&
+          status < 300 &&
+          etagsMatch(getHeaderValue(headers, "etag"), verification.etag))
+      );
+    }
+    return status >= 200 && status < 300;
+  }
+
+  /**
+   * Examines the response to a request, and determines whether the request was a
+   * write that should be verified.
+   * @param {*} retryOptions Information about the request that was sent.
+   * @returns {Promise<object>} Information about the verification, including the
+   *  "verifyUrl" to read and an optional "etag" that reads should have. Undefined if
+   *  the request shouldn't be verified.
+   */
+  async getVerification(retryOptions) {
+    return undefined;
+  }
+
+  async shouldRetry(retryOptions) {
+    const nextRequest = await this[_getNextRequest](retryOptions);
+    return !!nextRequest;
+  }
+
+  async getRetryDelayMultiple() {
+    return 1;
+  }
+
+  async getRetryDelay(retryOptions) {
+    const { delay = retryOptions.delay } = this[PRIVATE].verifyOptions;
+    // a server's Retry-After header always takes precedence
+    return retryOptions.retryAfter || delay;
+  }
+
+  async getMaxRetryCount() {
+    // the strategy enforces its own limit on the number of reads
+    return -1;
+  }
+
+  async getRetryRequestOptions(retryOptions) {
+    const nextRequest = await this[_getNextRequest](retryOptions);
+    return nextRequest || {};
+  }
+
+  async getRetryReason(retryOptions) {
+    const { type } = this[PRIVATE];
+    const { url } = (await this[_getNextRequest](retryOptions)) || {};
+    return `the ${type} hasn't been verified yet, reading ${url}`;
+  }
+
+  /**
+   * Determines the read that should be sent next for the verification, if any. The
+   * result is remembered for each set of retry options, since the strategy's methods
+   * are called several times for the same response.
+   * @param {*} retryOptions Information about the current request.
+   * @returns {Promise<object>} Raw options of the next request, or undefined if the
+   *  verification doesn't need another read.
+   */
+  async [_getNextRequest](retryOptions) {
+    const { nextRequests } = this[PRIVATE];
+    if (!nextRequests.has(retryOptions)) {
+      nextRequests.set(retryOptions, this[_findNextRequest](retryOptions));
+    }
+    return nextRequests.get(retryOptions);
+  }
+
+  /**
+   * Examines the response to the write, or to one of the verification's reads, and
+   * determines the read that should be sent next.
+   * @param {*} retryOptions Information about the current request.
+   * @returns {Promise<object>} Raw options of the next request, or undefined if the
+   *  verification doesn't need another read.
+   */
+  async [_findNextRequest](retryOptions) {
+    const { url, method, options = {}, response } = retryOptions;
+    const { type, verifyOptions } = this[PRIVATE];
+    if (!response) {
+      return undefined;
+    }
+    const { status } = response;
+    const { cloudClient = {} } = options;
+    const { verification } = cloudClient;
+
+    if (!verification) {
+      const newVerification = await this.getVerification(retryOptions);
+      if (!newVerification) {
+        return undefined;
+      }
+      return this[_createRequest](retryOptions, {
+        type,
+        url,
+        method,
+        ...newVerification,
+        attempts: 0,
+      });
+    }
+
+    if (
+      verification.type !== type ||
+      verification.attempts >= verifyOptions.maxAttempts ||
+      VerifyWrite.isVerified(verification, response)
+    ) {
+      return undefined;
+    }
+    // the resource might not exist yet, or might not reflect the write yet
+    if (status === 404 || (status >= 200 && status < 300)) {
+      return this[_createRequest](retryOptions, verification);
+    }
+    return undefined;
+  }
+
+  /**
+   * Builds the raw options of a GET request that reads the written resource. The body
+   * of the write won't be included. Reads of verifications that expect an ETag will be
+   * conditional on the ETag.
+   * @param {*} retryOptions Information about the current request.
+   * @param {object} verification Information about the verification.
+   * @returns {object} Raw request options.
+   */
+  [_createRequest](retryOptions, verification) {
+    const { options = {} } = retryOptions;
+    const requestOptions = createGetRequest(
+      options,
+      verification.verifyUrl,
+      {
+        verification: {
+          ...verification,
+          attempts: verification.attempts + 1,
+        },
+      },
+      CONDITIONAL_HEADERS
+    );
+    if (verification.etag) {
+      requestOptions.headers = setHeaders(requestOptions.headers, {
+        "If-None-Match": verification.etag,
+      });
+    }
+    return requestOptions;
+  }
+}
+
+module.exports = VerifyWrite;
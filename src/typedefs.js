@@ -32,8 +32,26 @@ governing permissions and limitations under the License.
  *  will be the raw response from the underlying HTTP backend.
  * @property {string} url URL to which the client sent the HTTP request that
  *  generated the response.
+ * @property {string} method HTTP method, in uppercase, of the request.
+ * @property {boolean} idempotent True if the request can safely be sent more than
+ *  once, because its method is idempotent or it has an Idempotency-Key header.
+ * @property {*} [error] Error that was the result of the request, if any.
+ * @property {string} [errorCategory] If the request resulted in an error, the type of
+ *  failure. One of "connect-timeout", "read-timeout", "reset", "refused", "dns", "tls",
+ *  "aborted", or "unknown".
  * @property {*} options Simple object containing the request options that were
  *  used to generate the response.
+ * @property {Function} getBody Returns a Promise that resolves with the body of the
+ *  response as text. The body is buffered, so it will still be readable from the
+ *  final response.
+ * @property {Function} getJson Returns a Promise that resolves with the body of the
+ *  response parsed as JSON, or undefined if the body isn't valid JSON.
+ * @property {string} jitter The _default_ jitter mode as provided in the client's
+ *  options. Will be "none" if the response provided a Retry-After header.
+ * @property {number} [maxDelay] The maximum delay, in milliseconds, as provided in
+ *  the client's options.
+ * @property {number} retryAfter The delay, in milliseconds, requested by the server
+ *  through a header such as Retry-After. Will be 0 if the server didn't request one.
  */
 
 /**
@@ -52,12 +70,56 @@ governing permissions and limitations under the License.
  *  If not specified, the value will default to the number provided in the
  *  client's retry options. Note that "-1" indicates the client should
  *  continue to retry indefinitely; _use this option with extreme care_.
+ * @property {Function} [getJitter] Returns a Promise that resolves to the jitter
+ *  mode to apply to the retry delay. The function will be called with a single
+ *  argument of type {@link RetryInfo}. If not specified, the value will default to
+ *  the jitter provided in the client's retry options.
+ * @property {Function} [getReason] Returns a Promise that resolves to a short
+ *  description of why the request is being retried, which is included in the retry's
+ *  log message. The function will be called with a single argument of type
+ *  {@link RetryInfo}.
+ * @property {number} [priority=0] Strategies with a higher priority are consulted
+ *  before strategies with a lower priority, including the default strategies, which
+ *  have a priority of 0. Strategies with the same priority are consulted in order.
+ * @property {string} [name] Name of the strategy, which is included in the retry's
+ *  log message.
+ */
+
+/**
+ * @typedef RetryRule
+ * @property {Array<number|string>} [statuses] Status codes that qualify a response for
+ *  a retry. Strings such as "5xx" will match a range of status codes.
+ * @property {Array<string>} [methods] HTTP methods, regardless of case, of requests
+ *  that can be retried.
+ * @property {Array<string>} [errorCodes] Codes, such as "ECONNRESET", of errors that
+ *  qualify a request for a retry. Compared against the code of the error, and of the
+ *  error's cause.
+ * @property {Array<string>} [errorCategories] Categories, such as "dns", of errors that
+ *  qualify a request for a retry. See the errorCategory of {@link RetryInfo}.
+ * @property {object} [headerMatches] Simple object whose keys are response header
+ *  names. A value of true means the header must be present, and false that it must be
+ *  missing. A string means that the header must have that value, and an array of
+ *  strings that it must have one of the values.
+ * @property {number} [maxRetries] Maximum number of times that a request will be retried.
+ * @property {number} [delay] Amount of time, in milliseconds, to wait before retrying.
+ * @property {number} [delayMultiple] Value by which the delay will be multiplied with
+ *  each retry.
+ * @property {string} [jitter] Jitter mode to apply to the delay.
+ * @property {number} [priority=0] Priority of the rule. See the priority of
+ *  {@link RetryStrategy}.
  */
 
 /**
  * @typedef RetryOptions
- * @property {Array<RetryStrategy>} [strategies=[]] Additional strategies that
- *  the client will use to determine whether requests should be retried.
+ * @property {Array<RetryStrategy|RetryRule>} [strategies=[]] Additional strategies
+ *  that the client will use to determine whether requests should be retried. Items
+ *  without a "shouldRetry" function are treated as declarative rules. Instances of
+ *  the exported RetryStrategy class, including those created by the exported
+ *  combinators, are used as-is.
+ * @property {boolean} [defaults=true] When false, the client won't use its default
+ *  strategies, which retry responses with a 5xx status, responses with a 429 status,
+ *  and transient network errors. Strategies of options such as verifyCreate are
+ *  still used.
  * @property {number} [count=3] The maximum number of times the client will
  *  retry a given request. Note that this is the _default_ value and
  *  will not necessarily be respected by all retry strategies.
@@ -69,21 +131,169 @@ governing permissions and limitations under the License.
  *  a request, it will wait 1000ms. The second time it will wait 2000ms,
  *  the third time it will wait 4000ms, etc. Note that this is the _default_
  *  value, and will not necessarily be respected by all retry strategies.
+ * @property {string} [jitter="none"] Type of randomness that the client will apply
+ *  to each retry's delay, so that many clients don't retry in lockstep. One of
+ *  "none", "full", "equal", or "decorrelated". Note that this is the _default_
+ *  value, and can be overridden by retry strategies.
+ * @property {number} [maxDelay] The maximum amount of time, in milliseconds, that the
+ *  client will wait before retrying a request. Doesn't apply to delays provided by
+ *  a Retry-After header.
+ * @property {number} [maxRetryAfter=300000] The maximum amount of time, in
+ *  milliseconds, that the client will wait when a server requests a delay through a
+ *  header like Retry-After. Requests whose server asks for a longer wait won't be
+ *  retried. Use -1 for no maximum.
+ * @property {number} [deadline] The maximum amount of time, in milliseconds, that the
+ *  client will spend on a request, including all of its retries. Measured from the
+ *  start of the request's first attempt.
+ */
+
+/**
+ * @typedef CircuitBreakerOptions
+ * @property {number} [failureThreshold=5] Number of failed requests within the window
+ *  that will open a circuit. Requests fail if they generate an error or have a 5xx
+ *  level status code.
+ * @property {number} [window=60000] Amount of time, in milliseconds, during which
+ *  failures are counted.
+ * @property {number} [resetTimeout=30000] Amount of time, in milliseconds, that a
+ *  circuit stays open before allowing probe requests.
+ * @property {number} [halfOpenRequests=1] Number of probe requests that a half-open
+ *  circuit will allow at the same time.
+ * @property {Function} [key] Function that receives a request's URL, and returns the
+ *  key of the circuit to which the request belongs. Defaults to the URL's origin.
+ */
+
+/**
+ * @typedef RetryBudgetOptions
+ * @property {number} [percent=20] Percentage of the requests that succeeded within the
+ *  window that can be retried. Requests succeed if they have a status code below 500,
+ *  other than 429.
+ * @property {number} [minRetriesPerSecond=1] Number of retries per second that are
+ *  allowed regardless of how many requests have succeeded.
+ * @property {number} [window=10000] Amount of time, in milliseconds, during which
+ *  successes and retries are counted.
+ * @property {boolean} [perHost=false] When true, each host will have its own budget.
+ *  Otherwise all of the client's requests will share a budget.
+ * @property {boolean} [failuresOnly=false] When true, only retries of requests that
+ *  failed with a network error or a 5xx status code draw from the budget. Otherwise
+ *  every retry does, including retries of 429 responses.
+ */
+
+/**
+ * @typedef ThrottlingOptions
+ * @property {boolean} [pauseHost=true] When true, a 429 response whose headers indicate
+ *  how long to wait will pause all of the client's requests to the response's host
+ *  until the wait is over. Requests whose deadline would pass during the pause fail
+ *  with a HostPausedError instead of waiting.
+ */
+
+/**
+ * @typedef LongRunningOperationOptions
+ * @property {string} [statusField="status"] Name of the JSON field, in the responses of
+ *  an operation's status URL, that contains the operation's state. Use dots to refer
+ *  to nested fields, such as "properties.status".
+ * @property {Array<string>} [successValues] Values of the status field, regardless of
+ *  case, indicating that the operation succeeded. Default: "succeeded", "success",
+ *  "completed", "complete", and "done".
+ * @property {Array<string>} [failureValues] Values of the status field, regardless of
+ *  case, indicating that the operation failed. Default: "failed", "failure", "canceled",
+ *  "cancelled", and "error".
+ * @property {string} [resultField="resourceLocation"] Name of the JSON field, in the
+ *  responses of an operation's status URL, that contains the URL of the operation's
+ *  final resource. Only used if the original response didn't have a Location header.
+ * @property {boolean} [fetchResult=false] When true, the client will fetch the
+ *  operation's final resource once the operation succeeds, and provide it as the
+ *  response.
+ * @property {number} [pollDelay] Amount of time, in milliseconds, to wait between polls
+ *  of an operation's status. Defaults to the retry delay. A Retry-After header will
+ *  always take precedence.
+ * @property {number} [maxPolls=60] Maximum number of times that the client will poll an
+ *  operation's status.
+ */
+
+/**
+ * @typedef VerifyCreateOptions
+ * @property {string} [url] URL of the created resource, which may be relative to the
+ *  URL of the create. Defaults to the create response's Location header.
+ * @property {number} [maxAttempts=10] Maximum number of times that the client will
+ *  read the created resource.
+ * @property {number} [delay] Amount of time, in milliseconds, to wait between reads of
+ *  the created resource. Defaults to the retry delay. A Retry-After header will always
+ *  take precedence.
+ */
+
+/**
+ * @typedef VerifyUpdateOptions
+ * @property {number} [maxAttempts=10] Maximum number of times that the client will
+ *  read the updated resource.
+ * @property {number} [delay] Amount of time, in milliseconds, to wait between reads of
+ *  the updated resource. Defaults to the retry delay. A Retry-After header will always
+ *  take precedence.
+ */
+
+/**
+ * @typedef EventuallyConsistentUpdateOptions
+ * @property {Function} [getEtag] Function that receives the same information as a retry
+ *  strategy's shouldRetry, and returns a Promise resolving with the current ETag of the
+ *  resource being updated. The ETag will be used as the If-Match header of the retry.
+ */
+
+/**
+ * @typedef ConcurrentUpdateOptions
+ * @property {string} [method="PUT"] HTTP method of the conditional write.
+ * @property {number} [maxAttempts=5] Maximum number of times that the resource will be
+ *  read, modified and written before the conflicting write's response is provided.
+ * @property {number} [delay] Amount of time, in milliseconds, to wait before the first
+ *  attempt after a conflict. Defaults to the retry delay.
+ * @property {number} [delayMultiple] Amount by which the delay is multiplied after each
+ *  conflict. Defaults to the retry delay multiple.
+ * @property {Array<number>} [conflictStatuses=[409, 412]] Status codes of writes that
+ *  indicate the resource was modified by someone else.
  */
 
 /**
  * @typedef ClientRequestOptions
  * @property {boolean} [eventuallyConsistentCreate=true] When true, the client will use a
  *  built-in retry strategy for handling creation in an eventually consistent system.
- * @property {boolean} [eventuallyConsistentUpdate=true] When true, the client will use a
- *  built-in retry strategy for handling updates in an eventually consistent system.
+ * @property {EventuallyConsistentUpdateOptions|boolean} [eventuallyConsistentUpdate=true] When
+ *  provided, the client will use a built-in retry strategy for handling updates in an
+ *  eventually consistent system.
  * @property {boolean} [eventuallyConsistentDelete=true] When true, the client will use a
  *  built-in retry strategy for handling deletes in an eventually consistent system.
  * @property {number} [timeout=60000] The amount of time, in milliseconds, that the client
  *  will wait for a request before aborting. By default, an aborted request qualifies for
  *  a retry, so timed out requests will fit in with the client's retry functionality.
+ * @property {number} [totalTimeout] Alias of the "deadline" retry option.
+ * @property {boolean|string} [idempotencyKey] When true, the client will add an
+ *  Idempotency-Key header with a generated value to the request, which will stay the
+ *  same across all of the request's retries. A string will be used as the key's value.
  * @property {RetryOptions} [retry={}] Various information about how the client will
  *  retry requests under certain circumstances.
+ * @property {Function} [bodyFactory] Function that returns the body, or a Promise
+ *  resolving with the body, to send with each attempt of the request. Allows streamed
+ *  bodies to be retried. Takes precedence over the request's own body.
+ * @property {string} [bodyFile] Path to a file whose contents will be streamed as the
+ *  body of each attempt of the request. Allows streamed bodies to be retried.
+ * @property {CircuitBreakerOptions|boolean} [circuitBreaker] When provided, the client
+ *  will track failures of requests to each host and fail fast when a host is failing.
+ *  Use true for the default settings, or false to disable a globally enabled circuit
+ *  breaker for a request.
+ * @property {RetryBudgetOptions|boolean} [retryBudget] When provided, the client will
+ *  limit its retries to a portion of the requests that are succeeding. Use true for the
+ *  default settings, or false to disable a globally enabled retry budget for a request.
+ * @property {ThrottlingOptions|boolean} [throttling=true] Controls how the client
+ *  handles 429 (Too Many Requests) responses, which are retried using the wait time
+ *  from the response's headers. Use false to leave 429 responses to the caller.
+ * @property {LongRunningOperationOptions|boolean} [longRunningOperation] When provided,
+ *  the client will poll the status of operations that are accepted with a 202 status
+ *  code, until the operation completes. Use true for the default settings.
+ * @property {VerifyCreateOptions|boolean} [verifyCreate] When provided, the client will
+ *  read the resources that POST and PUT requests create, until the resource can be read,
+ *  before providing the create's response. Use true for the default settings.
+ * @property {VerifyUpdateOptions|boolean} [verifyUpdate] When provided, the client will
+ *  read the resources that PUT and PATCH requests update, until a read has the update's
+ *  ETag, before providing the update's response. Use true for the default settings.
+ * @property {ConcurrentUpdateOptions} [concurrentUpdate] Settings that control how a
+ *  client's updateWithConcurrency() method updates resources.
  */
 
 /**
@@ -92,4 +302,66 @@ governing permissions and limitations under the License.
  *  to the HTTP client.
  */
 
+/**
+ * @typedef MockResponse
+ * @property {number} [status=200] HTTP status code of the response.
+ * @property {string} [statusText] HTTP status text of the response.
+ * @property {object} [headers] Simple object containing the response's headers.
+ * @property {string|Buffer|object} [body] Body of the response. Objects will be
+ *  provided as JSON.
+ * @property {Error|string|object} [error] If provided, the request will fail with
+ *  this error instead of receiving a response. An object will be used as the
+ *  properties of a new Error, such as "message" and "code".
+ */
+
+/**
+ * @typedef MockRoute
+ * @property {string} [method] HTTP method that requests must use to match the route.
+ *  If not provided, requests with any method will match.
+ * @property {string|RegExp|Function} [url] URL that requests must have to match
+ *  the route. A string must equal the request's URL, a RegExp must match it, and
+ *  a function will receive it and must return true. If not provided, requests to
+ *  any URL will match.
+ * @property {object} [headers] Simple object whose keys are header names, and whose
+ *  values follow the same rules as url. Requests must have matching values for each
+ *  of the headers to match the route.
+ * @property {Array<MockResponse>} [responses] Sequence of responses that the route will
+ *  provide, in order, to each request that matches it. Once the sequence is
+ *  exhausted, the last response will be provided to all subsequent requests. If
+ *  provided, must contain at least one response. Default: a single 200 response.
+ */
+
+/**
+ * @typedef MockAttempt
+ * @property {string} method HTTP method of the attempt, in uppercase.
+ * @property {string} url URL of the attempt.
+ * @property {object} headers Headers of the attempt, with lowercase names.
+ * @property {*} [body] Body of the attempt, if any.
+ * @property {number} [status] Status code of the attempt's response, if it
+ *  received one.
+ * @property {Error} [error] Error that the attempt failed with, if any.
+ */
+
+/**
+ * @typedef CassetteMatchOptions
+ * @property {boolean} [method=true] If true, recorded requests must have the same
+ *  HTTP method as the request being sent.
+ * @property {boolean} [url=true] If true, recorded requests must have the same URL
+ *  as the request being sent.
+ * @property {boolean} [body=false] If true, recorded requests must have the same body
+ *  as the request being sent. Bodies are compared using a hash.
+ * @property {Array<string>} [headers=[]] Names of headers whose values must be the
+ *  same in recorded requests and the request being sent.
+ */
+
+/**
+ * @typedef CassetteOptions
+ * @property {string} path Path to the cassette's JSON file.
+ * @property {string} [mode="replay"] Either "record", in which case requests will be
+ *  sent and written to the cassette, or "replay", in which case requests will receive
+ *  the responses recorded in the cassette.
+ * @property {CassetteMatchOptions} [match] Controls how requests are matched to
+ *  recorded interactions when replaying.
+ */
+
 exports.unused = {};
@@ -0,0 +1,221 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { importFile } = require("./test-utils");
+
+const Cassette = importFile("cassette");
+
+const URL = "http://testcassette.com";
+
+describe("cassette tests", function () {
+  let cassettePath;
+
+  beforeEach(function () {
+    cassettePath = path.join(
+      os.tmpdir(),
+      `cassette-test-${process.pid}-${Date.now()}.json`
+    );
+  });
+
+  afterEach(function () {
+    if (fs.existsSync(cassettePath)) {
+      fs.unlinkSync(cassettePath);
+    }
+  });
+
+  /**
+   * @private
+   */
+  async function recordCassette(interactions) {
+    const cassette = new Cassette({ path: cassettePath, mode: "record" });
+    for (let i = 0; i < interactions.length; i++) {
+      const { request, response, error } = interactions[i];
+      await cassette.recordInteraction(request, response, error);
+    }
+  }
+
+  it("test invalid options", function () {
+    assert.throws(() => new Cassette(), /requires a path/);
+    assert.throws(
+      () => new Cassette({ path: cassettePath, mode: "invalid" }),
+      /must be either/
+    );
+  });
+
+  it("test record interactions", async function () {
+    await recordCassette([
+      {
+        request: {
+          url: URL,
+          method: "post",
+          headers: { Authorization: "Bearer token", "X-Header": "value" },
+          body: "hello",
+        },
+        response: {
+          status: 200,
+          statusText: "OK",
+          headers: { "set-cookie": ["cookie=value"] },
+          body: Buffer.from("world"),
+        },
+      },
+      {
+        request: { url: URL },
+        response: {
+          status: 200,
+          headers: {},
+          body: Buffer.from([0xff, 0xfe]),
+        },
+      },
+      {
+        request: { url: URL },
+        error: { name: "Error", message: "reset", code: "ECONNRESET" },
+      },
+    ]);
+
+    const { interactions } = JSON.parse(fs.readFileSync(cassettePath, "utf8"));
+    assert.strictEqual(interactions.length, 3);
+    assert.deepStrictEqual(interactions[0], {
+      request: {
+        method: "POST",
+        url: URL,
+        headers: { authorization: "<redacted>", "x-header": "value" },
+        bodyHash:
+          "2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824",
+      },
+      response: {
+        status: 200,
+        statusText: "OK",
+        headers: { "set-cookie": ["cookie=value"] },
+        body: "world",
+      },
+    });
+    assert.strictEqual(interactions[1].response.encoding, "base64");
+    assert.strictEqual(interactions[1].response.body, "//4=");
+    assert.deepStrictEqual(interactions[2].error, {
+      name: "Error",
+      message: "reset",
+      code: "ECONNRESET",
+    });
+  });
+
+  it("test record after failed write", async function () {
+    const directory = path.join(
+      os.tmpdir(),
+      `cassette-test-dir-${process.pid}-${Date.now()}`
+    );
+    const filePath = path.join(directory, "cassette.json");
+    const cassette = new Cassette({ path: filePath, mode: "record" });
+    const response = { status: 200, headers: {}, body: Buffer.from("body") };
+
+    try {
+      await assert.rejects(
+        () => cassette.recordInteraction({ url: URL }, response),
+        { code: "ENOENT" }
+      );
+
+      // the failed write doesn't prevent later writes
+      fs.mkdirSync(directory);
+      await cassette.recordInteraction({ url: `${URL}/second` }, response);
+      const { interactions } = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      assert.strictEqual(interactions.length, 2);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it("test replay interactions in order", async function () {
+    await recordCassette([
+      { request: { url: URL }, response: { status: 503 } },
+      { request: { url: URL }, response: { status: 200 } },
+    ]);
+
+    const cassette = new Cassette({ path: cassettePath });
+    assert.ok(!cassette.isRecording());
+    let interaction = await cassette.findInteraction({ url: URL });
+    assert.strictEqual(interaction.response.status, 503);
+    interaction = await cassette.findInteraction({ url: URL, method: "get" });
+    assert.strictEqual(interaction.response.status, 200);
+    await assert.rejects(
+      () => cassette.findInteraction({ url: URL }),
+      /has no unplayed interaction matching request GET/
+    );
+  });
+
+  it("test default match rules", async function () {
+    await recordCassette([
+      {
+        request: { url: URL, method: "PUT", body: "one" },
+        response: { status: 200 },
+      },
+    ]);
+
+    const cassette = new Cassette({ path: cassettePath });
+    await assert.rejects(() => cassette.findInteraction({ url: URL }));
+    await assert.rejects(() =>
+      cassette.findInteraction({ url: `${URL}/other`, method: "PUT" })
+    );
+    const interaction = await cassette.findInteraction({
+      url: URL,
+      method: "PUT",
+      body: "two",
+    });
+    assert.strictEqual(interaction.response.status, 200);
+  });
+
+  it("test configured match rules", async function () {
+    await recordCassette([
+      {
+        request: {
+          url: URL,
+          method: "PUT",
+          body: "one",
+          headers: { "content-type": "text/plain" },
+        },
+        response: { status: 200 },
+      },
+    ]);
+
+    const cassette = new Cassette({
+      path: cassettePath,
+      match: {
+        method: false,
+        url: false,
+        body: true,
+        headers: ["Content-Type"],
+      },
+    });
+    await assert.rejects(() =>
+      cassette.findInteraction({
+        url: URL,
+        body: "two",
+        headers: { "content-type": "text/plain" },
+      })
+    );
+    await assert.rejects(() =>
+      cassette.findInteraction({
+        url: URL,
+        body: "one",
+        headers: { "content-type": "application/json" },
+      })
+    );
+    const interaction = await cassette.findInteraction({
+      url: `${URL}/other`,
+      body: "one",
+      headers: { "Content-Type": "text/plain" },
+    });
+    assert.strictEqual(interaction.response.status, 200);
+  });
+});
@@ -0,0 +1,196 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const assert = require("assert");
+
+const { importFile } = require("./test-utils");
+
+const CircuitBreaker = importFile("circuit-breaker");
+const CircuitOpenError = importFile("circuit-open-error");
+const HttpOptions = importFile("http-options");
+
+const URL = "http://testcircuitbreaker.com/path";
+const KEY = "http://testcircuitbreaker.com";
+
+describe("circuit breaker tests", function () {
+  /**
+   * @private
+   */
+  function createOptions(circuitBreaker = {}) {
+    return new HttpOptions({
+      url: URL,
+      cloudClient: {
+        circuitBreaker: {
+          failureThreshold: 2,
+          resetTimeout: 50,
+          ...circuitBreaker,
+        },
+      },
+    });
+  }
+
+  /**
+   * @private
+   */
+  function wait(delay) {
+    return new Promise((resolve) => setTimeout(resolve, delay));
+  }
+
+  it("test disabled", function () {
+    const breaker = new CircuitBreaker();
+    const options = new HttpOptions({ url: URL });
+    for (let i = 0; i < 10; i++) {
+      breaker.recordResult(options, true);
+    }
+    breaker.beforeRequest(options);
+    assert.strictEqual(breaker.getState(KEY), "closed");
+  });
+
+  it("test opens after failures", function () {
+    const breaker = new CircuitBreaker();
+    const options = createOptions();
+    breaker.beforeRequest(options);
+    breaker.recordResult(options, true);
+    breaker.recordResult(options, false);
+    assert.strictEqual(breaker.getState(KEY), "closed");
+    breaker.recordResult(options, true);
+    assert.strictEqual(breaker.getState(KEY), "open");
+    assert.throws(
+      () => breaker.beforeRequest(options),
+      (error) => {
+        assert.ok(error instanceof CircuitOpenError);
+        assert.strictEqual(error.code, "ECIRCUITOPEN");
+        assert.strictEqual(error.key, KEY);
+        assert.ok(error.retryAfter > 0 && error.retryAfter <= 50);
+        return true;
+      }
+    );
+  });
+
+  it("test failures outside window", async function () {
+    const breaker = new CircuitBreaker();
+    const options = createOptions({ window: 20 });
+    breaker.recordResult(options, true);
+    await wait(30);
+    breaker.recordResult(options, true);
+    assert.strictEqual(breaker.getState(KEY), "closed");
+    breaker.recordResult(options, true);
+    assert.strictEqual(breaker.getState(KEY), "open");
+  });
+
+  it("test half-open probes", async function () {
+    const breaker = new CircuitBreaker();
+    const options = createOptions();
+    const changes = [];
+    const listener = ({ to }) => changes.push(to);
+    breaker.on("stateChange", listener);
+    breaker.recordResult(options, true);
+    breaker.recordResult(options, true);
+    await wait(60);
+
+    // only one probe is allowed at a time
+    breaker.beforeRequest(options);
+    assert.throws(() => breaker.beforeRequest(options), CircuitOpenError);
+
+    // failed probe opens the circuit again
+    breaker.recordResult(options, true);
+    assert.strictEqual(breaker.getState(KEY), "open");
+    await wait(60);
+
+    breaker.beforeRequest(options);
+    breaker.recordResult(options, false);
+    assert.strictEqual(breaker.getState(KEY), "closed");
+    breaker.beforeRequest(options);
+    assert.deepStrictEqual(changes, [
+      "open",
+      "half-open",
+      "open",
+      "half-open",
+      "closed",
+    ]);
+
+    breaker.off("stateChange", listener);
+    breaker.recordResult(options, true);
+    breaker.recordResult(options, true);
+    assert.strictEqual(changes.length, 5);
+  });
+
+  it("test release probe", async function () {
+    const breaker = new CircuitBreaker();
+    const options = createOptions();
+    breaker.recordResult(options, true);
+    breaker.recordResult(options, true);
+
+    // requests that weren't probes don't give anything back
+    breaker.releaseProbe(options);
+    await wait(60);
+
+    breaker.beforeRequest(options);
+    assert.throws(
+      () => breaker.beforeRequest(createOptions()),
+      CircuitOpenError
+    );
+    breaker.releaseProbe(options);
+    assert.strictEqual(breaker.getState(KEY), "half-open");
+
+    // probe slot is only given back once
+    const probeOptions = createOptions();
+    breaker.beforeRequest(probeOptions);
+    breaker.releaseProbe(options);
+    assert.throws(
+      () => breaker.beforeRequest(createOptions()),
+      CircuitOpenError
+    );
+    breaker.recordResult(probeOptions, false);
+    assert.strictEqual(breaker.getState(KEY), "closed");
+  });
+
+  it("test request in flight across half-open", async function () {
+    const breaker = new CircuitBreaker();
+    const inFlight = createOptions();
+    breaker.beforeRequest(inFlight);
+
+    const options = createOptions();
+    breaker.recordResult(options, true);
+    breaker.recordResult(options, true);
+    await wait(60);
+    const probeOptions = createOptions();
+    breaker.beforeRequest(probeOptions);
+
+    // the request that was sent before the circuit opened isn't a probe
+    breaker.recordResult(inFlight, false);
+    assert.strictEqual(breaker.getState(KEY), "half-open");
+    assert.throws(
+      () => breaker.beforeRequest(createOptions()),
+      CircuitOpenError
+    );
+    breaker.recordResult(createOptions(), true);
+    assert.strictEqual(breaker.getState(KEY), "half-open");
+
+    breaker.recordResult(probeOptions, false);
+    assert.strictEqual(breaker.getState(KEY), "closed");
+  });
+
+  it("test custom key and reset", function () {
+    const breaker = new CircuitBreaker();
+    const options = createOptions({ key: () => "custom" });
+    breaker.recordResult(options, true);
+    breaker.recordResult(options, true);
+    assert.strictEqual(breaker.getState("custom"), "open");
+    assert.strictEqual(breaker.getState(KEY), "closed");
+    breaker.reset("custom");
+    assert.strictEqual(breaker.getState("custom"), "closed");
+    breaker.recordResult(options, true);
+    breaker.recordResult(options, true);
+    breaker.reset();
+    assert.strictEqual(breaker.getState("custom"), "closed");
+  });
+});
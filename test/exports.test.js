@@ -0,0 +1,472 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const assert = require("assert");
+const axios = require("axios");
+
+const { importFile } = require("./test-utils");
+
+const clientExports = importFile("exports");
+
+const HOST = "http://testexports.com";
+
+describe("exports tests", function () {
+  const routes = [
+    {
+      url: `${HOST}/login`,
+      responses: [{ headers: { "set-cookie": "session=value" } }],
+    },
+    {
+      url: `${HOST}/data`,
+      headers: { cookie: /session=value/ },
+      responses: [{ body: "authorized" }],
+    },
+    {
+      url: `${HOST}/data`,
+      responses: [{ status: 401 }],
+    },
+  ];
+
+  it("test default instance exports", function () {
+    const {
+      createCloudClient,
+      CircuitOpenError,
+      HostPausedError,
+      RetryStrategy,
+      ErrorStatusCode,
+      TooManyRequests,
+      NetworkError,
+      all,
+      any,
+      not,
+      forMethods,
+      forUrls,
+      ...defaultInstance
+    } = clientExports;
+    assert.strictEqual(typeof createCloudClient, "function");
+    [
+      CircuitOpenError,
+      HostPausedError,
+      RetryStrategy,
+      ErrorStatusCode,
+      TooManyRequests,
+      NetworkError,
+      all,
+      any,
+      not,
+      forMethods,
+      forUrls,
+    ].forEach((exported) => assert.strictEqual(typeof exported, "function"));
+    assert.deepStrictEqual(
+      Object.keys(defaultInstance),
+      Object.keys(createCloudClient())
+    );
+  });
+
+  it("test instances have independent cookies", async function () {
+    const first = clientExports.createCloudClient({ handleCookies: true });
+    const second = clientExports.createCloudClient({ handleCookies: true });
+    const firstRequest = first.mockClient(routes);
+    const secondRequest = second.mockClient(routes);
+
+    await firstRequest(`${HOST}/login`);
+    let response = await firstRequest(`${HOST}/data`);
+    assert.strictEqual(await response.text(), "authorized");
+    assert.strictEqual((await first.getCookies(HOST)).length, 1);
+
+    response = await secondRequest(`${HOST}/data`);
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual((await second.getCookies(HOST)).length, 0);
+
+    await second.setCookies(HOST, ["session=value"]);
+    response = await secondRequest(`${HOST}/data`);
+    assert.strictEqual(await response.text(), "authorized");
+
+    await first.clearCookies();
+    assert.strictEqual((await first.getCookies(HOST)).length, 0);
+    assert.strictEqual((await second.getCookies(HOST)).length, 1);
+  });
+
+  it("test instances have independent global options", async function () {
+    const retryRoutes = [{ responses: [{ status: 503 }, { status: 200 }] }];
+    const first = clientExports.createCloudClient();
+    const second = clientExports.createCloudClient();
+    first.setGlobalOptions({ retry: { count: 1 } });
+    second.setGlobalOptions({ retry: { delay: 10 } });
+
+    let response = await first.mockClient(retryRoutes)(HOST);
+    assert.strictEqual(response.status, 503);
+
+    response = await second.mockClient(retryRoutes)(HOST);
+    assert.strictEqual(response.status, 200);
+  });
+
+  it("test library options override instance options", async function () {
+    const instance = clientExports.createCloudClient({ handleCookies: true });
+    const request = instance.mockClient(routes, { handleCookies: false });
+
+    await request(`${HOST}/login`);
+    assert.strictEqual((await instance.getCookies(HOST)).length, 0);
+  });
+
+  it("test circuit breaker", async function () {
+    const client = clientExports.createCloudClient();
+    client.setGlobalOptions({
+      retry: { delay: 10, count: 2 },
+      circuitBreaker: { failureThreshold: 2, resetTimeout: 100 },
+    });
+    const changes = [];
+    client.getCircuitBreaker().on("stateChange", (change) => {
+      changes.push(change);
+    });
+    const mockFetch = client.mockClient([
+      { url: `${HOST}/down`, responses: [{ status: 503 }] },
+      { url: `${HOST}/up`, responses: [{ status: 200 }] },
+    ]);
+
+    // first attempt and its retry open the circuit
+    let response = await mockFetch(`${HOST}/down`);
+    assert.strictEqual(response.status, 503);
+    assert.strictEqual(mockFetch.getAttempts().length, 2);
+    assert.deepStrictEqual(changes, [
+      { key: HOST, from: "closed", to: "open" },
+    ]);
+
+    await assert.rejects(() => mockFetch(`${HOST}/up`), {
+      name: "CircuitOpenError",
+      key: HOST,
+    });
+    await assert.rejects(
+      () => mockFetch(`${HOST}/up`),
+      (error) => error instanceof clientExports.CircuitOpenError
+    );
+
+    // bodies aren't created for requests that the circuit rejects
+    let created = 0;
+    await assert.rejects(
+      () =>
+        mockFetch(`${HOST}/up`, {
+          method: "PUT",
+          cloudClient: {
+            bodyFactory: () => {
+              created++;
+              return "body";
+            },
+          },
+        }),
+      { name: "CircuitOpenError" }
+    );
+    assert.strictEqual(created, 0);
+    assert.strictEqual(mockFetch.getAttempts().length, 2);
+
+    // disabled for a single request
+    response = await mockFetch(`${HOST}/up`, {
+      cloudClient: { circuitBreaker: false },
+    });
+    assert.strictEqual(response.status, 200);
+
+    // half-open probe closes the circuit
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.strictEqual(client.getCircuitBreaker().getState(HOST), "half-open");
+    response = await mockFetch(`${HOST}/up`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(client.getCircuitBreaker().getState(HOST), "closed");
+    assert.deepStrictEqual(
+      changes.map(({ to }) => to),
+      ["open", "half-open", "closed"]
+    );
+  });
+
+  it("test aborted circuit breaker probe", async function () {
+    const client = clientExports.createCloudClient();
+    client.setGlobalOptions({
+      retry: { delay: 10, count: 2 },
+      circuitBreaker: { failureThreshold: 1, resetTimeout: 20 },
+    });
+    const mockFetch = client.mockClient([
+      { url: `${HOST}/down`, responses: [{ status: 503 }] },
+      {
+        url: `${HOST}/slow`,
+        responses: [{ error: { name: "AbortError", message: "aborted" } }],
+      },
+      { url: `${HOST}/up`, responses: [{ status: 200 }] },
+    ]);
+
+    await mockFetch(`${HOST}/down`, { cloudClient: { retry: { count: 0 } } });
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    assert.strictEqual(client.getCircuitBreaker().getState(HOST), "half-open");
+
+    // the aborted probe doesn't keep the circuit's only probe slot
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(() =>
+      mockFetch(`${HOST}/slow`, { signal: controller.signal })
+    );
+    assert.strictEqual(client.getCircuitBreaker().getState(HOST), "half-open");
+
+    const response = await mockFetch(`${HOST}/up`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(client.getCircuitBreaker().getState(HOST), "closed");
+  });
+
+  it("test retry budget", async function () {
+    const client = clientExports.createCloudClient();
+    client.setGlobalOptions({
+      retry: { delay: 10 },
+      retryBudget: { percent: 50, minRetriesPerSecond: 0 },
+    });
+    const mockFetch = client.mockClient([
+      { url: `${HOST}/down`, responses: [{ status: 503 }] },
+      { url: `${HOST}/up`, responses: [{ status: 200 }] },
+    ]);
+
+    await mockFetch(`${HOST}/up`);
+    await mockFetch(`${HOST}/up`);
+    const response = await mockFetch(`${HOST}/down`);
+    assert.strictEqual(response.status, 503);
+    assert.strictEqual(mockFetch.getAttempts().length, 4);
+    const { retries, retrySuppressed } =
+      response.cloudClient.options.cloudClient;
+    assert.strictEqual(retries, 1);
+    assert.ok(retrySuppressed.includes("retry budget"));
+
+    // disabled for a single request
+    mockFetch.reset();
+    await mockFetch(`${HOST}/down`, { cloudClient: { retryBudget: false } });
+    assert.strictEqual(mockFetch.getAttempts().length, 3);
+  });
+
+  it("test retry budget with rate limited requests", async function () {
+    const client = clientExports.createCloudClient();
+    client.setGlobalOptions({
+      retry: { delay: 10 },
+      retryBudget: { percent: 50, minRetriesPerSecond: 0 },
+    });
+    const mockFetch = client.mockClient([
+      {
+        url: `${HOST}/limited`,
+        responses: [{ status: 429, headers: { "retry-after-ms": "10" } }],
+      },
+    ]);
+
+    // rate limited responses aren't successes, and their retries draw from the budget
+    await mockFetch(`${HOST}/limited`);
+    const response = await mockFetch(`${HOST}/limited`);
+    assert.strictEqual(response.status, 429);
+    assert.strictEqual(mockFetch.getAttempts().length, 2);
+    assert.ok(
+      response.cloudClient.options.cloudClient.retrySuppressed.includes(
+        "retry budget"
+      )
+    );
+  });
+
+  it("test rate limit pauses host", async function () {
+    const client = clientExports.createCloudClient();
+    client.setGlobalOptions({ retry: { delay: 10 } });
+    const limited = { status: 429, headers: { "retry-after-ms": "100" } };
+    const mockFetch = client.mockClient([
+      {
+        url: `${HOST}/limited`,
+        responses: [limited, limited, { status: 200 }],
+      },
+      { url: `${HOST}/other`, responses: [{ status: 200 }] },
+    ]);
+
+    let response = await mockFetch(`${HOST}/limited`, {
+      method: "POST",
+      cloudClient: { retry: { count: 1 } },
+    });
+    assert.strictEqual(response.status, 429);
+    assert.ok(client.getHostThrottle().getPauseTime(HOST) > 0);
+
+    // other requests to the host wait for the pause instead of being sent
+    response = await mockFetch(`${HOST}/other`);
+    assert.strictEqual(response.status, 200);
+    assert.ok(response.cloudClient.options.cloudClient.pausedFor >= 50);
+    assert.strictEqual(mockFetch.getAttempts().length, 2);
+
+    // non-idempotent requests are retried
+    response = await mockFetch(`${HOST}/limited`, { method: "POST" });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.cloudClient.options.cloudClient.retries, 1);
+    assert.strictEqual(mockFetch.getAttempts().length, 4);
+
+    // disabled for a single request
+    mockFetch.reset();
+    response = await mockFetch(`${HOST}/limited`, {
+      cloudClient: { throttling: false },
+    });
+    assert.strictEqual(response.status, 429);
+    assert.strictEqual(mockFetch.getAttempts().length, 1);
+    assert.strictEqual(client.getHostThrottle().getPauseTime(HOST), 0);
+
+    // aborted while waiting for the pause
+    const controller = new AbortController();
+    client.getHostThrottle().pause(HOST, 1000);
+    setTimeout(() => controller.abort(), 10);
+    await assert.rejects(
+      () => mockFetch(`${HOST}/other`, { signal: controller.signal }),
+      { name: "AbortError" }
+    );
+    assert.strictEqual(mockFetch.getAttempts().length, 1);
+
+    // pause is longer than the request's deadline
+    const started = new Date().getTime();
+    await assert.rejects(
+      () => mockFetch(`${HOST}/other`, { cloudClient: { totalTimeout: 300 } }),
+      (error) => {
+        assert.ok(error instanceof clientExports.HostPausedError);
+        assert.strictEqual(error.code, "EHOSTPAUSED");
+        assert.strictEqual(error.key, HOST);
+        assert.ok(error.retryAfter > 300);
+        assert.strictEqual(error.cloudClient.options.url, `${HOST}/other`);
+        return true;
+      }
+    );
+    assert.ok(new Date().getTime() - started < 300);
+    assert.strictEqual(mockFetch.getAttempts().length, 1);
+
+    // pauses aren't waited out when they're turned off
+    response = await mockFetch(`${HOST}/other`, {
+      cloudClient: { throttling: { pauseHost: false } },
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(
+      response.cloudClient.options.cloudClient.pausedFor,
+      undefined
+    );
+  });
+
+  it("test update with concurrency", async function () {
+    const client = clientExports.createCloudClient();
+    client.setGlobalOptions({ concurrentUpdate: { delay: 10 } });
+    const mockFetch = client.mockClient([
+      {
+        method: "GET",
+        url: `${HOST}/asset`,
+        responses: [
+          { headers: { etag: '"1"' }, body: { name: "first" } },
+          { headers: { etag: '"2"' }, body: { name: "second" } },
+        ],
+      },
+      {
+        method: "PUT",
+        url: `${HOST}/asset`,
+        headers: { "if-match": '"1"' },
+        responses: [{ status: 412 }],
+      },
+      { method: "PUT", url: `${HOST}/asset`, responses: [{ status: 200 }] },
+    ]);
+
+    const response = await mockFetch.updateWithConcurrency(
+      `${HOST}/asset`,
+      (asset) => ({ ...asset, updated: true })
+    );
+    assert.strictEqual(response.status, 200);
+    const { concurrentUpdate } = response.cloudClient.options.cloudClient;
+    assert.strictEqual(concurrentUpdate.attempts, 2);
+    assert.ok(concurrentUpdate.updated);
+    assert.deepStrictEqual(
+      mockFetch.getAttempts().map(({ method, body }) => `${method} ${body}`),
+      [
+        "GET undefined",
+        `PUT {"name":"first","updated":true}`,
+        "GET undefined",
+        `PUT {"name":"second","updated":true}`,
+      ]
+    );
+    assert.strictEqual(
+      typeof client.axiosClient(axios).updateWithConcurrency,
+      "function"
+    );
+  });
+
+  it("test composed retry strategies", async function () {
+    const { all, not, forMethods, ErrorStatusCode } = clientExports;
+    const messages = [];
+    const log = {
+      debug: () => {},
+      info: (message) => messages.push(message),
+      warn: () => {},
+      error: () => {},
+    };
+    const client = clientExports.createCloudClient({ log });
+    client.setGlobalOptions({
+      retry: {
+        delay: 10,
+        defaults: false,
+        strategies: [
+          all(new ErrorStatusCode(), not({ statuses: [501] })),
+          forMethods(["PUT"], { statuses: [409], maxRetries: 1, priority: 1 }),
+        ],
+      },
+    });
+    const mockFetch = client.mockClient([
+      { url: `${HOST}/unavailable`, responses: [{ status: 503 }, {}] },
+      { url: `${HOST}/unimplemented`, responses: [{ status: 501 }] },
+      { url: `${HOST}/conflict`, responses: [{ status: 409 }] },
+    ]);
+
+    let response = await mockFetch(`${HOST}/unavailable`);
+    assert.strictEqual(response.status, 200);
+    assert.ok(
+      messages.some((message) =>
+        String(message).includes(
+          'request is being retried by all(ErrorStatusCode, not(RetryRule {"statuses":[501]})), because the response had server error status 503'
+        )
+      )
+    );
+
+    response = await mockFetch(`${HOST}/unimplemented`);
+    assert.strictEqual(response.status, 501);
+    assert.strictEqual(response.cloudClient.options.cloudClient.retries, 0);
+
+    messages.length = 0;
+    response = await mockFetch(`${HOST}/conflict`, { method: "PUT" });
+    assert.strictEqual(response.status, 409);
+    assert.strictEqual(response.cloudClient.options.cloudClient.retries, 1);
+    assert.ok(
+      messages.some((message) =>
+        String(message).includes(
+          'retried by forMethods PUT(RetryRule {"statuses":[409],"maxRetries":1,"priority":1}), because the response had status 409'
+        )
+      )
+    );
+  });
+
+  it("test retry rules from json", async function () {
+    const client = clientExports.createCloudClient();
+    client.setGlobalOptions(
+      JSON.parse(`{
+        "retry": {
+          "delay": 10,
+          "strategies": [{ "statuses": [409], "methods": ["PUT"], "maxRetries": 1 }]
+        }
+      }`)
+    );
+    const mockFetch = client.mockClient([
+      { url: `${HOST}/conflict`, responses: [{ status: 409 }] },
+    ]);
+
+    let response = await mockFetch(`${HOST}/conflict`, { method: "PUT" });
+    assert.strictEqual(response.status, 409);
+    assert.strictEqual(mockFetch.getAttempts().length, 2);
+    assert.deepStrictEqual(
+      response.cloudClient.options.cloudClient.retry.strategies,
+      [{ statuses: [409], methods: ["PUT"], maxRetries: 1 }]
+    );
+
+    mockFetch.reset();
+    response = await mockFetch(`${HOST}/conflict`, { method: "POST" });
+    assert.strictEqual(mockFetch.getAttempts().length, 1);
+  });
+});
@@ -0,0 +1,102 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const assert = require("assert");
+
+const { importFile } = require("./test-utils");
+
+const HostThrottle = importFile("host-throttle");
+const HttpOptions = importFile("http-options");
+
+const HOST = "http://testhostthrottle.com";
+
+describe("host throttle tests", function () {
+  it("test pause and reset", function () {
+    const throttle = new HostThrottle();
+    assert.strictEqual(throttle.getPauseTime(HOST), 0);
+
+    throttle.pause(HOST, 1000);
+    const remaining = throttle.getPauseTime(HOST);
+    assert.ok(remaining > 900 && remaining <= 1000);
+
+    // shorter pauses don't shorten an active pause
+    throttle.pause(HOST, 10);
+    assert.ok(throttle.getPauseTime(HOST) > 900);
+
+    throttle.reset(HOST);
+    assert.strictEqual(throttle.getPauseTime(HOST), 0);
+    throttle.pause(HOST, 1000);
+    throttle.reset();
+    assert.strictEqual(throttle.getPauseTime(HOST), 0);
+  });
+
+  it("test record rate limit", function () {
+    const throttle = new HostThrottle();
+    const options = new HttpOptions({
+      url: `${HOST}/path`,
+      cloudClient: { throttling: { pauseHost: true } },
+    });
+
+    // without a wait time there's nothing to pause for
+    throttle.recordRateLimit(options, 0);
+    assert.strictEqual(throttle.getPauseTime(HOST), 0);
+
+    throttle.recordRateLimit(options, 1000);
+    assert.ok(throttle.getPauseTime(HOST) > 900);
+    assert.ok(throttle.getWaitTime(options) > 900);
+    assert.strictEqual(
+      throttle.getWaitTime(
+        new HttpOptions({
+          url: "http://otherhost.com",
+          cloudClient: { throttling: { pauseHost: true } },
+        })
+      ),
+      0
+    );
+  });
+
+  it("test record rate limit disabled", function () {
+    const throttle = new HostThrottle();
+
+    throttle.recordRateLimit(
+      new HttpOptions({
+        url: HOST,
+        cloudClient: {
+          retry: { maxRetryAfter: 500 },
+          throttling: { pauseHost: true },
+        },
+      }),
+      1000
+    );
+    assert.strictEqual(throttle.getPauseTime(HOST), 0);
+
+    throttle.recordRateLimit(
+      new HttpOptions({ url: HOST, cloudClient: { throttling: false } }),
+      1000
+    );
+    assert.strictEqual(throttle.getPauseTime(HOST), 0);
+
+    // pauses are on by default
+    throttle.recordRateLimit(new HttpOptions({ url: HOST }), 1000);
+    assert.ok(throttle.getPauseTime(HOST) > 900);
+    throttle.reset(HOST);
+
+    const options = new HttpOptions({
+      url: HOST,
+      cloudClient: { throttling: { pauseHost: false } },
+    });
+    throttle.recordRateLimit(options, 1000);
+    assert.strictEqual(throttle.getPauseTime(HOST), 0);
+
+    throttle.pause(HOST, 1000);
+    assert.strictEqual(throttle.getWaitTime(options), 0);
+  });
+});
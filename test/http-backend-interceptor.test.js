@@ -37,6 +37,8 @@ describe("http backend interceptor tests", function () {
         return response;
       },
       getRetryOptionsFromResponse: (backend, config, response) => retryOptions,
+      submitRetry: (backend, config, retryConfig) =>
+        backend.submitRequest(retryConfig),
       getClientResponse: (backend, config, response, error) => {
         if (error) {
           error.interceptedResponseError = true;
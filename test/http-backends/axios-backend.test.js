@@ -17,6 +17,8 @@ const { importFile } = require("../test-utils");
 const MockHttpInterceptor = require("../mock-http-interceptor");
 
 const AxiosBackend = importFile("http-backends/axios-backend");
+const HttpClient = importFile("http-client");
+const HttpBackendInterceptor = importFile("http-backend-interceptor");
 const HttpOptions = importFile("http-options");
 
 describe("axios backend tests", async function () {
@@ -52,6 +54,26 @@ describe("axios backend tests", async function () {
     );
   });
 
+  it("test missing body file", async function () {
+    const backend = new AxiosBackend({}, axios.create());
+    const axiosClient = backend.registerInterceptors(
+      new HttpBackendInterceptor(new HttpClient())
+    );
+    nock("http://axiosbodyfiletesting.com").put("/").reply(201);
+    await assert.rejects(
+      () =>
+        axiosClient.put("http://axiosbodyfiletesting.com", undefined, {
+          cloudClient: { bodyFile: `${__filename}.missing` },
+        }),
+      (error) => {
+        assert.strictEqual(error.code, "ENOENT");
+        assert.ok(error.cloudClient);
+        return true;
+      }
+    );
+    nock.cleanAll();
+  });
+
   it("test get error config", function () {
     const backend = new AxiosBackend({}, axios);
     const error = {
@@ -137,6 +159,18 @@ describe("axios backend tests", async function () {
         timeout: 1000,
       },
     });
+
+    // timeout is shortened to fit the deadline
+    config = await backend.getRequestConfig(
+      new HttpOptions({
+        url: "testing",
+        timeout: 2000,
+        cloudClient: {
+          totalTimeout: 500,
+        },
+      })
+    );
+    assert.strictEqual(config.timeout, 500);
   });
 
   it("test submit request", async function () {
@@ -186,4 +220,196 @@ describe("axios backend tests", async function () {
     assert.strictEqual(options.constructor.name, "AxiosHttpOptions");
     assert.strictEqual(options.getUrl(), "testing");
   });
+
+  /**
+   * @private
+   */
+  function createAxiosClient() {
+    const backend = new AxiosBackend({}, axios.create());
+    return backend.registerInterceptors(
+      new HttpBackendInterceptor(new HttpClient())
+    );
+  }
+
+  it("test abort signal in flight", async function () {
+    const HOST = "http://axioscancellationtesting.com";
+    const axiosClient = createAxiosClient();
+    nock(HOST).get("/").delay(500).reply(200);
+    nock(HOST).get("/").reply(200);
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 200);
+    await assert.rejects(
+      () =>
+        axiosClient(HOST, {
+          signal: controller.signal,
+          cloudClient: { retry: { delay: 10 } },
+        }),
+      (error) => {
+        assert.ok(axios.isCancel(error));
+        assert.strictEqual(error.cloudClient.options.cloudClient.retries, 0);
+        return true;
+      }
+    );
+    assert.ok(!nock.isDone());
+    nock.cleanAll();
+  });
+
+  it("test cancel token during retry delay", async function () {
+    const HOST = "http://axioscancellationtesting.com";
+    const axiosClient = createAxiosClient();
+    nock(HOST).get("/").reply(503);
+    nock(HOST).get("/").reply(200);
+
+    const source = axios.CancelToken.source();
+    const start = Date.now();
+    setTimeout(() => source.cancel("caller went away"), 50);
+    await assert.rejects(
+      () =>
+        axiosClient(HOST, {
+          cancelToken: source.token,
+          cloudClient: { retry: { delay: 5000 } },
+        }),
+      (error) => {
+        assert.ok(axios.isCancel(error));
+        assert.strictEqual(error.message, "caller went away");
+        const { cloudClient } = error.cloudClient.options;
+        assert.strictEqual(cloudClient.retries, 1);
+        assert.strictEqual(cloudClient.retryResponses[0].status, 503);
+        return true;
+      }
+    );
+    assert.ok(Date.now() - start < 1000);
+    assert.ok(!nock.isDone());
+    nock.cleanAll();
+  });
+
+  it("test abort signal stops unlimited retries", async function () {
+    const HOST = "http://axioscancellationtesting.com";
+    const axiosClient = createAxiosClient();
+    nock(HOST).get("/").times(100).reply(202);
+
+    const controller = new AbortController();
+    const polling = {
+      shouldRetry: async ({ response }) => response.status === 202,
+      getMaxRetries: async () => -1,
+      getDelayMultiple: async () => 1,
+    };
+    setTimeout(() => controller.abort(), 100);
+    await assert.rejects(
+      () =>
+        axiosClient(HOST, {
+          signal: controller.signal,
+          cloudClient: { retry: { delay: 10, strategies: [polling] } },
+        }),
+      (error) => {
+        assert.ok(error.cloudClient.options.cloudClient.retries > 0);
+        return true;
+      }
+    );
+    nock.cleanAll();
+  });
+
+  it("test update with concurrency", async function () {
+    const HOST = "http://axiosconcurrencytesting.com";
+    const httpClient = new HttpClient();
+    const backend = new AxiosBackend({}, axios.create());
+    backend.registerInterceptors(new HttpBackendInterceptor(httpClient));
+    nock(HOST).get("/asset").reply(200, { count: 1 }, { etag: '"1"' });
+    nock(HOST)
+      .put("/asset", { count: 2 })
+      .matchHeader("if-match", '"1"')
+      .reply(412);
+    nock(HOST).get("/asset").reply(200, { count: 2 }, { etag: '"2"' });
+    nock(HOST)
+      .put("/asset", { count: 3 })
+      .matchHeader("if-match", '"2"')
+      .reply(200, { count: 3 }, { etag: '"3"' });
+
+    const response = await httpClient.updateWithConcurrency(
+      backend,
+      `${HOST}/asset`,
+      ({ count }) => ({ count: count + 1 }),
+      { cloudClient: { concurrentUpdate: { delay: 10 } } }
+    );
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.data, { count: 3 });
+    const { concurrentUpdate } = response.cloudClient.options.cloudClient;
+    assert.strictEqual(concurrentUpdate.attempts, 2);
+    assert.ok(concurrentUpdate.updated);
+    assert.deepStrictEqual(
+      concurrentUpdate.responses.map(({ status }) => status),
+      [200, 412, 200, 200]
+    );
+    assert.ok(nock.isDone());
+  });
+
+  it("test update with concurrency conflicts", async function () {
+    const HOST = "http://axiosconcurrencytesting.com";
+    const httpClient = new HttpClient();
+    const backend = new AxiosBackend({}, axios.create());
+    backend.registerInterceptors(new HttpBackendInterceptor(httpClient));
+    nock(HOST).get("/asset").times(2).reply(200, { count: 1 }, { etag: '"1"' });
+    nock(HOST).put("/asset").times(2).reply(409);
+
+    await assert.rejects(
+      () =>
+        httpClient.updateWithConcurrency(
+          backend,
+          `${HOST}/asset`,
+          ({ count }) => ({ count: count + 1 }),
+          { cloudClient: { concurrentUpdate: { delay: 10, maxAttempts: 2 } } }
+        ),
+      (error) => {
+        assert.strictEqual(error.response.status, 409);
+        const { concurrentUpdate } = error.cloudClient.options.cloudClient;
+        assert.strictEqual(concurrentUpdate.attempts, 2);
+        assert.ok(!concurrentUpdate.updated);
+        assert.strictEqual(concurrentUpdate.delays.length, 1);
+        return true;
+      }
+    );
+    assert.ok(nock.isDone());
+  });
+
+  it("test update with concurrency aborted during backoff", async function () {
+    const HOST = "http://axiosconcurrencytesting.com";
+    const httpClient = new HttpClient();
+    const backend = new AxiosBackend({}, axios.create());
+    backend.registerInterceptors(new HttpBackendInterceptor(httpClient));
+    nock(HOST).get("/asset").reply(200, { count: 1 }, { etag: '"1"' });
+    nock(HOST).put("/asset").reply(412);
+
+    const controller = new AbortController();
+    const start = Date.now();
+    await assert.rejects(
+      () =>
+        httpClient.updateWithConcurrency(
+          backend,
+          `${HOST}/asset`,
+          ({ count }) => {
+            setTimeout(() => controller.abort(), 200);
+            return { count: count + 1 };
+          },
+          {
+            signal: controller.signal,
+            cloudClient: { concurrentUpdate: { delay: 10000 } },
+          }
+        ),
+      (error) => {
+        assert.strictEqual(error.name, "AbortError");
+        const { concurrentUpdate } = error.cloudClient.options.cloudClient;
+        assert.strictEqual(concurrentUpdate.attempts, 1);
+        assert.ok(!concurrentUpdate.updated);
+        assert.deepStrictEqual(
+          concurrentUpdate.responses.map(({ status }) => status),
+          [200, 412]
+        );
+        assert.strictEqual(concurrentUpdate.delays.length, 1);
+        return true;
+      }
+    );
+    assert.ok(Date.now() - start < 5000);
+    assert.ok(nock.isDone());
+  });
 });
@@ -10,6 +10,7 @@ governing permissions and limitations under the License.
 */
 
 const assert = require("assert");
+const axios = require("axios");
 
 const { importFile } = require("../test-utils");
 
@@ -28,6 +29,8 @@ describe("axios http options tests", function () {
       transformRequest: {},
       transformResponse: {},
       funcProp: () => {},
+      signal: new AbortController().signal,
+      cancelToken: axios.CancelToken.source().token,
       test: "property",
     });
     json = options.toJSON();
@@ -35,4 +38,53 @@ describe("axios http options tests", function () {
     assert.strictEqual(Object.keys(json).length, 3);
     assert.ok(json.headers["x-request-id"]);
   });
+
+  it("test get abort signal", async function () {
+    assert.strictEqual(new AxiosHttpOptions({}).getAbortSignal(), undefined);
+
+    const controller = new AbortController();
+    assert.strictEqual(
+      new AxiosHttpOptions({ signal: controller.signal }).getAbortSignal(),
+      controller.signal
+    );
+
+    // cancel token signal is the same for each set of options
+    const source = axios.CancelToken.source();
+    const signal = new AxiosHttpOptions({
+      cancelToken: source.token,
+    }).getAbortSignal();
+    assert.strictEqual(
+      new AxiosHttpOptions({ cancelToken: source.token }).getAbortSignal(),
+      signal
+    );
+    assert.ok(!signal.aborted);
+    source.cancel("cancelled by test");
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.ok(signal.aborted);
+    assert.strictEqual(signal.reason.message, "cancelled by test");
+
+    // already cancelled token
+    assert.ok(
+      new AxiosHttpOptions({ cancelToken: source.token }).getAbortSignal()
+        .aborted
+    );
+
+    // signal and cancel token
+    const tokenSource = axios.CancelToken.source();
+    const combined = new AxiosHttpOptions({
+      cancelToken: tokenSource.token,
+      signal: controller.signal,
+    }).getAbortSignal();
+    assert.ok(!combined.aborted);
+    controller.abort();
+    assert.ok(combined.aborted);
+  });
+
+  it("test request body", function () {
+    const options = new AxiosHttpOptions({ data: "hello" });
+    assert.strictEqual(options.getBody(), "hello");
+    options.setBody("world");
+    assert.strictEqual(options.getOptions().data, "world");
+    assert.strictEqual(options.getOptions().body, undefined);
+  });
 });
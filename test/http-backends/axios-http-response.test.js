@@ -0,0 +1,35 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const assert = require("assert");
+const { Readable } = require("stream");
+
+const { importFile } = require("../test-utils");
+
+const AxiosHttpResponse = importFile("http-backends/axios-http-response");
+
+describe("axios http response tests", function () {
+  it("test get body", async function () {
+    assert.strictEqual(await new AxiosHttpResponse({}).getBody(), "");
+    assert.strictEqual(
+      await new AxiosHttpResponse({ data: "hello" }).getBody(),
+      "hello"
+    );
+    assert.strictEqual(
+      await new AxiosHttpResponse({ data: { hello: "world" } }).getBody(),
+      '{"hello":"world"}'
+    );
+    assert.strictEqual(
+      await new AxiosHttpResponse({ data: Readable.from(["data"]) }).getBody(),
+      ""
+    );
+  });
+});
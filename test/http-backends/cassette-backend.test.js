@@ -0,0 +1,139 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const nock = require("nock");
+
+const { importFile } = require("../test-utils");
+
+const CassetteBackend = importFile("http-backends/cassette-backend");
+const HttpClient = importFile("http-client");
+const HttpBackendInterceptor = importFile("http-backend-interceptor");
+
+const HOST = "http://testcassettebackend.com";
+
+describe("cassette backend tests", function () {
+  let cassettePath;
+
+  beforeEach(function () {
+    cassettePath = path.join(
+      os.tmpdir(),
+      `cassette-backend-test-${process.pid}-${Date.now()}.json`
+    );
+  });
+
+  afterEach(function () {
+    nock.cleanAll();
+    nock.enableNetConnect();
+    if (fs.existsSync(cassettePath)) {
+      fs.unlinkSync(cassettePath);
+    }
+  });
+
+  /**
+   * @private
+   */
+  function createRequest(mode, options = {}) {
+    const backend = new CassetteBackend(options, { path: cassettePath, mode });
+    return backend.registerInterceptors(
+      new HttpBackendInterceptor(new HttpClient())
+    );
+  }
+
+  /**
+   * @private
+   */
+  function sendRequest(request) {
+    return request(`${HOST}/retry`, {
+      method: "POST",
+      headers: { authorization: "Bearer token" },
+      body: "hello",
+      cloudClient: {
+        idempotencyKey: true,
+        retry: {
+          delay: 10,
+        },
+      },
+    });
+  }
+
+  it("test record and replay with retries", async function () {
+    nock(HOST).post("/retry", "hello").reply(503);
+    nock(HOST)
+      .post("/retry", "hello")
+      .replyWithError({ code: "ECONNRESET", message: "socket hang up" });
+    nock(HOST)
+      .post("/retry", "hello")
+      .reply(200, { hello: "world" }, { "set-cookie": "cookie1=value1" });
+
+    let response = await sendRequest(createRequest("record"));
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.cloudClient.options.cloudClient.retries, 2);
+    assert.ok(nock.isDone());
+
+    const { interactions } = JSON.parse(fs.readFileSync(cassettePath, "utf8"));
+    assert.strictEqual(interactions.length, 3);
+    assert.strictEqual(interactions[0].response.status, 503);
+    assert.strictEqual(
+      interactions[0].request.headers.authorization,
+      "<redacted>"
+    );
+    assert.strictEqual(interactions[1].error.code, "ECONNRESET");
+    assert.strictEqual(interactions[2].response.status, 200);
+
+    // replaying must not use the network
+    nock.disableNetConnect();
+    const request = createRequest("replay", { handleCookies: true });
+    response = await sendRequest(request);
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { hello: "world" });
+
+    const { cloudClient } = response.cloudClient.options;
+    assert.strictEqual(cloudClient.retries, 2);
+    assert.strictEqual(cloudClient.retryResponses[0].status, 503);
+    assert.strictEqual(
+      cloudClient.retryResponses[1].error.message,
+      "socket hang up"
+    );
+
+    // all interactions have been replayed, so another request fails without retrying
+    await assert.rejects(() => sendRequest(request), /no unplayed interaction/);
+  });
+
+  it("test replay unmatched request", async function () {
+    fs.writeFileSync(cassettePath, JSON.stringify({ interactions: [] }));
+    nock.disableNetConnect();
+
+    const request = createRequest("replay");
+    await assert.rejects(() => request({ url: HOST, method: "DELETE" }), {
+      message: `Cassette ${cassettePath} has no unplayed interaction matching request DELETE ${HOST}`,
+    });
+  });
+
+  it("test submit request", async function () {
+    nock(HOST).get("/testing").reply(201, "created");
+
+    const backend = new CassetteBackend(
+      {},
+      { path: cassettePath, mode: "record" }
+    );
+    const response = await backend.submitRequest({ url: `${HOST}/testing` });
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(await response.text(), "created");
+    assert.deepStrictEqual(
+      backend.getSetCookies({ headers: { "set-cookie": "cookie1=value1" } }),
+      ["cookie1=value1"]
+    );
+  });
+});
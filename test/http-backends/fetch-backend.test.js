@@ -17,6 +17,8 @@ const { importFile } = require("../test-utils");
 const HttpOptions = require("../../src/http-options");
 
 const FetchBackend = importFile("http-backends/fetch-backend");
+const HttpClient = importFile("http-client");
+const HttpBackendInterceptor = importFile("http-backend-interceptor");
 const MockHttpInterceptor = require("../mock-http-interceptor");
 
 describe("fetch backend tests", function () {
@@ -54,6 +56,27 @@ describe("fetch backend tests", function () {
     );
   });
 
+  it("test missing body file", async function () {
+    const backend = new FetchBackend({}, fetch);
+    const fetchClient = backend.registerInterceptors(
+      new HttpBackendInterceptor(new HttpClient())
+    );
+    nock("http://testfetchbackendbodyfile.com").put("/").reply(201);
+    await assert.rejects(
+      () =>
+        fetchClient("http://testfetchbackendbodyfile.com", {
+          method: "PUT",
+          cloudClient: { bodyFile: `${__filename}.missing` },
+        }),
+      (error) => {
+        assert.strictEqual(error.code, "ENOENT");
+        assert.ok(error.cloudClient);
+        return true;
+      }
+    );
+    nock.cleanAll();
+  });
+
   it("test get request config", async function () {
     const backend = new FetchBackend({}, fetch);
     let config = await backend.getRequestConfig(
@@ -117,4 +140,220 @@ describe("fetch backend tests", function () {
     assert.ok(response);
     assert.strictEqual(response.constructor.name, "FetchHttpResponse");
   });
+
+  it("test retry strategy reads body", async function () {
+    const HOST = "http://testfetchbackendretrybody.com";
+    const backend = new FetchBackend({}, fetch);
+    const fetchClient = backend.registerInterceptors(
+      new HttpBackendInterceptor(new HttpClient())
+    );
+    nock(HOST).get("/").reply(200, { state: "PROVISIONING" });
+    nock(HOST).get("/").reply(200, { state: "READY" });
+
+    const states = [];
+    const response = await fetchClient(HOST, {
+      cloudClient: {
+        retry: {
+          delay: 10,
+          strategies: [
+            {
+              shouldRetry: async ({ getBody, getJson }) => {
+                const { state } = await getJson();
+                states.push(state);
+                assert.strictEqual(await getBody(), `{"state":"${state}"}`);
+                return state === "PROVISIONING";
+              },
+            },
+          ],
+        },
+      },
+    });
+    assert.deepStrictEqual(states, ["PROVISIONING", "READY"]);
+    assert.deepStrictEqual(await response.json(), { state: "READY" });
+  });
+
+  it("test update with concurrency", async function () {
+    const HOST = "http://testfetchbackendconcurrency.com";
+    const httpClient = new HttpClient();
+    const backend = new FetchBackend({}, fetch);
+    backend.registerInterceptors(new HttpBackendInterceptor(httpClient));
+    nock(HOST).get("/asset").reply(200, { count: 1 }, { etag: '"1"' });
+    nock(HOST)
+      .patch("/asset", { count: 2 })
+      .matchHeader("if-match", '"1"')
+      .matchHeader("content-type", "application/json")
+      .matchHeader("authorization", "token")
+      .reply(409);
+    nock(HOST).get("/asset").reply(200, { count: 2 }, { etag: '"2"' });
+    nock(HOST)
+      .patch("/asset", { count: 3 })
+      .matchHeader("if-match", '"2"')
+      .reply(204);
+
+    const attempts = [];
+    const response = await httpClient.updateWithConcurrency(
+      backend,
+      `${HOST}/asset`,
+      async (current, { attempt, etag }) => {
+        attempts.push([attempt, etag]);
+        return { count: current.count + 1 };
+      },
+      {
+        headers: { authorization: "token" },
+        cloudClient: { concurrentUpdate: { method: "PATCH", delay: 10 } },
+      }
+    );
+    assert.strictEqual(response.status, 204);
+    assert.deepStrictEqual(attempts, [
+      [1, '"1"'],
+      [2, '"2"'],
+    ]);
+    assert.deepStrictEqual(
+      response.cloudClient.options.cloudClient.concurrentUpdate.responses.map(
+        ({ status }) => status
+      ),
+      [200, 409, 200, 204]
+    );
+    assert.ok(nock.isDone());
+
+    // no write when the function doesn't modify the resource
+    nock(HOST).get("/asset").reply(200, "unchanged");
+    const unchanged = await httpClient.updateWithConcurrency(
+      backend,
+      `${HOST}/asset`,
+      () => undefined
+    );
+    assert.strictEqual(unchanged.status, 200);
+    assert.strictEqual(await unchanged.text(), "unchanged");
+    assert.ok(
+      !unchanged.cloudClient.options.cloudClient.concurrentUpdate.updated
+    );
+  });
+
+  it("test deadline", async function () {
+    const HOST = "http://testfetchbackenddeadline.com";
+    const backend = new FetchBackend({}, fetch);
+    const fetchClient = backend.registerInterceptors(
+      new HttpBackendInterceptor(new HttpClient())
+    );
+    nock(HOST).get("/").reply(503);
+    nock(HOST).get("/").reply(503);
+
+    const start = new Date().getTime();
+    const response = await fetchClient(HOST, {
+      cloudClient: {
+        retry: { delay: 100, deadline: 250 },
+      },
+    });
+    assert.strictEqual(response.status, 503);
+    assert.ok(new Date().getTime() - start < 250);
+    const { cloudClient } = response.cloudClient.options;
+    assert.strictEqual(cloudClient.retries, 1);
+    assert.ok(cloudClient.retrySuppressed.includes("deadline"));
+  });
+
+  it("test caller abort signal", async function () {
+    const HOST = "http://testfetchbackendabort.com";
+    const backend = new FetchBackend({}, fetch);
+    const fetchClient = backend.registerInterceptors(
+      new HttpBackendInterceptor(new HttpClient())
+    );
+    nock(HOST).get("/").delay(500).reply(200);
+    nock(HOST).get("/").reply(200);
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+    await assert.rejects(
+      () =>
+        fetchClient(HOST, {
+          signal: controller.signal,
+          cloudClient: { retry: { delay: 10 } },
+        }),
+      (error) => {
+        assert.strictEqual(error.cloudClient.options.cloudClient.retries, 0);
+        return true;
+      }
+    );
+    // the request shouldn't have been retried
+    assert.ok(!nock.isDone());
+    nock.cleanAll();
+  });
+
+  it("test caller abort during retry delay", async function () {
+    const HOST = "http://testfetchbackendabort.com";
+    const backend = new FetchBackend({}, fetch);
+    const fetchClient = backend.registerInterceptors(
+      new HttpBackendInterceptor(new HttpClient())
+    );
+    nock(HOST).get("/").reply(503);
+    nock(HOST).get("/").reply(200);
+
+    const controller = new AbortController();
+    const start = Date.now();
+    setTimeout(() => controller.abort(new Error("client disconnected")), 50);
+    await assert.rejects(
+      () =>
+        fetchClient(HOST, {
+          signal: controller.signal,
+          cloudClient: { retry: { delay: 5000 } },
+        }),
+      { message: "client disconnected" }
+    );
+    assert.ok(Date.now() - start < 1000);
+    assert.ok(!nock.isDone());
+    nock.cleanAll();
+  });
+
+  it("test caller signal with timeout", async function () {
+    const HOST = "http://testfetchbackendabort.com";
+    const backend = new FetchBackend({}, fetch);
+    const fetchClient = backend.registerInterceptors(
+      new HttpBackendInterceptor(new HttpClient())
+    );
+    nock(HOST).get("/").delay(500).reply(200);
+    nock(HOST).get("/").reply(200);
+
+    // timeouts are still retried when the caller provides a signal
+    const controller = new AbortController();
+    const response = await fetchClient(HOST, {
+      signal: controller.signal,
+      cloudClient: { timeout: 50, retry: { delay: 10 } },
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.cloudClient.options.cloudClient.retries, 1);
+    assert.ok(nock.isDone());
+  });
+
+  it("test timeout error", async function () {
+    const HOST = "http://testfetchbackendtimeout.com";
+    const backend = new FetchBackend({}, fetch);
+    const fetchClient = backend.registerInterceptors(
+      new HttpBackendInterceptor(new HttpClient())
+    );
+    nock(HOST).post("/").delay(500).reply(200);
+
+    // timeouts of non-idempotent requests aren't retried by default
+    const categories = [];
+    await assert.rejects(
+      () =>
+        fetchClient(HOST, {
+          method: "POST",
+          cloudClient: {
+            timeout: 50,
+            retry: {
+              strategies: [
+                {
+                  shouldRetry: async ({ errorCategory }) => {
+                    categories.push(errorCategory);
+                    return false;
+                  },
+                },
+              ],
+            },
+          },
+        }),
+      { name: "TimeoutError", code: "ETIMEDOUT" }
+    );
+    assert.deepStrictEqual(categories, ["read-timeout"]);
+  });
 });
@@ -10,6 +10,8 @@ governing permissions and limitations under the License.
 */
 
 const assert = require("assert");
+const fetch = require("minipass-fetch");
+const { Readable } = require("stream");
 
 const { importFile } = require("../test-utils");
 
@@ -38,4 +40,104 @@ describe("fetch http response tests", function () {
       header: "header",
     });
   });
+
+  it("test get body", async function () {
+    let response = new FetchHttpResponse({});
+    assert.strictEqual(await response.getBody(), "");
+
+    let reads = 0;
+    const rawResponse = {
+      bodyUsed: false,
+      arrayBuffer: async () => {
+        reads++;
+        return new TextEncoder().encode('{"hello":"world"}').buffer;
+      },
+    };
+    response = new FetchHttpResponse(rawResponse);
+    assert.strictEqual(await response.getBody(), '{"hello":"world"}');
+    assert.deepStrictEqual(await response.getJson(), { hello: "world" });
+
+    // body is only read once per raw response, and is still readable
+    response = new FetchHttpResponse(rawResponse);
+    assert.strictEqual(await response.getBody(), '{"hello":"world"}');
+    assert.strictEqual(reads, 1);
+    assert.strictEqual(await rawResponse.text(), '{"hello":"world"}');
+    assert.deepStrictEqual(await rawResponse.json(), { hello: "world" });
+    assert.strictEqual((await rawResponse.arrayBuffer()).byteLength, 17);
+
+    response = new FetchHttpResponse({ ...rawResponse, bodyUsed: true });
+    assert.strictEqual(await response.getBody(), "");
+  });
+
+  it("test get body re-exposes body", async function () {
+    const rawResponse = new Response("hello=world", {
+      status: 201,
+      statusText: "Created",
+      headers: { "content-type": "application/x-www-form-urlencoded" },
+    });
+    const response = new FetchHttpResponse(rawResponse);
+    assert.strictEqual(await response.getBody(), "hello=world");
+
+    assert.ok(!rawResponse.bodyUsed);
+    const chunks = [];
+    for await (const chunk of rawResponse.body) {
+      chunks.push(Buffer.from(chunk));
+    }
+    assert.strictEqual(Buffer.concat(chunks).toString(), "hello=world");
+    assert.strictEqual(rawResponse.body, rawResponse.body);
+
+    const blob = await rawResponse.blob();
+    assert.strictEqual(await blob.text(), "hello=world");
+    assert.ok(blob.type.startsWith("application/x-www-form-urlencoded"));
+    const formData = await rawResponse.formData();
+    assert.strictEqual(formData.get("hello"), "world");
+    assert.strictEqual(await rawResponse.text(), "hello=world");
+    assert.ok(rawResponse.bodyUsed);
+
+    // reading the re-exposed stream uses the body
+    const streamed = new Response("streamed");
+    await new FetchHttpResponse(streamed).getBody();
+    assert.ok(!streamed.bodyUsed);
+    await new FetchHttpResponse(streamed).getBody();
+    assert.ok(!streamed.bodyUsed);
+    await streamed.body.getReader().read();
+    assert.ok(streamed.bodyUsed);
+
+    // responses that can't have a body
+    const emptyResponse = new Response(null, { status: 204 });
+    assert.strictEqual(
+      await new FetchHttpResponse(emptyResponse).getBody(),
+      ""
+    );
+    assert.strictEqual(await (await emptyResponse.blob()).text(), "");
+    assert.strictEqual(emptyResponse.body, null);
+  });
+
+  it("test get body re-exposes node stream body", async function () {
+    const rawResponse = new fetch.Response(Readable.from(["hello ", "world"]), {
+      headers: { "content-type": "text/plain" },
+    });
+    const response = new FetchHttpResponse(rawResponse);
+    assert.strictEqual(await response.getBody(), "hello world");
+    assert.ok(!rawResponse.bodyUsed);
+
+    assert.strictEqual(typeof rawResponse.body.pipe, "function");
+    const chunks = [];
+    for await (const chunk of rawResponse.body) {
+      chunks.push(Buffer.from(chunk));
+    }
+    assert.strictEqual(Buffer.concat(chunks).toString(), "hello world");
+    assert.ok(rawResponse.bodyUsed);
+    assert.strictEqual(await rawResponse.text(), "hello world");
+
+    // a body that a null body status can't have isn't provided to a copied response
+    const noContent = new fetch.Response(Readable.from(["ignored"]), {
+      status: 204,
+    });
+    assert.strictEqual(
+      await new FetchHttpResponse(noContent).getBody(),
+      "ignored"
+    );
+    assert.strictEqual(await (await noContent.blob()).text(), "");
+  });
 });
@@ -0,0 +1,190 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const assert = require("assert");
+const got = require("got");
+const nock = require("nock");
+const { Readable } = require("stream");
+
+const { importFile } = require("../test-utils");
+
+const GotBackend = importFile("http-backends/got-backend");
+const HttpClient = importFile("http-client");
+const HttpBackendInterceptor = importFile("http-backend-interceptor");
+const MockHttpInterceptor = require("../mock-http-interceptor");
+
+const HOST = "http://testgotbackend.com";
+
+describe("got backend tests", function () {
+  afterEach(function () {
+    nock.cleanAll();
+  });
+
+  /**
+   * @private
+   */
+  function createGot(options = {}) {
+    const backend = new GotBackend(options, got);
+    return backend.registerInterceptors(
+      new HttpBackendInterceptor(new HttpClient())
+    );
+  }
+
+  it("test register intercept response", async function () {
+    const backend = new GotBackend({}, got);
+    const gotInstance = backend.registerInterceptors(new MockHttpInterceptor());
+    nock(HOST).get("/").reply(200, { hello: "world" }, { header1: "value1" });
+
+    const response = await gotInstance(HOST);
+    assert.ok(response.intercepted);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(response.headers.header1, "value1");
+  });
+
+  it("test register intercept error", async function () {
+    const backend = new GotBackend({}, got);
+    const gotInstance = backend.registerInterceptors(new MockHttpInterceptor());
+    nock(HOST).get("/").replyWithError("really bad error");
+
+    return assert.rejects(() => gotInstance(HOST), {
+      intercepted: true,
+    });
+  });
+
+  it("test request with retry", async function () {
+    const gotInstance = createGot();
+    nock(HOST).post("/retry?query=value", { hello: "world" }).reply(500);
+    nock(HOST)
+      .post("/retry?query=value", { hello: "world" })
+      .reply(200, { result: "success" });
+
+    const response = await gotInstance.post(`${HOST}/retry`, {
+      searchParams: { query: "value" },
+      json: { hello: "world" },
+      responseType: "json",
+      cloudClient: {
+        idempotencyKey: true,
+        retry: {
+          delay: 10,
+        },
+      },
+    });
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepStrictEqual(response.body, { result: "success" });
+
+    const { cloudClient } = response;
+    assert.strictEqual(cloudClient.status, 200);
+    assert.strictEqual(cloudClient.options.cloudClient.retries, 1);
+    assert.strictEqual(
+      cloudClient.options.cloudClient.retryResponses[0].status,
+      500
+    );
+    assert.ok(nock.isDone());
+  });
+
+  it("test retry stream body with body factory", async function () {
+    const gotInstance = createGot();
+    nock(HOST).put("/factory", "streamed body").reply(503);
+    nock(HOST).put("/factory", "streamed body").reply(201);
+
+    let created = 0;
+    const response = await gotInstance.put(`${HOST}/factory`, {
+      cloudClient: {
+        retry: { delay: 10 },
+        bodyFactory: () => {
+          created++;
+          return Readable.from(["streamed ", "body"]);
+        },
+      },
+    });
+    assert.strictEqual(response.statusCode, 201);
+    assert.strictEqual(created, 2);
+    assert.ok(nock.isDone());
+  });
+
+  it("test missing body file", async function () {
+    const gotInstance = createGot();
+    await assert.rejects(
+      () =>
+        gotInstance.put(`${HOST}/file`, {
+          cloudClient: { bodyFile: `${__filename}.missing` },
+        }),
+      (error) => {
+        assert.strictEqual(error.code, "ENOENT");
+        assert.ok(error.cloudClient);
+        return true;
+      }
+    );
+  });
+
+  it("test request with error status", async function () {
+    const gotInstance = createGot();
+    nock(HOST).get("/").reply(404);
+
+    await assert.rejects(
+      () => gotInstance(HOST),
+      (error) => {
+        assert.strictEqual(error.name, "HTTPError");
+        assert.strictEqual(error.response.statusCode, 404);
+        assert.strictEqual(error.cloudClient.status, 404);
+        return true;
+      }
+    );
+  });
+
+  it("test promise shortcuts", async function () {
+    const gotInstance = createGot();
+    nock(HOST).get("/").twice().reply(200, { hello: "world" });
+
+    assert.deepStrictEqual(await gotInstance(HOST).json(), {
+      hello: "world",
+    });
+    assert.strictEqual(await gotInstance(HOST).text(), '{"hello":"world"}');
+  });
+
+  it("test stream is not intercepted", async function () {
+    const gotInstance = createGot();
+    nock(HOST).get("/").reply(200, "streamed");
+
+    const chunks = [];
+    for await (const chunk of gotInstance.stream(HOST)) {
+      chunks.push(chunk);
+    }
+    assert.strictEqual(Buffer.concat(chunks).toString(), "streamed");
+  });
+
+  it("test request with cookies", async function () {
+    const gotInstance = createGot({ handleCookies: true });
+    nock(HOST).get("/").reply(200, "", { "set-cookie": "cookie1=value1" });
+    nock(HOST, {
+      reqHeaders: {
+        cookie: "cookie1=value1",
+      },
+    })
+      .get("/")
+      .reply(200);
+
+    await gotInstance(HOST);
+    await gotInstance(HOST);
+    assert.ok(nock.isDone());
+  });
+
+  it("test submit request", async function () {
+    const backend = new GotBackend({}, got);
+    nock(HOST).get("/testing").reply(201, "created");
+
+    const response = await backend.submitRequest({ url: `${HOST}/testing` });
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(response.statusText, "Created");
+    assert.strictEqual(response.body, "created");
+  });
+});
@@ -0,0 +1,546 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const assert = require("assert");
+const { Readable } = require("stream");
+
+const { importFile } = require("../test-utils");
+
+const MockBackend = importFile("http-backends/mock-backend");
+const HttpClient = importFile("http-client");
+const HttpBackendInterceptor = importFile("http-backend-interceptor");
+const MockHttpInterceptor = require("../mock-http-interceptor");
+
+const HOST = "http://testmockbackend.com";
+
+describe("mock backend tests", function () {
+  /**
+   * @private
+   */
+  function createMockClient(routes, options = {}) {
+    const backend = new MockBackend(options, routes);
+    return backend.registerInterceptors(
+      new HttpBackendInterceptor(new HttpClient())
+    );
+  }
+
+  it("test invalid routes", function () {
+    assert.throws(
+      () => new MockBackend({}, [{ url: `${HOST}/empty`, responses: [] }]),
+      /Mock route 0 \(http:\/\/testmockbackend.com\/empty\) must provide a non-empty array of responses/
+    );
+    assert.throws(
+      () => new MockBackend({}, [{}, { responses: { status: 200 } }]),
+      /Mock route 1/
+    );
+    assert.ok(new MockBackend({}, [{ url: HOST }]));
+  });
+
+  it("test register intercept response", async function () {
+    const backend = new MockBackend({}, [
+      {
+        url: HOST,
+        responses: [
+          {
+            status: 201,
+            statusText: "Created",
+            headers: { Header1: "value1" },
+            body: { hello: "world" },
+          },
+        ],
+      },
+    ]);
+    const mockFetch = backend.registerInterceptors(new MockHttpInterceptor());
+
+    const response = await mockFetch(HOST);
+    assert.ok(response.intercepted);
+    assert.ok(response.ok);
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(response.statusText, "Created");
+    assert.strictEqual(response.headers.header1, "value1");
+    assert.strictEqual(response.headers["content-type"], "application/json");
+    assert.deepStrictEqual(await response.json(), { hello: "world" });
+  });
+
+  it("test register intercept error", async function () {
+    const backend = new MockBackend({}, [
+      { responses: [{ error: { message: "reset", code: "ECONNRESET" } }] },
+    ]);
+    const mockFetch = backend.registerInterceptors(new MockHttpInterceptor());
+
+    return assert.rejects(() => mockFetch(HOST), {
+      message: "reset",
+      code: "ECONNRESET",
+      intercepted: true,
+    });
+  });
+
+  it("test response sequence with retry", async function () {
+    const mockFetch = createMockClient([
+      {
+        method: "post",
+        url: /\/retry$/,
+        responses: [
+          { status: 503 },
+          { error: "network error" },
+          { body: "ok" },
+        ],
+      },
+    ]);
+
+    const response = await mockFetch(`${HOST}/retry`, {
+      method: "POST",
+      body: "hello",
+      cloudClient: {
+        idempotencyKey: true,
+        retry: {
+          delay: 10,
+        },
+      },
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(await response.text(), "ok");
+
+    const { cloudClient } = response;
+    assert.strictEqual(cloudClient.options.cloudClient.retries, 2);
+    assert.strictEqual(
+      cloudClient.options.cloudClient.retryResponses[0].status,
+      503
+    );
+
+    const attempts = mockFetch.getAttempts();
+    assert.strictEqual(attempts.length, 3);
+    assert.strictEqual(attempts[0].method, "POST");
+    assert.strictEqual(attempts[0].url, `${HOST}/retry`);
+    assert.strictEqual(attempts[0].body, "hello");
+    assert.strictEqual(attempts[0].status, 503);
+    assert.strictEqual(attempts[1].error.message, "network error");
+    assert.strictEqual(attempts[2].status, 200);
+
+    // last response in the sequence repeats
+    const secondResponse = await mockFetch(`${HOST}/retry`, { method: "POST" });
+    assert.strictEqual(secondResponse.status, 200);
+
+    mockFetch.reset();
+    assert.strictEqual(mockFetch.getAttempts().length, 0);
+    const resetResponse = await mockFetch(`${HOST}/retry`, {
+      method: "POST",
+      cloudClient: { retry: { count: 1 } },
+    });
+    assert.strictEqual(resetResponse.status, 503);
+  });
+
+  it("test long running operation", async function () {
+    const mockFetch = createMockClient([
+      {
+        method: "POST",
+        url: `${HOST}/jobs`,
+        responses: [
+          {
+            status: 202,
+            headers: {
+              "operation-location": "/operations/1",
+              location: "/jobs/1",
+            },
+          },
+        ],
+      },
+      {
+        url: `${HOST}/operations/1`,
+        responses: [
+          { status: 200, body: { status: "NotStarted" } },
+          { status: 200, body: { status: "Running" } },
+          { status: 200, body: { status: "Succeeded" } },
+        ],
+      },
+      {
+        url: `${HOST}/jobs/1`,
+        responses: [{ status: 200, body: { id: 1 } }],
+      },
+    ]);
+
+    const response = await mockFetch(`${HOST}/jobs`, {
+      method: "POST",
+      headers: { "content-type": "application/json", "x-custom": "value" },
+      body: JSON.stringify({ name: "job" }),
+      cloudClient: {
+        longRunningOperation: { fetchResult: true, pollDelay: 10 },
+      },
+    });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { id: 1 });
+
+    const { options } = response.cloudClient;
+    assert.strictEqual(options.cloudClient.retries, 4);
+    assert.deepStrictEqual(options.cloudClient.operation, {
+      url: `${HOST}/jobs`,
+      method: "POST",
+      statusUrl: `${HOST}/operations/1`,
+      resultUrl: `${HOST}/jobs/1`,
+      polls: 3,
+      state: "fetching",
+    });
+
+    const attempts = mockFetch.getAttempts();
+    assert.deepStrictEqual(
+      attempts.map(({ method, url }) => `${method} ${url}`),
+      [
+        `POST ${HOST}/jobs`,
+        `GET ${HOST}/operations/1`,
+        `GET ${HOST}/operations/1`,
+        `GET ${HOST}/operations/1`,
+        `GET ${HOST}/jobs/1`,
+      ]
+    );
+    assert.strictEqual(attempts[1].body, undefined);
+    assert.strictEqual(attempts[1].headers["content-type"], undefined);
+    assert.strictEqual(attempts[1].headers["x-custom"], "value");
+  });
+
+  it("test long running operation failure", async function () {
+    const mockFetch = createMockClient([
+      {
+        url: `${HOST}/jobs`,
+        responses: [{ status: 202, headers: { location: "/operations/1" } }],
+      },
+      {
+        url: `${HOST}/operations/1`,
+        responses: [
+          { status: 202, headers: { "retry-after": "0" } },
+          { status: 200, body: { properties: { state: "Canceled" } } },
+        ],
+      },
+    ]);
+
+    const response = await mockFetch(`${HOST}/jobs`, {
+      method: "POST",
+      cloudClient: {
+        longRunningOperation: {
+          statusField: "properties.state",
+          fetchResult: true,
+          pollDelay: 10,
+        },
+      },
+    });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), {
+      properties: { state: "Canceled" },
+    });
+    assert.strictEqual(mockFetch.getAttempts().length, 3);
+  });
+
+  it("test long running operation with stream body", async function () {
+    const mockFetch = createMockClient([
+      {
+        method: "PUT",
+        url: `${HOST}/uploads/1`,
+        responses: [{ status: 202, headers: { location: "/operations/1" } }],
+      },
+      {
+        url: `${HOST}/operations/1`,
+        responses: [
+          { status: 200, body: { status: "Running" } },
+          { status: 200, body: { status: "Succeeded" } },
+        ],
+      },
+    ]);
+
+    const response = await mockFetch(`${HOST}/uploads/1`, {
+      method: "PUT",
+      body: Readable.from(["streamed ", "body"]),
+      cloudClient: {
+        longRunningOperation: { pollDelay: 10 },
+      },
+    });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { status: "Succeeded" });
+
+    const { cloudClient } = response.cloudClient.options;
+    assert.strictEqual(cloudClient.retries, 2);
+    assert.strictEqual(cloudClient.retrySuppressed, undefined);
+    assert.deepStrictEqual(
+      mockFetch.getAttempts().map(({ method, url }) => `${method} ${url}`),
+      [
+        `PUT ${HOST}/uploads/1`,
+        `GET ${HOST}/operations/1`,
+        `GET ${HOST}/operations/1`,
+      ]
+    );
+  });
+
+  it("test verify create", async function () {
+    const mockFetch = createMockClient([
+      {
+        method: "POST",
+        url: `${HOST}/assets`,
+        responses: [
+          {
+            status: 201,
+            headers: { location: "/assets/1" },
+            body: { id: 1 },
+          },
+        ],
+      },
+      {
+        url: `${HOST}/assets/1`,
+        responses: [
+          { status: 404 },
+          { status: 404 },
+          { status: 200, body: { id: 1, name: "asset" } },
+        ],
+      },
+    ]);
+
+    const response = await mockFetch(`${HOST}/assets`, {
+      method: "POST",
+      headers: { "content-type": "application/json", "x-custom": "value" },
+      body: JSON.stringify({ name: "asset" }),
+      cloudClient: {
+        verifyCreate: { delay: 10 },
+      },
+    });
+    assert.strictEqual(response.status, 201);
+    assert.deepStrictEqual(await response.json(), { id: 1 });
+
+    const { options } = response.cloudClient;
+    assert.strictEqual(options.url, `${HOST}/assets`);
+    assert.strictEqual(options.cloudClient.retries, 3);
+    assert.deepStrictEqual(
+      options.cloudClient.retryResponses.map(({ status }) => status),
+      [201, 404, 404]
+    );
+    assert.deepStrictEqual(options.cloudClient.verification, {
+      type: "create",
+      url: `${HOST}/assets`,
+      method: "POST",
+      verifyUrl: `${HOST}/assets/1`,
+      attempts: 3,
+      verified: true,
+    });
+
+    const attempts = mockFetch.getAttempts();
+    assert.deepStrictEqual(
+      attempts.map(({ method, url }) => `${method} ${url}`),
+      [
+        `POST ${HOST}/assets`,
+        `GET ${HOST}/assets/1`,
+        `GET ${HOST}/assets/1`,
+        `GET ${HOST}/assets/1`,
+      ]
+    );
+    assert.strictEqual(attempts[1].body, undefined);
+    assert.strictEqual(attempts[1].headers["content-type"], undefined);
+    assert.strictEqual(attempts[1].headers["x-custom"], "value");
+  });
+
+  it("test verify create with stream body", async function () {
+    const mockFetch = createMockClient([
+      {
+        method: "POST",
+        url: `${HOST}/assets`,
+        responses: [{ status: 201, headers: { location: "/assets/1" } }],
+      },
+      {
+        url: `${HOST}/assets/1`,
+        responses: [{ status: 404 }, { status: 200, body: { id: 1 } }],
+      },
+    ]);
+
+    const response = await mockFetch(`${HOST}/assets`, {
+      method: "POST",
+      body: Readable.from(["streamed ", "body"]),
+      cloudClient: {
+        verifyCreate: { delay: 10 },
+      },
+    });
+    assert.strictEqual(response.status, 201);
+
+    const { cloudClient } = response.cloudClient.options;
+    assert.strictEqual(cloudClient.retrySuppressed, undefined);
+    assert.strictEqual(cloudClient.verification.attempts, 2);
+    assert.strictEqual(cloudClient.verification.verified, true);
+    assert.deepStrictEqual(
+      mockFetch.getAttempts().map(({ method, url }) => `${method} ${url}`),
+      [`POST ${HOST}/assets`, `GET ${HOST}/assets/1`, `GET ${HOST}/assets/1`]
+    );
+  });
+
+  it("test verify create not visible", async function () {
+    const mockFetch = createMockClient([
+      {
+        method: "PUT",
+        url: `${HOST}/assets/named`,
+        responses: [{ status: 200 }],
+      },
+      {
+        url: `${HOST}/assets/named`,
+        responses: [{ status: 404 }],
+      },
+    ]);
+
+    const response = await mockFetch(`${HOST}/assets/named`, {
+      method: "PUT",
+      cloudClient: {
+        verifyCreate: {
+          url: `${HOST}/assets/named`,
+          maxAttempts: 2,
+          delay: 10,
+        },
+      },
+    });
+    assert.strictEqual(response.status, 200);
+    const { verification, retries } = response.cloudClient.options.cloudClient;
+    assert.strictEqual(retries, 2);
+    assert.strictEqual(verification.attempts, 2);
+    assert.ok(!verification.verified);
+    assert.strictEqual(mockFetch.getAttempts().length, 3);
+  });
+
+  it("test verify update", async function () {
+    const mockFetch = createMockClient([
+      {
+        method: "PUT",
+        url: `${HOST}/assets/1`,
+        headers: { "if-match": '"1"' },
+        responses: [{ status: 412 }],
+      },
+      {
+        method: "PUT",
+        url: `${HOST}/assets/1`,
+        headers: { "if-match": '"2"' },
+        responses: [{ status: 200, headers: { etag: '"3"' } }],
+      },
+      {
+        url: `${HOST}/assets/1`,
+        responses: [{ status: 200, headers: { etag: '"2"' } }, { status: 304 }],
+      },
+    ]);
+
+    const response = await mockFetch(`${HOST}/assets/1`, {
+      method: "PUT",
+      headers: { "if-match": '"1"' },
+      body: "asset",
+      cloudClient: {
+        eventuallyConsistentUpdate: { getEtag: async () => '"2"' },
+        verifyUpdate: { delay: 10 },
+        retry: { delay: 10 },
+      },
+    });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(
+      response.cloudClient.options.cloudClient.verification,
+      {
+        type: "update",
+        url: `${HOST}/assets/1`,
+        method: "PUT",
+        verifyUrl: `${HOST}/assets/1`,
+        etag: '"3"',
+        attempts: 2,
+        verified: true,
+      }
+    );
+
+    const attempts = mockFetch.getAttempts();
+    assert.deepStrictEqual(
+      attempts.map(({ method, headers }) => [
+        method,
+        headers["if-match"],
+        headers["if-none-match"],
+      ]),
+      [
+        ["PUT", '"1"', undefined],
+        ["PUT", '"2"', undefined],
+        ["GET", undefined, '"3"'],
+        ["GET", undefined, '"3"'],
+      ]
+    );
+  });
+
+  it("test route matching", async function () {
+    const mockFetch = createMockClient([
+      {
+        method: "GET",
+        url: HOST,
+        headers: { Authorization: "Bearer token" },
+        responses: [{ body: "authorized" }],
+      },
+      {
+        url: (url) => url.startsWith(HOST),
+        headers: { "x-test": /^value/ },
+        responses: [{ body: "function" }],
+      },
+      {
+        method: "GET",
+        url: HOST,
+        responses: [{ status: 401 }],
+      },
+    ]);
+
+    let response = await mockFetch(HOST, {
+      headers: { authorization: "Bearer token" },
+    });
+    assert.strictEqual(await response.text(), "authorized");
+
+    response = await mockFetch(`${HOST}/path`, {
+      method: "PUT",
+      headers: { "X-Test": "value1" },
+    });
+    assert.strictEqual(await response.text(), "function");
+
+    response = await mockFetch(HOST);
+    assert.strictEqual(response.status, 401);
+
+    await assert.rejects(() => mockFetch(`${HOST}/unknown`), {
+      message: `No mock route matches request GET ${HOST}/unknown`,
+    });
+    assert.strictEqual(mockFetch.getAttempts().length, 4);
+  });
+
+  it("test mock cookies", async function () {
+    const mockFetch = createMockClient(
+      [
+        {
+          url: `${HOST}/login`,
+          responses: [{ headers: { "set-cookie": ["cookie1=value1"] } }],
+        },
+        {
+          url: `${HOST}/data`,
+          headers: { cookie: /cookie1=value1/ },
+        },
+      ],
+      { handleCookies: true }
+    );
+
+    await mockFetch(`${HOST}/login`);
+    const response = await mockFetch(`${HOST}/data`);
+    assert.strictEqual(response.status, 200);
+  });
+
+  it("test submit request", async function () {
+    const backend = new MockBackend({}, [
+      { method: "DELETE", responses: [{ status: 204 }] },
+    ]);
+    const response = await backend.submitRequest({
+      url: `${HOST}/testing`,
+      method: "delete",
+    });
+    assert.strictEqual(response.status, 204);
+    assert.deepStrictEqual(backend.getAttempts(), [
+      {
+        method: "DELETE",
+        url: `${HOST}/testing`,
+        headers: {},
+        body: undefined,
+        status: 204,
+      },
+    ]);
+  });
+});
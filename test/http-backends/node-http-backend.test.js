@@ -0,0 +1,375 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const assert = require("assert");
+const fs = require("fs");
+const http = require("http");
+const nock = require("nock");
+const { Readable } = require("stream");
+
+const { importFile } = require("../test-utils");
+const HttpOptions = require("../../src/http-options");
+
+const NodeHttpBackend = importFile("http-backends/node-http-backend");
+const HttpClient = importFile("http-client");
+const HttpBackendInterceptor = importFile("http-backend-interceptor");
+const MockHttpInterceptor = require("../mock-http-interceptor");
+
+describe("node http backend tests", function () {
+  afterEach(function () {
+    nock.cleanAll();
+  });
+
+  it("test register intercept response", async function () {
+    const backend = new NodeHttpBackend({});
+
+    const requestIntercept = backend.registerInterceptors(
+      new MockHttpInterceptor()
+    );
+    nock("http://testnodehttpbackendinterceptors.com").get("/").reply(200);
+    const response = await requestIntercept(
+      "http://testnodehttpbackendinterceptors.com"
+    );
+    assert.ok(response.ok);
+    assert.strictEqual(response.status, 200);
+    assert.ok(response.intercepted);
+  });
+
+  it("test register intercept options object", async function () {
+    const HOST = "https://testnodehttpbackendinterceptors.com";
+    const backend = new NodeHttpBackend({});
+
+    const requestIntercept = backend.registerInterceptors(
+      new MockHttpInterceptor()
+    );
+    nock(HOST).post("/testing", "hello").reply(201);
+    const response = await requestIntercept({
+      url: `${HOST}/testing`,
+      method: "post",
+      body: "hello",
+    });
+    assert.strictEqual(response.status, 201);
+    assert.ok(response.intercepted);
+    assert.ok(nock.isDone());
+  });
+
+  it("test register intercept error", async function () {
+    const HOST = "http://testnodehttpbackendinterceptors.com";
+    const backend = new NodeHttpBackend({});
+
+    const requestIntercept = backend.registerInterceptors(
+      new MockHttpInterceptor()
+    );
+
+    nock(HOST).get("/").replyWithError("really bad error");
+    return assert.rejects(
+      () => {
+        return requestIntercept(HOST);
+      },
+      {
+        intercepted: true,
+      }
+    );
+  });
+
+  it("test get request config", async function () {
+    const backend = new NodeHttpBackend({});
+    let config = await backend.getRequestConfig(
+      new HttpOptions({ url: "testing" })
+    );
+    assert.deepStrictEqual(config, {
+      url: "testing",
+    });
+  });
+
+  it("test submit request", async function () {
+    const host = "http://somereallynotfoundunittestdomain.com";
+    const backend = new NodeHttpBackend({});
+    nock(host)
+      .get("/testing")
+      .reply(200, { hello: "world" }, { "x-request-id": "id" });
+    const response = await backend.submitRequest({
+      url: `${host}/testing`,
+    });
+    const { status, headers } = response;
+    const data = await response.json();
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(data, { hello: "world" });
+    assert.strictEqual(headers["x-request-id"], "id");
+  });
+
+  it("test submit request with stream body", async function () {
+    const host = "http://somereallynotfoundunittestdomain.com";
+    const backend = new NodeHttpBackend({});
+    nock(host).put("/testing", "streamed body").reply(201);
+    const response = await backend.submitRequest({
+      url: `${host}/testing`,
+      method: "PUT",
+      body: Readable.from(["streamed ", "body"]),
+    });
+    assert.strictEqual(response.status, 201);
+    assert.ok(nock.isDone());
+  });
+
+  it("test submit request with failing stream body", async function () {
+    const host = "http://somereallynotfoundunittestdomain.com";
+    const backend = new NodeHttpBackend({});
+    nock(host).put("/testing").reply(201);
+    const body = new Readable({
+      read() {
+        this.destroy(new Error("unable to read body"));
+      },
+    });
+    await assert.rejects(
+      () =>
+        backend.submitRequest({
+          url: `${host}/testing`,
+          method: "PUT",
+          body,
+        }),
+      { message: "unable to read body" }
+    );
+    nock.cleanAll();
+  });
+
+  it("test missing body file", async function () {
+    const host = "http://somereallynotfoundunittestdomain.com";
+    const backend = new NodeHttpBackend({});
+    const request = backend.registerInterceptors(
+      new HttpBackendInterceptor(new HttpClient())
+    );
+    nock(host).put("/testing").reply(201);
+
+    await assert.rejects(
+      () =>
+        request(`${host}/testing`, {
+          method: "PUT",
+          cloudClient: {
+            retry: { delay: 10 },
+            bodyFile: `${__filename}.missing`,
+          },
+        }),
+      (error) => {
+        assert.strictEqual(error.code, "ENOENT");
+        assert.ok(error.cloudClient);
+        return true;
+      }
+    );
+    nock.cleanAll();
+  });
+
+  it("test retry stream body with body factory", async function () {
+    const host = "http://somereallynotfoundunittestdomain.com";
+    const backend = new NodeHttpBackend({});
+    const request = backend.registerInterceptors(
+      new HttpBackendInterceptor(new HttpClient())
+    );
+    nock(host).put("/testing", "streamed body").reply(503);
+    nock(host).put("/testing", "streamed body").reply(201);
+
+    let created = 0;
+    const response = await request(`${host}/testing`, {
+      method: "PUT",
+      cloudClient: {
+        retry: { delay: 10 },
+        bodyFactory: () => {
+          created++;
+          return Readable.from(["streamed ", "body"]);
+        },
+      },
+    });
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(created, 2);
+    assert.ok(nock.isDone());
+  });
+
+  it("test retry stream body with body file", async function () {
+    const host = "http://somereallynotfoundunittestdomain.com";
+    const backend = new NodeHttpBackend({});
+    const request = backend.registerInterceptors(
+      new HttpBackendInterceptor(new HttpClient())
+    );
+    const contents = fs.readFileSync(__filename, "utf8");
+    nock(host).put("/testing", contents).reply(503);
+    nock(host).put("/testing", contents).reply(201);
+
+    const response = await request(`${host}/testing`, {
+      method: "PUT",
+      cloudClient: {
+        retry: { delay: 10 },
+        bodyFile: __filename,
+      },
+    });
+    assert.strictEqual(response.status, 201);
+    assert.ok(nock.isDone());
+  });
+
+  it("test stream body is not retried", async function () {
+    const host = "http://somereallynotfoundunittestdomain.com";
+    const backend = new NodeHttpBackend({});
+    const request = backend.registerInterceptors(
+      new HttpBackendInterceptor(new HttpClient())
+    );
+    nock(host).put("/testing", "streamed body").reply(503);
+
+    const response = await request(`${host}/testing`, {
+      method: "PUT",
+      body: Readable.from(["streamed ", "body"]),
+      cloudClient: {
+        retry: { delay: 10 },
+      },
+    });
+    assert.strictEqual(response.status, 503);
+    const { cloudClient } = response.cloudClient.options;
+    assert.strictEqual(cloudClient.retries, 0);
+    assert.ok(cloudClient.retrySuppressed.includes("bodyFactory"));
+  });
+
+  it("test non-idempotent request is not retried", async function () {
+    const host = "http://somereallynotfoundunittestdomain.com";
+    const backend = new NodeHttpBackend({});
+    const request = backend.registerInterceptors(
+      new HttpBackendInterceptor(new HttpClient())
+    );
+    nock(host).post("/testing").reply(503);
+    nock(host)
+      .post("/testing")
+      .replyWithError({ code: "ECONNRESET", message: "socket hang up" });
+    nock(host)
+      .post("/testing")
+      .replyWithError({ code: "ECONNREFUSED", message: "refused" });
+    nock(host).post("/testing").reply(201);
+
+    const response = await request(`${host}/testing`, {
+      method: "POST",
+      cloudClient: { retry: { delay: 10 } },
+    });
+    assert.strictEqual(response.status, 503);
+
+    await assert.rejects(
+      () =>
+        request(`${host}/testing`, {
+          method: "POST",
+          cloudClient: { retry: { delay: 10 } },
+        }),
+      { code: "ECONNRESET" }
+    );
+
+    // connection errors are retried, since the server never received the request
+    const retried = await request(`${host}/testing`, {
+      method: "POST",
+      cloudClient: { retry: { delay: 10 } },
+    });
+    assert.strictEqual(retried.status, 201);
+    assert.ok(nock.isDone());
+  });
+
+  it("test idempotency key is stable across retries", async function () {
+    const host = "http://somereallynotfoundunittestdomain.com";
+    const backend = new NodeHttpBackend({});
+    const request = backend.registerInterceptors(
+      new HttpBackendInterceptor(new HttpClient())
+    );
+    const keys = [];
+    const recordKey = function () {
+      keys.push(this.req.headers["idempotency-key"]);
+      return keys.length === 1 ? [503] : [201];
+    };
+    nock(host).post("/testing").reply(recordKey);
+    nock(host).post("/testing").reply(recordKey);
+
+    const response = await request(`${host}/testing`, {
+      method: "POST",
+      cloudClient: { idempotencyKey: true, retry: { delay: 10 } },
+    });
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(keys.length, 2);
+    assert.ok(keys[0]);
+    assert.strictEqual(keys[0], keys[1]);
+  });
+
+  it("test submit request timeout", async function () {
+    const host = "http://somereallynotfoundunittestdomain.com";
+    const backend = new NodeHttpBackend({});
+    nock(host).get("/testing").delay(200).reply(200);
+    return assert.rejects(
+      () =>
+        backend.submitRequest({
+          url: `${host}/testing`,
+          cloudClient: {
+            timeout: 50,
+          },
+        }),
+      {
+        code: "ETIMEDOUT",
+      }
+    );
+  });
+
+  it("test submit request timeout with slow response", async function () {
+    // a server that keeps sending bytes never lets the socket go idle
+    const server = http.createServer((req, res) => {
+      res.writeHead(200);
+      const interval = setInterval(() => res.write("."), 10);
+      res.on("close", () => clearInterval(interval));
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const { port } = server.address();
+
+    const backend = new NodeHttpBackend({});
+    const started = new Date().getTime();
+    try {
+      await assert.rejects(
+        () =>
+          backend.submitRequest({
+            url: `http://127.0.0.1:${port}/testing`,
+            cloudClient: {
+              timeout: 100,
+            },
+          }),
+        {
+          code: "ETIMEDOUT",
+        }
+      );
+      assert.ok(new Date().getTime() - started < 1000);
+    } finally {
+      server.close();
+    }
+  });
+
+  it("test node http set cookies", function () {
+    const backend = new NodeHttpBackend({});
+    assert.deepStrictEqual(backend.getSetCookies({}), []);
+    assert.deepStrictEqual(
+      backend.getSetCookies({
+        headers: {
+          "set-cookie": "cookie1=value",
+        },
+      }),
+      ["cookie1=value"]
+    );
+    assert.deepStrictEqual(
+      backend.getSetCookies({
+        headers: {
+          "set-cookie": ["cookie1=value", "cookie2=value2"],
+        },
+      }),
+      ["cookie1=value", "cookie2=value2"]
+    );
+  });
+
+  it("test create http options", function () {
+    const backend = new NodeHttpBackend({});
+    const options = backend.createHttpOptions();
+    assert.ok(options);
+    assert.strictEqual(options.constructor.name, "NodeHttpOptions");
+  });
+});
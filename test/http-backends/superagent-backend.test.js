@@ -0,0 +1,191 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const assert = require("assert");
+const superagent = require("superagent");
+const nock = require("nock");
+const { Readable } = require("stream");
+
+const { importFile } = require("../test-utils");
+
+const SuperagentBackend = importFile("http-backends/superagent-backend");
+const HttpClient = importFile("http-client");
+const HttpBackendInterceptor = importFile("http-backend-interceptor");
+const MockHttpInterceptor = require("../mock-http-interceptor");
+
+const HOST = "http://testsuperagentbackend.com";
+
+describe("superagent backend tests", function () {
+  afterEach(function () {
+    nock.cleanAll();
+  });
+
+  /**
+   * @private
+   */
+  function createAgent(options = {}) {
+    const backend = new SuperagentBackend(options, superagent);
+    return backend.registerInterceptors(
+      new HttpBackendInterceptor(new HttpClient())
+    );
+  }
+
+  it("test register intercept response", async function () {
+    const backend = new SuperagentBackend({}, superagent);
+    const agent = backend.registerInterceptors(new MockHttpInterceptor());
+    nock(HOST).get("/").reply(200, { hello: "world" }, { header1: "value1" });
+
+    const response = await agent.get(HOST);
+    assert.ok(response.intercepted);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.header1, "value1");
+    assert.deepStrictEqual(response.body, { hello: "world" });
+  });
+
+  it("test register intercept error", async function () {
+    const backend = new SuperagentBackend({}, superagent);
+    const agent = backend.registerInterceptors(new MockHttpInterceptor());
+    nock(HOST).get("/").replyWithError("really bad error");
+
+    return assert.rejects(() => agent.get(HOST), {
+      intercepted: true,
+    });
+  });
+
+  it("test request with retry", async function () {
+    const agent = createAgent();
+    nock(HOST).post("/retry?query=value", { hello: "world" }).reply(500);
+    nock(HOST)
+      .post("/retry?query=value", { hello: "world" })
+      .reply(200, { result: "success" });
+
+    const response = await agent
+      .post(`${HOST}/retry`)
+      .query({ query: "value" })
+      .send({ hello: "world" })
+      .cloudClient({
+        idempotencyKey: true,
+        retry: {
+          delay: 10,
+        },
+      });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body, { result: "success" });
+
+    const { cloudClient } = response;
+    assert.strictEqual(cloudClient.status, 200);
+    assert.strictEqual(cloudClient.options.cloudClient.retries, 1);
+    assert.strictEqual(
+      cloudClient.options.cloudClient.retryResponses[0].status,
+      500
+    );
+    assert.ok(nock.isDone());
+  });
+
+  it("test retry stream body with body factory", async function () {
+    const agent = createAgent();
+    nock(HOST).put("/factory", "streamed body").reply(503);
+    nock(HOST).put("/factory", "streamed body").reply(201);
+
+    let created = 0;
+    const response = await agent.put(`${HOST}/factory`).cloudClient({
+      retry: { delay: 10 },
+      bodyFactory: () => {
+        created++;
+        return Readable.from(["streamed ", "body"]);
+      },
+    });
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(created, 2);
+    assert.ok(nock.isDone());
+  });
+
+  it("test missing body file", async function () {
+    const agent = createAgent();
+    await assert.rejects(
+      () =>
+        agent
+          .put(`${HOST}/file`)
+          .cloudClient({ bodyFile: `${__filename}.missing` }),
+      (error) => {
+        assert.strictEqual(error.code, "ENOENT");
+        assert.ok(error.cloudClient);
+        return true;
+      }
+    );
+  });
+
+  it("test request with error status", async function () {
+    const agent = createAgent();
+    nock(HOST).get("/").reply(404);
+
+    await assert.rejects(
+      () => agent.get(HOST),
+      (error) => {
+        assert.strictEqual(error.status, 404);
+        assert.strictEqual(error.response.status, 404);
+        assert.strictEqual(error.cloudClient.status, 404);
+        return true;
+      }
+    );
+  });
+
+  it("test request with callback", function (done) {
+    const agent = createAgent();
+    nock(HOST).get("/").reply(200, "callback");
+
+    agent.get(HOST).end((error, response) => {
+      assert.ok(!error);
+      assert.strictEqual(response.text, "callback");
+      assert.ok(response.cloudClient);
+      done();
+    });
+  });
+
+  it("test request with cookies", async function () {
+    const agent = createAgent({ handleCookies: true });
+    nock(HOST).get("/").reply(200, "", { "set-cookie": "cookie1=value1" });
+    nock(HOST, {
+      reqHeaders: {
+        cookie: /cookie1=value1/,
+      },
+    })
+      .get("/")
+      .reply(200);
+
+    await agent.get(HOST);
+    await agent.get(HOST);
+    assert.ok(nock.isDone());
+  });
+
+  it("test submit request", async function () {
+    const backend = new SuperagentBackend({}, superagent);
+    nock(HOST, { reqHeaders: { header1: "value1" } })
+      .put("/testing", "body")
+      .reply(201, "created");
+
+    const response = await backend.submitRequest({
+      url: `${HOST}/testing`,
+      method: "PUT",
+      headers: { header1: "value1", "content-type": "text/plain" },
+      body: "body",
+    });
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(response.text, "created");
+  });
+
+  it("test create http response", async function () {
+    const backend = new SuperagentBackend({}, superagent);
+    const response = backend.createHttpResponse({ text: "hello" });
+    assert.strictEqual(response.constructor.name, "SuperagentHttpResponse");
+    assert.strictEqual(await response.getBody(), "hello");
+  });
+});
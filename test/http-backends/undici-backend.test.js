@@ -0,0 +1,397 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const assert = require("assert");
+const http = require("http");
+const undici = require("undici");
+const { Readable, Writable } = require("stream");
+
+const { importFile } = require("../test-utils");
+const HttpOptions = require("../../src/http-options");
+
+const UndiciBackend = importFile("http-backends/undici-backend");
+const HttpClient = importFile("http-client");
+const HttpBackendInterceptor = importFile("http-backend-interceptor");
+const MockHttpInterceptor = require("../mock-http-interceptor");
+
+const HOST = "http://testundicibackend.com";
+
+describe("undici backend tests", function () {
+  let mockAgent;
+
+  beforeEach(function () {
+    mockAgent = new undici.MockAgent();
+    mockAgent.disableNetConnect();
+  });
+
+  afterEach(function () {
+    return mockAgent.close();
+  });
+
+  /**
+   * @private
+   */
+  function createDispatcher(options = {}) {
+    const backend = new UndiciBackend(options, mockAgent);
+    return backend.registerInterceptors(
+      new HttpBackendInterceptor(new HttpClient())
+    );
+  }
+
+  it("test register intercept response", async function () {
+    const backend = new UndiciBackend({}, mockAgent);
+    const dispatcher = backend.registerInterceptors(new MockHttpInterceptor());
+    mockAgent
+      .get(HOST)
+      .intercept({ path: "/" })
+      .reply(200, { hello: "world" }, { headers: { header1: "value1" } });
+
+    const response = await undici.request(HOST, { dispatcher });
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(response.headers.header1, "value1");
+    assert.deepStrictEqual(await response.body.json(), { hello: "world" });
+  });
+
+  it("test register intercept error", async function () {
+    const backend = new UndiciBackend({}, mockAgent);
+    const dispatcher = backend.registerInterceptors(new MockHttpInterceptor());
+    mockAgent
+      .get(HOST)
+      .intercept({ path: "/" })
+      .replyWithError(new Error("really bad error"));
+
+    return assert.rejects(() => undici.request(HOST, { dispatcher }), {
+      intercepted: true,
+    });
+  });
+
+  it("test request with retry", async function () {
+    const dispatcher = createDispatcher();
+    const pool = mockAgent.get(HOST);
+    pool.intercept({ path: "/retry?query=value" }).reply(500);
+    pool.intercept({ path: "/retry?query=value" }).reply(200, "success");
+
+    const response = await undici.request(`${HOST}/retry?query=value`, {
+      dispatcher,
+      cloudClient: {
+        retry: {
+          delay: 10,
+        },
+      },
+    });
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(await response.body.text(), "success");
+
+    const { cloudClient } = response.context;
+    assert.strictEqual(cloudClient.status, 200);
+    assert.ok(cloudClient.requestTime !== undefined);
+    assert.strictEqual(cloudClient.options.cloudClient.retries, 1);
+    assert.strictEqual(cloudClient.options.cloudClient.retryWait, 10);
+    assert.strictEqual(
+      cloudClient.options.cloudClient.retryResponses[0].status,
+      500
+    );
+    assert.ok(!cloudClient.options.dispatcher);
+  });
+
+  it("test request error with retry", async function () {
+    const dispatcher = createDispatcher();
+    mockAgent
+      .get(HOST)
+      .intercept({ path: "/" })
+      .replyWithError(
+        Object.assign(new Error("really bad error"), { code: "ECONNRESET" })
+      )
+      .times(2);
+
+    return assert.rejects(
+      () =>
+        undici.request(HOST, {
+          dispatcher,
+          cloudClient: {
+            retry: {
+              count: 2,
+              delay: 10,
+            },
+          },
+        }),
+      (error) => {
+        const { cloudClient } = error;
+        assert.strictEqual(cloudClient.options.cloudClient.retries, 1);
+        assert.strictEqual(cloudClient.error.message, "really bad error");
+        return true;
+      }
+    );
+  });
+
+  it("test stream with retry", async function () {
+    const dispatcher = createDispatcher();
+    const pool = mockAgent.get(HOST);
+    pool.intercept({ path: "/" }).reply(503);
+    pool.intercept({ path: "/" }).reply(200, "streamed");
+
+    const chunks = [];
+    let streamContext;
+    await undici.stream(
+      HOST,
+      {
+        dispatcher,
+        cloudClient: {
+          retry: {
+            delay: 10,
+          },
+        },
+      },
+      ({ statusCode, context }) => {
+        assert.strictEqual(statusCode, 200);
+        streamContext = context;
+        return new Writable({
+          write(chunk, encoding, callback) {
+            chunks.push(chunk);
+            callback();
+          },
+        });
+      }
+    );
+    assert.strictEqual(Buffer.concat(chunks).toString(), "streamed");
+    assert.strictEqual(
+      streamContext.cloudClient.options.cloudClient.retries,
+      1
+    );
+  });
+
+  it("test retry stream body with body factory", async function () {
+    const dispatcher = createDispatcher();
+    const pool = mockAgent.get(HOST);
+    const bodies = [];
+    pool.intercept({ path: "/factory", method: "PUT" }).reply(({ body }) => {
+      bodies.push(body);
+      return { statusCode: 503 };
+    });
+    pool.intercept({ path: "/factory", method: "PUT" }).reply(({ body }) => {
+      bodies.push(body);
+      return { statusCode: 201 };
+    });
+
+    let created = 0;
+    const response = await undici.request(`${HOST}/factory`, {
+      dispatcher,
+      method: "PUT",
+      cloudClient: {
+        retry: { delay: 10 },
+        bodyFactory: () => {
+          created++;
+          return Readable.from(["streamed ", "body"]);
+        },
+      },
+    });
+    assert.strictEqual(response.statusCode, 201);
+    assert.strictEqual(created, 2);
+    assert.strictEqual(bodies.length, 2);
+    assert.notStrictEqual(bodies[0], bodies[1]);
+    for (const body of bodies) {
+      const chunks = [];
+      for await (const chunk of body) {
+        chunks.push(Buffer.from(chunk));
+      }
+      assert.strictEqual(Buffer.concat(chunks).toString(), "streamed body");
+    }
+  });
+
+  it("test missing body file", async function () {
+    // the mock agent doesn't read request bodies, so a server is needed
+    const server = http.createServer((req, res) => {
+      req.resume();
+      req.on("end", () => res.end());
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const { port } = server.address();
+    const agent = new undici.Agent();
+    const backend = new UndiciBackend({}, agent);
+    const dispatcher = backend.registerInterceptors(
+      new HttpBackendInterceptor(new HttpClient())
+    );
+
+    try {
+      await assert.rejects(
+        () =>
+          undici.request(`http://127.0.0.1:${port}/file`, {
+            dispatcher,
+            method: "PUT",
+            cloudClient: { bodyFile: `${__filename}.missing` },
+          }),
+        (error) => {
+          assert.strictEqual(error.code, "ENOENT");
+          assert.ok(error.cloudClient);
+          return true;
+        }
+      );
+    } finally {
+      await agent.destroy();
+      server.closeAllConnections();
+      server.close();
+    }
+  });
+
+  it("test abort in-flight request", async function () {
+    // the mock agent can't abort a delayed reply, so a server that doesn't respond
+    // in time is needed
+    const server = http.createServer((req, res) => {
+      setTimeout(() => res.end(), 1000);
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const { port } = server.address();
+    const agent = new undici.Agent();
+    const backend = new UndiciBackend({}, agent);
+    const dispatcher = backend.registerInterceptors(
+      new HttpBackendInterceptor(new HttpClient())
+    );
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+    const started = new Date().getTime();
+    try {
+      await assert.rejects(
+        () =>
+          undici.request(`http://127.0.0.1:${port}/slow`, {
+            dispatcher,
+            signal: controller.signal,
+          }),
+        { name: "AbortError" }
+      );
+      assert.ok(new Date().getTime() - started < 500);
+    } finally {
+      await agent.destroy();
+      server.closeAllConnections();
+      server.close();
+    }
+  });
+
+  it("test abort while waiting to retry", async function () {
+    const dispatcher = createDispatcher();
+    const pool = mockAgent.get(HOST);
+    let attempts = 0;
+    pool
+      .intercept({ path: "/retry" })
+      .reply(() => {
+        attempts++;
+        return { statusCode: 503 };
+      })
+      .persist();
+
+    // aborts using the function that the dispatcher provides to the handler
+    const started = new Date().getTime();
+    const error = await new Promise((resolve) => {
+      dispatcher.dispatch(
+        {
+          origin: HOST,
+          path: "/retry",
+          method: "GET",
+          cloudClient: { retry: { delay: 200 } },
+        },
+        {
+          onConnect: (abort) => {
+            setTimeout(() => abort(new Error("stop retrying")), 20);
+          },
+          onHeaders: () => true,
+          onData: () => true,
+          onComplete: () => resolve(),
+          onError: resolve,
+        }
+      );
+    });
+    assert.strictEqual(error.message, "stop retrying");
+    assert.ok(new Date().getTime() - started < 200);
+
+    // the retry isn't sent after the abort
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    assert.strictEqual(attempts, 1);
+  });
+
+  it("test request with cookies", async function () {
+    const dispatcher = createDispatcher({ handleCookies: true });
+    const pool = mockAgent.get(HOST);
+    pool.intercept({ path: "/" }).reply(200, "", {
+      headers: { "set-cookie": ["cookie1=value1", "cookie2=value2"] },
+    });
+    pool
+      .intercept({
+        path: "/",
+        headers: {
+          cookie: "cookie1=value1; cookie2=value2",
+        },
+      })
+      .reply(200);
+
+    let response = await undici.request(HOST, { dispatcher });
+    await response.body.dump();
+    response = await undici.request(HOST, { dispatcher });
+    await response.body.dump();
+    assert.strictEqual(response.statusCode, 200);
+    mockAgent.assertNoPendingInterceptors();
+  });
+
+  it("test get request config", async function () {
+    const backend = new UndiciBackend({}, mockAgent);
+    let config = await backend.getRequestConfig(
+      new HttpOptions({ url: "testing" })
+    );
+    assert.deepStrictEqual(config, {
+      url: "testing",
+    });
+  });
+
+  it("test submit request", async function () {
+    const backend = new UndiciBackend({}, mockAgent);
+    mockAgent
+      .get(HOST)
+      .intercept({ path: "/testing", method: "POST", body: "hello" })
+      .reply(201, "created", { headers: { "x-request-id": "id" } });
+    const response = await backend.submitRequest({
+      url: `${HOST}/testing`,
+      method: "post",
+      body: "hello",
+      headers: ["content-type", "text/plain"],
+    });
+    const { status, headers, body } = response;
+    assert.strictEqual(status, 201);
+    assert.strictEqual(headers["x-request-id"], "id");
+    assert.strictEqual(body.toString(), "created");
+  });
+
+  it("test undici set cookies", function () {
+    const backend = new UndiciBackend({}, mockAgent);
+    assert.deepStrictEqual(backend.getSetCookies({}), []);
+    assert.deepStrictEqual(
+      backend.getSetCookies({
+        headers: {
+          "set-cookie": "cookie1=value",
+        },
+      }),
+      ["cookie1=value"]
+    );
+    assert.deepStrictEqual(
+      backend.getSetCookies({
+        headers: {
+          "set-cookie": ["cookie1=value", "cookie2=value2"],
+        },
+      }),
+      ["cookie1=value", "cookie2=value2"]
+    );
+  });
+
+  it("test create http options", function () {
+    const backend = new UndiciBackend({}, mockAgent);
+    const options = backend.createHttpOptions();
+    assert.ok(options);
+    assert.strictEqual(options.constructor.name, "UndiciHttpOptions");
+  });
+});
@@ -0,0 +1,275 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const assert = require("assert");
+const { Readable } = require("stream");
+
+const { importFile } = require("../test-utils");
+const HttpOptions = require("../../src/http-options");
+
+const XhrBackend = importFile("http-backends/xhr-backend");
+const HttpClient = importFile("http-client");
+const HttpBackendInterceptor = importFile("http-backend-interceptor");
+const MockHttpInterceptor = require("../mock-http-interceptor");
+
+const HOST = "http://testxhrbackend.com";
+
+let mockResponses = [];
+let mockRequests = [];
+
+/**
+ * Minimal stand-in for a browser's XMLHttpRequest, which responds to requests using
+ * the responses in mockResponses.
+ */
+class MockXMLHttpRequest {
+  constructor() {
+    this.upload = {};
+    this.requestHeaders = {};
+    mockRequests.push(this);
+  }
+
+  open(method, url) {
+    this.method = method;
+    this.url = url;
+  }
+
+  setRequestHeader(name, value) {
+    this.requestHeaders[name] = value;
+  }
+
+  getAllResponseHeaders() {
+    return this.rawHeaders;
+  }
+
+  abort() {
+    this.onabort();
+  }
+
+  send(body) {
+    this.body = body;
+    const {
+      status = 200,
+      statusText = "OK",
+      headers = "",
+      response = "",
+      error,
+    } = mockResponses.shift() || {};
+    setTimeout(() => {
+      if (error) {
+        this[error]();
+        return;
+      }
+      if (this.upload.onprogress) {
+        this.upload.onprogress({ loaded: 1, total: 1 });
+      }
+      if (this.onprogress) {
+        this.onprogress({ loaded: 1, total: 1 });
+      }
+      this.status = status;
+      this.statusText = statusText;
+      this.rawHeaders = headers;
+      this.response = response;
+      this.responseURL = this.url;
+      this.onload();
+    }, 5);
+  }
+}
+
+describe("xhr backend tests", function () {
+  beforeEach(function () {
+    mockResponses = [];
+    mockRequests = [];
+  });
+
+  it("test register intercept response", async function () {
+    const backend = new XhrBackend({}, MockXMLHttpRequest);
+    const xhrIntercept = backend.registerInterceptors(
+      new MockHttpInterceptor()
+    );
+    mockResponses.push({
+      headers: "Content-Type: application/json\r\nX-Request-Id: id\r\n",
+      response: '{"hello":"world"}',
+    });
+
+    const response = await xhrIntercept(HOST, {
+      method: "post",
+      headers: { "content-type": "text/plain" },
+      body: "hello",
+      credentials: "include",
+    });
+    assert.ok(response.ok);
+    assert.ok(response.intercepted);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers["x-request-id"], "id");
+    assert.deepStrictEqual(await response.json(), { hello: "world" });
+
+    const [request] = mockRequests;
+    assert.strictEqual(request.method, "POST");
+    assert.strictEqual(request.url, HOST);
+    assert.strictEqual(request.body, "hello");
+    assert.strictEqual(request.withCredentials, true);
+    assert.strictEqual(request.timeout, 60000);
+    assert.strictEqual(request.requestHeaders["content-type"], "text/plain");
+  });
+
+  it("test register intercept error", async function () {
+    const backend = new XhrBackend({}, MockXMLHttpRequest);
+    const xhrIntercept = backend.registerInterceptors(
+      new MockHttpInterceptor()
+    );
+    mockResponses.push({ error: "onerror" });
+
+    return assert.rejects(() => xhrIntercept(HOST), {
+      name: "NetworkError",
+      intercepted: true,
+    });
+  });
+
+  it("test request with retry and progress", async function () {
+    const backend = new XhrBackend({ handleCookies: true }, MockXMLHttpRequest);
+    const xhrClient = backend.registerInterceptors(
+      new HttpBackendInterceptor(new HttpClient())
+    );
+    mockResponses.push({ status: 503 }, { error: "ontimeout" }, {});
+
+    let uploadProgress = 0;
+    let downloadProgress = 0;
+    const response = await xhrClient(HOST, {
+      onUploadProgress: () => uploadProgress++,
+      onDownloadProgress: () => downloadProgress++,
+      cloudClient: {
+        timeout: 1000,
+        retry: {
+          delay: 10,
+        },
+      },
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(uploadProgress, 2);
+    assert.strictEqual(downloadProgress, 2);
+    assert.strictEqual(mockRequests.length, 3);
+    assert.strictEqual(mockRequests[0].timeout, 1000);
+    assert.strictEqual(mockRequests[0].withCredentials, false);
+
+    const { cloudClient } = response.cloudClient.options;
+    assert.strictEqual(cloudClient.retries, 2);
+    assert.strictEqual(cloudClient.retryResponses[0].status, 503);
+    assert.strictEqual(
+      cloudClient.retryResponses[1].error.name,
+      "TimeoutError"
+    );
+  });
+
+  it("test retry stream body with body factory", async function () {
+    const backend = new XhrBackend({}, MockXMLHttpRequest);
+    const xhrClient = backend.registerInterceptors(
+      new HttpBackendInterceptor(new HttpClient())
+    );
+    mockResponses.push({ status: 503 }, { status: 201 });
+
+    let created = 0;
+    const response = await xhrClient(HOST, {
+      method: "PUT",
+      cloudClient: {
+        retry: { delay: 10 },
+        bodyFactory: () => {
+          created++;
+          return Readable.from(["streamed ", "body"]);
+        },
+      },
+    });
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(created, 2);
+    assert.strictEqual(mockRequests.length, 2);
+    for (const { body } of mockRequests) {
+      assert.ok(body instanceof Blob);
+      assert.strictEqual(await body.text(), "streamed body");
+    }
+  });
+
+  it("test missing body file", async function () {
+    const backend = new XhrBackend({}, MockXMLHttpRequest);
+    const xhrClient = backend.registerInterceptors(
+      new HttpBackendInterceptor(new HttpClient())
+    );
+    await assert.rejects(
+      () =>
+        xhrClient(HOST, {
+          method: "PUT",
+          cloudClient: { bodyFile: `${__filename}.missing` },
+        }),
+      (error) => {
+        assert.strictEqual(error.code, "ENOENT");
+        assert.ok(error.cloudClient);
+        return true;
+      }
+    );
+  });
+
+  it("test request with aborted signal", async function () {
+    const backend = new XhrBackend({}, MockXMLHttpRequest);
+    const xhrClient = backend.registerInterceptors(new MockHttpInterceptor());
+    const controller = new AbortController();
+    controller.abort();
+
+    await assert.rejects(() => xhrClient(HOST, { signal: controller.signal }), {
+      name: "AbortError",
+    });
+  });
+
+  it("test get request config", async function () {
+    const backend = new XhrBackend({}, MockXMLHttpRequest);
+    let config = await backend.getRequestConfig(
+      new HttpOptions({ url: "testing" })
+    );
+    assert.deepStrictEqual(config, {
+      url: "testing",
+    });
+  });
+
+  it("test submit request", async function () {
+    const backend = new XhrBackend({}, MockXMLHttpRequest);
+    mockResponses.push({ status: 404, statusText: "Not Found" });
+    const response = await backend.submitRequest({
+      url: `${HOST}/testing`,
+    });
+    assert.strictEqual(response.status, 404);
+    assert.strictEqual(response.statusText, "Not Found");
+    assert.ok(!response.ok);
+    assert.strictEqual(mockRequests[0].url, `${HOST}/testing`);
+  });
+
+  it("test xhr cookies", function () {
+    const backend = new XhrBackend({ handleCookies: true }, MockXMLHttpRequest);
+    assert.ok(!backend.shouldHandleCookies());
+    assert.deepStrictEqual(
+      backend.getSetCookies({ headers: { "set-cookie": "cookie1=value" } }),
+      []
+    );
+  });
+
+  it("test create http options", function () {
+    const backend = new XhrBackend({}, MockXMLHttpRequest);
+    const options = backend.createHttpOptions({ signal: "testing" });
+    assert.ok(options);
+    assert.strictEqual(options.constructor.name, "XhrHttpOptions");
+    assert.ok(!options.toJSON().signal);
+  });
+
+  it("test create http response", async function () {
+    const backend = new XhrBackend({}, MockXMLHttpRequest);
+    const response = backend.createHttpResponse({
+      text: async () => "hello",
+    });
+    assert.strictEqual(response.constructor.name, "XhrHttpResponse");
+    assert.strictEqual(await response.getBody(), "hello");
+  });
+});
@@ -0,0 +1,31 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const assert = require("assert");
+
+const { importFile } = require("../test-utils");
+
+const XhrHttpOptions = importFile("http-backends/xhr-http-options");
+
+describe("xhr http options tests", function () {
+  it("test to json", function () {
+    const options = new XhrHttpOptions({
+      signal: "testing",
+      onUploadProgress: () => {},
+      test: "property",
+    });
+    const json = options.toJSON();
+    assert.ok(json.headers["x-request-id"]);
+    assert.strictEqual(Object.keys(json).length, 3);
+    assert.ok(!json.signal);
+    assert.strictEqual(json.test, "property");
+  });
+});
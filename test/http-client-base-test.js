@@ -20,7 +20,22 @@ const HttpClient = importFile("http-client");
 
 const HOST = "http://mockunittestingurl.com";
 
-module.exports = ({ createBackend, label }) => {
+/**
+ * @private
+ */
+async function defaultGetTextBody(response) {
+  if (response.text) {
+    return response.text();
+  } else {
+    return response.data;
+  }
+}
+
+module.exports = ({
+  createBackend,
+  label,
+  getTextBody = defaultGetTextBody,
+}) => {
   describe(`HTTP ${label} client tests`, function () {
     afterEach(function () {
       nock.cleanAll();
@@ -31,7 +46,10 @@ module.exports = ({ createBackend, label }) => {
      * @private
      */
     function registerRetryResponseNetworkFailure() {
-      nock(HOST).get("/").once().replyWithError("nice network error");
+      nock(HOST)
+        .get("/")
+        .once()
+        .replyWithError({ code: "ECONNRESET", message: "nice network error" });
     }
 
     /**
@@ -80,24 +98,14 @@ module.exports = ({ createBackend, label }) => {
       };
     }
 
-    /**
-     * @private
-     */
-    async function getTextBody(response) {
-      if (response.text) {
-        return response.text();
-      } else {
-        return response.data;
-      }
-    }
-
     it(`test ${label} begin backend request`, async function () {
+      const URL = "http://beginbackendrequesturl.com";
       const client = new HttpClient();
       const config = await client.beginBackendRequest(createBackend(), {
-        url: "testing",
+        url: URL,
       });
       assert.ok(config);
-      assert.strictEqual(config.url, "testing");
+      assert.strictEqual(config.url, URL);
 
       const { cloudClient = {} } = config;
       const { startTime, endTime } = cloudClient;
@@ -12,12 +12,15 @@ governing permissions and limitations under the License.
 const assert = require("assert");
 
 const {
+  applyJitter,
   retryWithStrategies,
   getRetryAfter,
+  sleep,
 } = require("../src/http-client-utils");
 const HttpBackend = require("../src/http-backends/http-backend");
 const HttpOptions = require("../src/http-options");
 const HttpResponse = require("../src/http-response");
+const RetryBudget = require("../src/retry-budget");
 
 describe("http client utils tests", function () {
   it("test retry with no strategies", async function () {
@@ -32,8 +35,15 @@ describe("http client utils tests", function () {
     const backend = new HttpBackend();
     const options = new HttpOptions();
     const response = new HttpResponse({ status: 500, headers: {} });
-    const { delay } = await retryWithStrategies(options, backend, response, 1);
+    const { delay, strategy, reason } = await retryWithStrategies(
+      options,
+      backend,
+      response,
+      1
+    );
     assert.strictEqual(delay, 1000);
+    assert.strictEqual(strategy, "ErrorStatusCode");
+    assert.strictEqual(reason, "the response had server error status 500");
   });
 
   it("test retry with custom strategy", async function () {
@@ -54,6 +64,38 @@ describe("http client utils tests", function () {
     assert.strictEqual(delay, 1000);
   });
 
+  it("test retry with body strategy", async function () {
+    const backend = new HttpBackend();
+    const options = new HttpOptions({
+      cloudClient: {
+        retry: {
+          strategies: [
+            {
+              shouldRetry: async ({ getJson }) => {
+                const json = await getJson();
+                return json.retry;
+              },
+            },
+          ],
+        },
+      },
+    });
+    let response = new HttpResponse({
+      status: 200,
+      headers: {},
+      body: '{"retry":true}',
+    });
+    const { delay } = await retryWithStrategies(options, backend, response, 1);
+    assert.strictEqual(delay, 1000);
+
+    response = new HttpResponse({
+      status: 200,
+      headers: {},
+      body: '{"retry":false}',
+    });
+    assert.ok(!(await retryWithStrategies(options, backend, response, 1)));
+  });
+
   it("test retry with custom delay multiple strategy", async function () {
     const backend = new HttpBackend();
     const options = new HttpOptions({
@@ -180,6 +222,103 @@ describe("http client utils tests", function () {
     assert.deepStrictEqual(requestOptions, { hello: "world!" });
   });
 
+  it("test apply jitter", () => {
+    assert.strictEqual(applyJitter("none", 4000, 1000, undefined, 0.5), 4000);
+    assert.strictEqual(applyJitter(undefined, 4000, 1000), 4000);
+    assert.strictEqual(applyJitter("full", 4000, 1000, undefined, 0), 0);
+    assert.strictEqual(applyJitter("full", 4000, 1000, undefined, 0.5), 2000);
+    assert.strictEqual(applyJitter("equal", 4000, 1000, undefined, 0), 2000);
+    assert.strictEqual(applyJitter("equal", 4000, 1000, undefined, 1), 4000);
+    // first decorrelated retry is between the delay and three times the delay
+    assert.strictEqual(
+      applyJitter("decorrelated", 1000, 1000, undefined, 0),
+      1000
+    );
+    assert.strictEqual(
+      applyJitter("decorrelated", 1000, 1000, undefined, 1),
+      3000
+    );
+    // subsequent retries are based on the previous delay
+    assert.strictEqual(applyJitter("decorrelated", 2000, 1000, 2000, 1), 6000);
+    assert.strictEqual(applyJitter("decorrelated", 2000, 1000, 2000, 0), 1000);
+  });
+
+  it("test retry with jitter and max delay", async function () {
+    const backend = new HttpBackend();
+    const response = new HttpResponse({ status: 500, headers: {} });
+    let options = new HttpOptions({
+      cloudClient: {
+        retry: {
+          jitter: "full",
+        },
+      },
+    });
+    for (let i = 0; i < 10; i++) {
+      const { delay, computedDelay } = await retryWithStrategies(
+        options,
+        backend,
+        response,
+        2
+      );
+      assert.strictEqual(computedDelay, 2000);
+      assert.ok(delay >= 0 && delay <= 2000);
+    }
+
+    options = new HttpOptions({
+      cloudClient: {
+        retry: {
+          count: 10,
+          maxDelay: 5000,
+        },
+      },
+    });
+    const { delay } = await retryWithStrategies(options, backend, response, 5);
+    assert.strictEqual(delay, 5000);
+  });
+
+  it("test retry with strategy jitter", async function () {
+    const backend = new HttpBackend();
+    const options = new HttpOptions({
+      cloudClient: {
+        retry: {
+          jitter: "full",
+          strategies: [
+            {
+              shouldRetry: () => true,
+              getJitter: (info) => {
+                assert.strictEqual(info.jitter, "full");
+                return "none";
+              },
+            },
+          ],
+        },
+      },
+    });
+    const response = new HttpResponse({ status: 200, headers: {} });
+    const { delay } = await retryWithStrategies(options, backend, response, 1);
+    assert.strictEqual(delay, 1000);
+  });
+
+  it("test retry with Retry-After header and jitter", async function () {
+    const backend = new HttpBackend();
+    const options = new HttpOptions({
+      cloudClient: {
+        retry: {
+          jitter: "full",
+          maxDelay: 1000,
+        },
+      },
+    });
+    const response = new HttpResponse({
+      status: 503,
+      headers: {
+        "retry-after": "5",
+      },
+    });
+    const { delay } = await retryWithStrategies(options, backend, response, 1);
+    assert.strictEqual(delay, 5000);
+  });
+
   it("test get retry after", () => {
     let response = new HttpResponse({ status: 200 });
     // no headers
@@ -197,4 +336,250 @@ describe("http client utils tests", function () {
     });
     assert.strictEqual(getRetryAfter(response), 3000);
   });
+
+  it("test get retry after date", () => {
+    const now = Date.parse("Wed, 21 Oct 2015 07:28:00 GMT");
+    let response = new HttpResponse({
+      status: 503,
+      headers: { "retry-after": "Wed, 21 Oct 2015 07:28:30 GMT" },
+    });
+    assert.strictEqual(getRetryAfter(response, now), 30000);
+
+    // server's clock is ahead of the client's by an hour
+    response = new HttpResponse({
+      status: 503,
+      headers: {
+        date: "Wed, 21 Oct 2015 08:28:00 GMT",
+        "retry-after": "Wed, 21 Oct 2015 08:28:10 GMT",
+      },
+    });
+    assert.strictEqual(getRetryAfter(response, now), 10000);
+
+    // dates in the past don't require a wait
+    response = new HttpResponse({
+      status: 503,
+      headers: { "retry-after": "Wed, 21 Oct 2015 07:00:00 GMT" },
+    });
+    assert.ok(!getRetryAfter(response, now));
+
+    response = new HttpResponse({
+      status: 503,
+      headers: { "retry-after": "garbage" },
+    });
+    assert.ok(!getRetryAfter(response, now));
+  });
+
+  it("test get retry after milliseconds", () => {
+    let response = new HttpResponse({
+      status: 503,
+      headers: { "retry-after-ms": "1500", "retry-after": "5" },
+    });
+    assert.strictEqual(getRetryAfter(response), 1500);
+    response = new HttpResponse({
+      status: 503,
+      headers: { "x-ms-retry-after-ms": "250" },
+    });
+    assert.strictEqual(getRetryAfter(response), 250);
+  });
+
+  it("test get retry after rate limit reset", () => {
+    const now = 1445412480000;
+    let response = new HttpResponse({
+      status: 429,
+      headers: { "ratelimit-reset": "20" },
+    });
+    assert.strictEqual(getRetryAfter(response, now), 20000);
+
+    // timestamp
+    response = new HttpResponse({
+      status: 429,
+      headers: { "x-ratelimit-reset": "1445412540" },
+    });
+    assert.strictEqual(getRetryAfter(response, now), 60000);
+
+    // requests remaining, so the reset doesn't apply
+    response = new HttpResponse({
+      status: 200,
+      headers: { "ratelimit-remaining": "10", "ratelimit-reset": "20" },
+    });
+    assert.ok(!getRetryAfter(response, now));
+
+    response = new HttpResponse({
+      status: 403,
+      headers: { "x-ratelimit-remaining": "0", "x-ratelimit-reset": "20" },
+    });
+    assert.strictEqual(getRetryAfter(response, now), 20000);
+
+    // retry-after takes precedence
+    response = new HttpResponse({
+      status: 429,
+      headers: { "retry-after": "3", "ratelimit-reset": "20" },
+    });
+    assert.strictEqual(getRetryAfter(response, now), 3000);
+  });
+
+  it("test retry with retry after over maximum", async function () {
+    const backend = new HttpBackend();
+    let options = new HttpOptions({});
+    const response = new HttpResponse({
+      status: 503,
+      headers: { "retry-after": "3600" },
+    });
+    assert.ok(!(await retryWithStrategies(options, backend, response, 1)));
+    assert.ok(
+      options.getClientOptions().retrySuppressed.includes("maxRetryAfter")
+    );
+
+    options = new HttpOptions({
+      cloudClient: { retry: { maxRetryAfter: -1 } },
+    });
+    const { delay } = await retryWithStrategies(options, backend, response, 1);
+    assert.strictEqual(delay, 3600000);
+  });
+
+  it("test retry after provided to strategies", async function () {
+    const backend = new HttpBackend();
+    let retryAfter;
+    const options = new HttpOptions({
+      cloudClient: {
+        // leaves 429 responses to the custom strategy
+        throttling: false,
+        retry: {
+          strategies: [
+            {
+              shouldRetry: (info) => {
+                retryAfter = info.retryAfter;
+                return false;
+              },
+            },
+          ],
+        },
+      },
+    });
+    let response = new HttpResponse({
+      status: 429,
+      headers: { "retry-after-ms": "100" },
+    });
+    await retryWithStrategies(options, backend, response, 1);
+    assert.strictEqual(retryAfter, 100);
+
+    response = new HttpResponse({ status: 429, headers: {} });
+    await retryWithStrategies(options, backend, response, 1);
+    assert.strictEqual(retryAfter, 0);
+  });
+
+  it("test retry with deadline", async function () {
+    const backend = new HttpBackend();
+    const response = new HttpResponse({ status: 500, headers: {} });
+    const options = new HttpOptions({
+      cloudClient: {
+        retry: { deadline: 3000, count: 10 },
+        firstStartTime: new Date().getTime(),
+      },
+    });
+    const { delay } = await retryWithStrategies(options, backend, response, 1);
+    assert.strictEqual(delay, 1000);
+
+    // second retry would wait 2000ms, and third 4000ms
+    assert.ok(await retryWithStrategies(options, backend, response, 2));
+    assert.ok(!(await retryWithStrategies(options, backend, response, 3)));
+    assert.ok(options.getClientOptions().retrySuppressed.includes("deadline"));
+  });
+
+  it("test retry with budget", async function () {
+    const backend = new HttpBackend();
+    const response = new HttpResponse({ status: 500, headers: {} });
+    const retryBudget = new RetryBudget();
+    const options = new HttpOptions({
+      cloudClient: { retryBudget: { minRetriesPerSecond: 0.1, window: 10000 } },
+    });
+    assert.ok(
+      await retryWithStrategies(options, backend, response, 1, retryBudget)
+    );
+    assert.ok(
+      !(await retryWithStrategies(options, backend, response, 1, retryBudget))
+    );
+    assert.ok(
+      options
+        .getClientOptions()
+        .retrySuppressed.includes("client's retry budget is exhausted")
+    );
+
+    // retries of rate limited requests also draw from the budget
+    const limited = new HttpResponse({ status: 429, headers: {} });
+    const limitedOptions = new HttpOptions({
+      cloudClient: { retryBudget: { minRetriesPerSecond: 0.1, window: 10000 } },
+    });
+    assert.ok(
+      !(await retryWithStrategies(
+        limitedOptions,
+        backend,
+        limited,
+        1,
+        retryBudget
+      ))
+    );
+    assert.ok(limitedOptions.getClientOptions().retrySuppressed);
+
+    // unless only retries of failed requests draw from the budget
+    const notFound = new HttpResponse({ status: 404, headers: {} });
+    const createOptions = new HttpOptions({
+      cloudClient: {
+        eventuallyConsistentCreate: true,
+        retryBudget: {
+          minRetriesPerSecond: 0.1,
+          window: 10000,
+          failuresOnly: true,
+        },
+      },
+    });
+    assert.ok(
+      await retryWithStrategies(
+        createOptions,
+        backend,
+        notFound,
+        1,
+        retryBudget
+      )
+    );
+
+    // requests without a budget aren't limited
+    const unlimited = new HttpOptions();
+    assert.ok(
+      await retryWithStrategies(unlimited, backend, response, 1, retryBudget)
+    );
+  });
+
+  it("test retry with aborted signal", async function () {
+    const backend = new HttpBackend();
+    const controller = new AbortController();
+    const options = new HttpOptions({ signal: controller.signal });
+    const response = new HttpResponse({ headers: {} }, { code: "ECONNRESET" });
+    assert.ok(await retryWithStrategies(options, backend, response, 1));
+
+    controller.abort();
+    assert.ok(!(await retryWithStrategies(options, backend, response, 1)));
+  });
+
+  it("test sleep", async function () {
+    await sleep(1);
+
+    const controller = new AbortController();
+    await sleep(1, controller.signal);
+
+    const start = Date.now();
+    setTimeout(() => controller.abort(new Error("stop sleeping")), 10);
+    await assert.rejects(() => sleep(5000, controller.signal), {
+      message: "stop sleeping",
+    });
+    assert.ok(Date.now() - start < 1000);
+
+    // already aborted
+    await assert.rejects(() => sleep(5000, controller.signal), {
+      message: "stop sleeping",
+    });
+    await assert.rejects(() => sleep(5000, { aborted: true }), {
+      name: "AbortError",
+    });
+  });
 });
@@ -10,12 +10,15 @@ governing permissions and limitations under the License.
 */
 
 const assert = require("assert");
+const { Readable } = require("stream");
 const { Cookie } = require("tough-cookie");
 
 const { importFile } = require("./test-utils");
 
 const HttpOptions = importFile("http-options");
 const HttpResponse = importFile("http-response");
+const RetryStrategy = importFile("retry-strategies/retry-strategy");
+const { all, forMethods } = importFile("retry-strategies/combinators");
 const { parseCookieHeader, buildCookieLookup } = importFile("http-utils");
 
 describe("HTTP options tests", function () {
@@ -29,6 +32,12 @@ describe("HTTP options tests", function () {
     assert.strictEqual(options.getRequestTime(), 0);
     assert.strictEqual(options.getTimeout(), 60000);
     assert.strictEqual("GET", options.getMethod());
+    assert.strictEqual(options.getAbortSignal(), undefined);
+    const controller = new AbortController();
+    assert.strictEqual(
+      new HttpOptions({ signal: controller.signal }).getAbortSignal(),
+      controller.signal
+    );
 
     const rawOptions = {
       cloudClient: {
@@ -69,6 +78,17 @@ describe("HTTP options tests", function () {
     assert.strictEqual(options.getRetries(), 2);
     assert.deepStrictEqual(options.getRetryResponses(), [{ status: 200 }]);
     assert.strictEqual(options.getRetryWait(), 350);
+    assert.deepStrictEqual(options.getRetryDelays(), [
+      { computed: 150, jittered: 150 },
+    ]);
+    options.addRetry(new HttpResponse({ status: 200 }), 75, 100);
+    assert.strictEqual(options.getRetryWait(), 425);
+    assert.deepStrictEqual(options.getRetryDelays(), [
+      { computed: 150, jittered: 150 },
+      { computed: 100, jittered: 75 },
+    ]);
+    assert.strictEqual(options.getRetryJitter(), "none");
+    assert.strictEqual(options.getRetryMaxDelay(), undefined);
 
     options.logDebug("test debug message");
     options.logInfo("test info message");
@@ -129,6 +149,7 @@ describe("HTTP options tests", function () {
     assert.ok(retryOnError);
 
     let retry500 = false;
+    let retry429 = false;
     let retryNetwork = false;
     const retryOptions = {
       attempts: 1,
@@ -143,16 +164,25 @@ describe("HTTP options tests", function () {
         assert(!retry500);
         retry500 = true;
       }
+      retryOptions.response.status = 429;
+      const curr429 = await strategy.shouldRetry(retryOptions);
+      if (curr429) {
+        assert(!retry429);
+        retry429 = true;
+      }
       retryOptions.response.status = 200;
       assert(!(await strategy.shouldRetry(retryOptions)));
       retryOptions.response = {};
+      retryOptions.error = { code: "ECONNRESET" };
       const currNetwork = await strategy.shouldRetry(retryOptions);
       if (currNetwork) {
         assert(!retryNetwork);
         retryNetwork = true;
       }
+      delete retryOptions.error;
     }
     assert(retry500);
+    assert(retry429);
     assert(retryNetwork);
   });
 
@@ -172,17 +202,17 @@ describe("HTTP options tests", function () {
     });
 
     const retryOnError = options.getRetryStrategies();
-    assert.strictEqual(retryOnError.length, 3);
+    assert.strictEqual(retryOnError.length, 4);
     const retryOptions = {
       attempts: 1,
       maxAttempts: 2,
       response: { status: 500 },
     };
-    assert(await retryOnError[2].shouldRetry(retryOptions));
-    assert.strictEqual(await retryOnError[2].getRetryDelayMultiple(), 5);
-    assert.strictEqual(await retryOnError[2].getMaxRetryCount(), 10);
+    assert(await retryOnError[3].shouldRetry(retryOptions));
+    assert.strictEqual(await retryOnError[3].getRetryDelayMultiple(), 5);
+    assert.strictEqual(await retryOnError[3].getMaxRetryCount(), 10);
     retryOptions.attempts = 2;
-    assert(!(await retryOnError[2].shouldRetry(retryOptions)));
+    assert(!(await retryOnError[3].shouldRetry(retryOptions)));
     assert.deepStrictEqual(options.toJSON().cloudClient, {
       retries: 0,
       retryResponses: [],
@@ -199,7 +229,68 @@ describe("HTTP options tests", function () {
         eventuallyConsistentDelete: true,
       },
     });
-    assert.strictEqual(options.getRetryStrategies().length, 5);
+    assert.strictEqual(options.getRetryStrategies().length, 6);
+  });
+
+  it("test retry strategies without defaults", function () {
+    let options = new HttpOptions({
+      cloudClient: {
+        retry: { defaults: false },
+        eventuallyConsistentCreate: true,
+      },
+    });
+    assert.deepStrictEqual(options.getRetryStrategies().map(String), [
+      "EventuallyConsistentCreate",
+    ]);
+
+    const custom = new RetryStrategy({ name: "Custom" });
+    options = new HttpOptions({
+      cloudClient: { retry: { defaults: false, strategies: [custom] } },
+    });
+    const strategies = options.getRetryStrategies();
+    assert.strictEqual(strategies.length, 1);
+    assert.strictEqual(strategies[0], custom);
+  });
+
+  it("test retry strategy priorities", function () {
+    const options = new HttpOptions({
+      cloudClient: {
+        retry: {
+          strategies: [
+            { statuses: [501], maxRetries: 0, priority: 10 },
+            { name: "Last", shouldRetry: () => true, priority: -1 },
+            { name: "Custom", shouldRetry: () => true },
+          ],
+        },
+      },
+    });
+    assert.deepStrictEqual(options.getRetryStrategies().map(String), [
+      'RetryRule {"statuses":[501],"maxRetries":0,"priority":10}',
+      "ErrorStatusCode",
+      "TooManyRequests",
+      "NetworkError",
+      "Custom",
+      "Last",
+    ]);
+
+    // combined strategies can be placed below the defaults
+    const combinedOptions = new HttpOptions({
+      cloudClient: {
+        retry: {
+          strategies: [
+            all({ statuses: [409], priority: 10 }).withPriority(-1),
+            forMethods(["GET"], { statuses: [404] }).withPriority(1),
+          ],
+        },
+      },
+    });
+    assert.deepStrictEqual(combinedOptions.getRetryStrategies().map(String), [
+      'forMethods GET(RetryRule {"statuses":[404]})',
+      "ErrorStatusCode",
+      "TooManyRequests",
+      "NetworkError",
+      'all(RetryRule {"statuses":[409],"priority":10})',
+    ]);
   });
 
   it("test to request config", async function () {
@@ -284,6 +375,23 @@ describe("HTTP options tests", function () {
     });
     json = options.toJSON();
     assert.ok(!json.cloudClient.retry.strategies);
+    assert.strictEqual(options.getClientOptions().retry.strategies.length, 1);
+
+    const rule = { statuses: [429, "5xx"], methods: ["GET"], delay: 100 };
+    options = new HttpOptions({
+      cloudClient: {
+        retry: {
+          strategies: [{ shouldRetry: () => false }, rule],
+        },
+      },
+    });
+    json = JSON.parse(JSON.stringify(options));
+    assert.deepStrictEqual(json.cloudClient.retry.strategies, [rule]);
+    const strategies = options.getRetryStrategies();
+    assert.strictEqual(
+      String(strategies[strategies.length - 1]),
+      `RetryRule ${JSON.stringify(rule)}`
+    );
   });
 
   /**
@@ -453,16 +561,21 @@ describe("HTTP options tests", function () {
         },
       },
     });
-    options.mergeClientOptions({
+    const globalOptions = {
       retry: {
         strategies: [{ strategy: 2 }],
       },
-    });
+    };
+    options.mergeClientOptions(globalOptions);
     assert.deepStrictEqual(options.getClientOptions(), {
       retry: {
         strategies: [{ strategy: 1 }, { strategy: 2 }],
       },
     });
+
+    // merging the same options again doesn't duplicate strategies
+    options.mergeClientOptions(globalOptions);
+    assert.strictEqual(options.getClientOptions().retry.strategies.length, 2);
   });
 
   it("test merge client options with only merge retry strategies", function () {
@@ -516,5 +629,292 @@ describe("HTTP options tests", function () {
       hello: "goodbye!",
       foo: "bar",
     });
+    options.setRequestOptions({ cloudClient: { retries: 1, timeout: 100 } });
+    options.setRequestOptions({ cloudClient: { timeout: 200 } });
+    assert.deepStrictEqual(options.getClientOptions(), {
+      retries: 1,
+      timeout: 200,
+    });
+  });
+
+  it("test request body", async function () {
+    let options = new HttpOptions({ body: "hello" });
+    assert.strictEqual(options.getBody(), "hello");
+    assert.ok(!options.hasBodyFactory());
+    assert.ok(options.isBodyReplayable());
+    options.setBody("world");
+    assert.strictEqual(options.getBody(), "world");
+
+    options = new HttpOptions({ body: Readable.from(["hello"]) });
+    assert.ok(!options.isBodyReplayable());
+
+    options = new HttpOptions({
+      body: Readable.from(["hello"]),
+      cloudClient: {
+        bodyFactory: async () => "factory body",
+      },
+    });
+    assert.ok(options.hasBodyFactory());
+    assert.ok(options.isBodyReplayable());
+    assert.strictEqual(await options.createBody(), "factory body");
+
+    options = new HttpOptions({
+      cloudClient: {
+        bodyFile: __filename,
+      },
+    });
+    assert.ok(options.isBodyReplayable());
+    const body = await options.createBody();
+    assert.strictEqual(body.path, __filename);
+    body.destroy();
+  });
+
+  it("test deadline", function () {
+    let options = new HttpOptions({ cloudClient: { timeout: 5000 } });
+    assert.strictEqual(options.getDeadline(), undefined);
+    assert.strictEqual(options.getRemainingTime(), undefined);
+    assert.strictEqual(options.getTimeout(), 5000);
+
+    options = new HttpOptions({
+      cloudClient: { timeout: 5000, totalTimeout: 3000 },
+    });
+    assert.strictEqual(options.getDeadline(), 3000);
+    assert.strictEqual(options.getRemainingTime(), 3000);
+    assert.strictEqual(options.getTimeout(), 3000);
+
+    options = new HttpOptions({
+      cloudClient: { timeout: 5000, retry: { deadline: 29000 } },
+    });
+    const now = new Date().getTime();
+    options.setStartTime(now - 27000);
+    options.setStartTime(now);
+    assert.strictEqual(options.getClientOptions().firstStartTime, now - 27000);
+    assert.ok(options.getRemainingTime() <= 2000);
+    assert.ok(options.getTimeout() <= 2000);
+
+    options = new HttpOptions({
+      cloudClient: { retry: { deadline: 1000 }, firstStartTime: now - 60000 },
+    });
+    assert.ok(options.getRemainingTime() < 0);
+    assert.strictEqual(options.getTimeout(), 1);
+  });
+
+  it("test idempotency key", function () {
+    let options = new HttpOptions({ method: "POST" });
+    assert.ok(!options.isIdempotent());
+    options.addIdempotencyKey();
+    assert.strictEqual(options.getIdempotencyKey(), undefined);
+
+    options = new HttpOptions({
+      method: "POST",
+      headers: { header1: "value1" },
+      cloudClient: { idempotencyKey: true },
+    });
+    options.addIdempotencyKey();
+    const key = options.getIdempotencyKey();
+    assert.ok(key);
+    assert.strictEqual(options.getOptions().headers.header1, "value1");
+    assert.ok(options.isIdempotent());
+
+    // key doesn't change once it's been added
+    options.addIdempotencyKey();
+    assert.strictEqual(options.getIdempotencyKey(), key);
+
+    options = new HttpOptions({
+      method: "PATCH",
+      cloudClient: { idempotencyKey: "my-key" },
+    });
+    options.addIdempotencyKey();
+    assert.strictEqual(options.getIdempotencyKey(), "my-key");
+
+    options = new HttpOptions({
+      method: "post",
+      headers: { "Idempotency-Key": "existing" },
+      cloudClient: { idempotencyKey: true },
+    });
+    options.addIdempotencyKey();
+    assert.strictEqual(options.getIdempotencyKey(), "existing");
+    assert.ok(options.isIdempotent());
+  });
+
+  it("test circuit breaker options", function () {
+    let options = new HttpOptions({ url: "http://testing.com/path" });
+    assert.strictEqual(options.getCircuitBreakerOptions(), false);
+
+    options = new HttpOptions({
+      url: "http://testing.com/path",
+      cloudClient: { circuitBreaker: true },
+    });
+    assert.deepStrictEqual(options.getCircuitBreakerOptions(), {
+      failureThreshold: 5,
+      window: 60000,
+      resetTimeout: 30000,
+      halfOpenRequests: 1,
+      key: undefined,
+    });
+    assert.strictEqual(options.getCircuitKey(), "http://testing.com");
+
+    options = new HttpOptions({
+      url: "http://testing.com/path",
+      cloudClient: { circuitBreaker: { failureThreshold: 3 } },
+    });
+    options.mergeClientOptions({
+      circuitBreaker: { failureThreshold: 10, resetTimeout: 5000 },
+    });
+    const { failureThreshold, resetTimeout } =
+      options.getCircuitBreakerOptions();
+    assert.strictEqual(failureThreshold, 3);
+    assert.strictEqual(resetTimeout, 5000);
+
+    options = new HttpOptions({ cloudClient: { circuitBreaker: false } });
+    options.mergeClientOptions({ circuitBreaker: { failureThreshold: 10 } });
+    assert.strictEqual(options.getCircuitBreakerOptions(), false);
+  });
+
+  it("test retry budget options", function () {
+    let options = new HttpOptions({ url: "http://testing.com/path" });
+    assert.strictEqual(options.getRetryBudgetOptions(), false);
+
+    options = new HttpOptions({
+      url: "http://testing.com/path",
+      cloudClient: { retryBudget: true },
+    });
+    assert.deepStrictEqual(options.getRetryBudgetOptions(), {
+      percent: 20,
+      minRetriesPerSecond: 1,
+      window: 10000,
+      perHost: false,
+      failuresOnly: false,
+    });
+    assert.strictEqual(options.getRetryBudgetKey(), "*");
+
+    options = new HttpOptions({
+      url: "http://testing.com/path",
+      cloudClient: { retryBudget: { perHost: true } },
+    });
+    options.mergeClientOptions({ retryBudget: { percent: 50 } });
+    const { percent, perHost } = options.getRetryBudgetOptions();
+    assert.strictEqual(percent, 50);
+    assert.ok(perHost);
+    assert.strictEqual(options.getRetryBudgetKey(), "http://testing.com");
+  });
+
+  it("test verify create options", function () {
+    let options = new HttpOptions();
+    assert.strictEqual(options.getVerifyCreateOptions(), false);
+    const strategyCount = options.getRetryStrategies().length;
+
+    options = new HttpOptions({ cloudClient: { verifyCreate: true } });
+    assert.deepStrictEqual(options.getVerifyCreateOptions(), {
+      url: undefined,
+      maxAttempts: 10,
+      delay: undefined,
+    });
+    assert.strictEqual(options.getRetryStrategies().length, strategyCount + 1);
+
+    options = new HttpOptions({
+      cloudClient: { verifyCreate: { url: "/assets/1" } },
+    });
+    options.mergeClientOptions({ verifyCreate: { maxAttempts: 3 } });
+    const { url, maxAttempts } = options.getVerifyCreateOptions();
+    assert.strictEqual(url, "/assets/1");
+    assert.strictEqual(maxAttempts, 3);
+  });
+
+  it("test verify update options", function () {
+    let options = new HttpOptions();
+    assert.strictEqual(options.getVerifyUpdateOptions(), false);
+    const strategyCount = options.getRetryStrategies().length;
+
+    options = new HttpOptions({ cloudClient: { verifyUpdate: true } });
+    assert.deepStrictEqual(options.getVerifyUpdateOptions(), {
+      maxAttempts: 10,
+      delay: undefined,
+    });
+    assert.strictEqual(options.getRetryStrategies().length, strategyCount + 1);
+
+    options = new HttpOptions({
+      cloudClient: {
+        verifyUpdate: { delay: 10 },
+        eventuallyConsistentUpdate: { getEtag: async () => '"1"' },
+      },
+    });
+    assert.deepStrictEqual(options.getVerifyUpdateOptions(), {
+      maxAttempts: 10,
+      delay: 10,
+    });
+    assert.strictEqual(options.getRetryStrategies().length, strategyCount + 2);
+  });
+
+  it("test concurrent update options", function () {
+    let options = new HttpOptions();
+    assert.deepStrictEqual(options.getConcurrentUpdateOptions(), {
+      method: "PUT",
+      maxAttempts: 5,
+      delay: 1000,
+      delayMultiple: 2,
+      conflictStatuses: [409, 412],
+    });
+
+    options = new HttpOptions({
+      cloudClient: {
+        retry: { delay: 10, delayMultiple: 1 },
+        concurrentUpdate: { method: "PATCH", conflictStatuses: [412] },
+      },
+    });
+    options.mergeClientOptions({ concurrentUpdate: { maxAttempts: 2 } });
+    assert.deepStrictEqual(options.getConcurrentUpdateOptions(), {
+      method: "PATCH",
+      maxAttempts: 2,
+      delay: 10,
+      delayMultiple: 1,
+      conflictStatuses: [412],
+    });
+  });
+
+  it("test throttling options", function () {
+    let options = new HttpOptions({ url: "http://testing.com/path" });
+    assert.deepStrictEqual(options.getThrottlingOptions(), { pauseHost: true });
+    assert.strictEqual(options.getOrigin(), "http://testing.com");
+    const strategyCount = options.getRetryStrategies().length;
+
+    options = new HttpOptions({ cloudClient: { throttling: false } });
+    assert.strictEqual(options.getThrottlingOptions(), false);
+    assert.strictEqual(options.getRetryStrategies().length, strategyCount - 1);
+
+    options = new HttpOptions({
+      cloudClient: { throttling: { pauseHost: false } },
+    });
+    options.mergeClientOptions({ throttling: { pauseHost: true } });
+    assert.deepStrictEqual(options.getThrottlingOptions(), {
+      pauseHost: false,
+    });
+    assert.strictEqual(options.getRetryStrategies().length, strategyCount);
+  });
+
+  it("test long running operation options", function () {
+    let options = new HttpOptions();
+    assert.strictEqual(options.getLongRunningOperationOptions(), false);
+    const strategyCount = options.getRetryStrategies().length;
+
+    options = new HttpOptions({ cloudClient: { longRunningOperation: true } });
+    const { statusField, successValues, fetchResult, maxPolls } =
+      options.getLongRunningOperationOptions();
+    assert.strictEqual(statusField, "status");
+    assert.ok(successValues.includes("succeeded"));
+    assert.ok(!fetchResult);
+    assert.strictEqual(maxPolls, 60);
+    assert.strictEqual(options.getRetryStrategies().length, strategyCount + 1);
+
+    options = new HttpOptions({
+      cloudClient: {
+        longRunningOperation: { successValues: ["Ready"], pollDelay: 500 },
+      },
+    });
+    options.mergeClientOptions({ longRunningOperation: { fetchResult: true } });
+    const operationOptions = options.getLongRunningOperationOptions();
+    assert.deepStrictEqual(operationOptions.successValues, ["ready"]);
+    assert.strictEqual(operationOptions.pollDelay, 500);
+    assert.ok(operationOptions.fetchResult);
   });
 });
@@ -240,4 +240,32 @@ describe("HTTP response tests", function () {
       },
     });
   });
+
+  it("test get body", async function () {
+    assert.strictEqual(await createResponse({}).getBody(), "");
+    assert.strictEqual(
+      await createResponse({ body: "hello world" }).getBody(),
+      "hello world"
+    );
+    assert.strictEqual(
+      await createResponse({ body: Buffer.from("buffered") }).getBody(),
+      "buffered"
+    );
+    assert.strictEqual(
+      await createResponse({ body: { hello: "world" } }).getBody(),
+      '{"hello":"world"}'
+    );
+  });
+
+  it("test get json", async function () {
+    assert.strictEqual(await createResponse({}).getJson(), undefined);
+    assert.strictEqual(
+      await createResponse({ body: "not json" }).getJson(),
+      undefined
+    );
+    assert.deepStrictEqual(
+      await createResponse({ body: '{"hello":"world"}' }).getJson(),
+      { hello: "world" }
+    );
+  });
 });
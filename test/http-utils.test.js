@@ -10,6 +10,7 @@ governing permissions and limitations under the License.
 */
 
 const assert = require("assert");
+const { Readable } = require("stream");
 
 const { importFile } = require("./test-utils");
 
@@ -102,4 +103,216 @@ describe("HTTP utils tests", function () {
     assert.strictEqual(lookup["cookie1"].value, "value1");
     assert.strictEqual(lookup["cookie2"].value, "value2");
   });
+
+  it("test is stream body", () => {
+    assert.ok(!HttpUtils.isStreamBody());
+    assert.ok(!HttpUtils.isStreamBody("body"));
+    assert.ok(!HttpUtils.isStreamBody(Buffer.from("body")));
+    assert.ok(!HttpUtils.isStreamBody({ hello: "world" }));
+    assert.ok(HttpUtils.isStreamBody(Readable.from(["body"])));
+    assert.ok(HttpUtils.isStreamBody({ getReader: () => {} }));
+    assert.ok(
+      HttpUtils.isStreamBody({
+        async *[Symbol.asyncIterator]() {
+          yield "body";
+        },
+      })
+    );
+  });
+
+  it("test read stream body", async () => {
+    assert.deepStrictEqual(
+      await HttpUtils.readStreamBody(Readable.from(["stream ", "body"])),
+      ["stream ", "body"]
+    );
+    const webStream = new ReadableStream({
+      start(controller) {
+        controller.enqueue(Buffer.from("web"));
+        controller.close();
+      },
+    });
+    assert.deepStrictEqual(await HttpUtils.readStreamBody(webStream), [
+      Buffer.from("web"),
+    ]);
+  });
+
+  it("test is idempotent method", () => {
+    assert.ok(HttpUtils.isIdempotentMethod());
+    assert.ok(HttpUtils.isIdempotentMethod("get"));
+    assert.ok(HttpUtils.isIdempotentMethod("PUT"));
+    assert.ok(HttpUtils.isIdempotentMethod("DELETE"));
+    assert.ok(!HttpUtils.isIdempotentMethod("post"));
+    assert.ok(!HttpUtils.isIdempotentMethod("PATCH"));
+  });
+
+  it("test classify error", () => {
+    const classify = HttpUtils.classifyError;
+    assert.strictEqual(classify(), "unknown");
+    assert.strictEqual(classify("error"), "unknown");
+    assert.strictEqual(classify(new Error("bug")), "unknown");
+    assert.strictEqual(classify({ code: "ERR_INVALID_URL" }), "unknown");
+
+    // connect timeouts
+    assert.strictEqual(
+      classify({ cause: { code: "UND_ERR_CONNECT_TIMEOUT" } }),
+      "connect-timeout"
+    );
+    assert.strictEqual(
+      classify({ code: "ETIMEDOUT", syscall: "connect" }),
+      "connect-timeout"
+    );
+    assert.strictEqual(
+      classify({ name: "TimeoutError", code: "ETIMEDOUT", event: "connect" }),
+      "connect-timeout"
+    );
+
+    // read timeouts
+    assert.strictEqual(classify({ code: "ETIMEDOUT" }), "read-timeout");
+    assert.strictEqual(
+      classify({ code: "UND_ERR_HEADERS_TIMEOUT" }),
+      "read-timeout"
+    );
+    assert.strictEqual(
+      classify({ code: "ECONNABORTED", message: "timeout of 10ms exceeded" }),
+      "read-timeout"
+    );
+    assert.strictEqual(
+      classify({ name: "TimeoutError", message: "timed out" }),
+      "read-timeout"
+    );
+
+    assert.strictEqual(classify({ code: "ECONNRESET" }), "reset");
+    assert.strictEqual(
+      classify({ cause: { code: "UND_ERR_SOCKET" } }),
+      "reset"
+    );
+    assert.strictEqual(classify({ name: "NetworkError" }), "reset");
+    assert.strictEqual(classify(new TypeError("Failed to fetch")), "reset");
+    assert.strictEqual(classify({ code: "ECONNREFUSED" }), "refused");
+    assert.strictEqual(classify({ code: "EHOSTUNREACH" }), "refused");
+    assert.strictEqual(classify({ code: "ENOTFOUND" }), "dns");
+    assert.strictEqual(classify({ cause: { code: "EAI_AGAIN" } }), "dns");
+    assert.strictEqual(classify({ code: "CERT_HAS_EXPIRED" }), "tls");
+    assert.strictEqual(
+      classify({ code: "UNABLE_TO_VERIFY_LEAF_SIGNATURE" }),
+      "tls"
+    );
+    assert.strictEqual(
+      classify({ code: "ERR_TLS_CERT_ALTNAME_INVALID" }),
+      "tls"
+    );
+    assert.strictEqual(
+      classify({ code: "DEPTH_ZERO_SELF_SIGNED_CERT" }),
+      "tls"
+    );
+    assert.strictEqual(classify({ name: "AbortError" }), "aborted");
+    assert.strictEqual(classify({ code: "ERR_CANCELED" }), "aborted");
+    assert.strictEqual(
+      classify({ code: "ECONNABORTED", message: "Request aborted" }),
+      "aborted"
+    );
+  });
+
+  it("test get header value", () => {
+    assert.strictEqual(
+      HttpUtils.getHeaderValue(undefined, "header"),
+      undefined
+    );
+    assert.strictEqual(
+      HttpUtils.getHeaderValue({ "Idempotency-Key": "key" }, "idempotency-key"),
+      "key"
+    );
+    assert.strictEqual(
+      HttpUtils.getHeaderValue({ other: "value" }, "idempotency-key"),
+      undefined
+    );
+    const headers = new Map([["idempotency-key", "key"]]);
+    assert.strictEqual(
+      HttpUtils.getHeaderValue(headers, "idempotency-key"),
+      "key"
+    );
+  });
+
+  it("test remove headers", function () {
+    assert.strictEqual(HttpUtils.removeHeaders(undefined, ["a"]), undefined);
+    const headers = { "Content-Type": "text/plain", other: "value" };
+    assert.deepStrictEqual(HttpUtils.removeHeaders(headers, ["content-type"]), {
+      other: "value",
+    });
+    assert.strictEqual(headers["Content-Type"], "text/plain");
+
+    const fetchHeaders = new Headers(headers);
+    const removed = HttpUtils.removeHeaders(fetchHeaders, ["content-type"]);
+    assert.ok(removed instanceof Headers);
+    assert.ok(!removed.has("content-type"));
+    assert.strictEqual(removed.get("other"), "value");
+    assert.ok(fetchHeaders.has("content-type"));
+  });
+
+  it("test set headers", function () {
+    assert.deepStrictEqual(HttpUtils.setHeaders(undefined, { a: "1" }), {
+      a: "1",
+    });
+    const headers = { "If-Match": '"1"', other: "value" };
+    assert.deepStrictEqual(
+      HttpUtils.setHeaders(headers, { "if-match": '"2"' }),
+      {
+        other: "value",
+        "if-match": '"2"',
+      }
+    );
+    assert.strictEqual(headers["If-Match"], '"1"');
+
+    const fetchHeaders = new Headers(headers);
+    const set = HttpUtils.setHeaders(fetchHeaders, { "if-match": '"2"' });
+    assert.ok(set instanceof Headers);
+    assert.strictEqual(set.get("if-match"), '"2"');
+    assert.strictEqual(fetchHeaders.get("if-match"), '"1"');
+  });
+
+  it("test resolve url", function () {
+    assert.strictEqual(
+      HttpUtils.resolveUrl("/assets/1", "http://testing.com/assets"),
+      "http://testing.com/assets/1"
+    );
+    assert.strictEqual(
+      HttpUtils.resolveUrl("http://other.com/1", "http://testing.com/assets"),
+      "http://other.com/1"
+    );
+    assert.strictEqual(HttpUtils.resolveUrl("/assets/1"), "/assets/1");
+  });
+
+  it("test create get request", function () {
+    const options = {
+      url: "http://testing.com/assets",
+      method: "POST",
+      data: { name: "asset" },
+      timeout: 1000,
+      headers: {
+        "Content-Type": "application/json",
+        "If-None-Match": "*",
+        other: "value",
+      },
+      cloudClient: { bodyFile: "/path/to/file" },
+    };
+    assert.deepStrictEqual(
+      HttpUtils.createGetRequest(
+        options,
+        "http://testing.com/assets/1",
+        { value: true },
+        ["if-none-match"]
+      ),
+      {
+        url: "http://testing.com/assets/1",
+        method: "GET",
+        data: undefined,
+        headers: { other: "value" },
+        cloudClient: {
+          bodyFactory: undefined,
+          bodyFile: undefined,
+          value: true,
+        },
+      }
+    );
+  });
 });
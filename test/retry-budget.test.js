@@ -0,0 +1,103 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const assert = require("assert");
+
+const { importFile } = require("./test-utils");
+
+const RetryBudget = importFile("retry-budget");
+const HttpOptions = importFile("http-options");
+
+describe("retry budget tests", function () {
+  /**
+   * @private
+   */
+  function createOptions(url, retryBudget = {}) {
+    return new HttpOptions({
+      url,
+      cloudClient: {
+        retryBudget: {
+          percent: 50,
+          minRetriesPerSecond: 0,
+          window: 50,
+          ...retryBudget,
+        },
+      },
+    });
+  }
+
+  it("test disabled", function () {
+    const budget = new RetryBudget();
+    const options = new HttpOptions({ url: "http://testretrybudget.com" });
+    assert.ok(budget.acquireRetry(options));
+    assert.strictEqual(budget.getAllowedRetries(options), Infinity);
+  });
+
+  it("test percentage of successes", function () {
+    const budget = new RetryBudget();
+    const options = createOptions("http://testretrybudget.com");
+    assert.ok(!budget.acquireRetry(options));
+
+    for (let i = 0; i < 4; i++) {
+      budget.recordSuccess(options);
+    }
+    assert.strictEqual(budget.getAllowedRetries(options), 2);
+    assert.ok(budget.acquireRetry(options));
+    assert.ok(budget.acquireRetry(options));
+    assert.ok(!budget.acquireRetry(options));
+
+    budget.reset();
+    assert.strictEqual(budget.getAllowedRetries(options), 0);
+  });
+
+  it("test minimum rate", function () {
+    const budget = new RetryBudget();
+    const options = createOptions("http://testretrybudget.com", {
+      minRetriesPerSecond: 1,
+      window: 2000,
+    });
+    assert.strictEqual(budget.getAllowedRetries(options), 2);
+    assert.ok(budget.acquireRetry(options));
+    assert.ok(budget.acquireRetry(options));
+    assert.ok(!budget.acquireRetry(options));
+  });
+
+  it("test window", async function () {
+    const budget = new RetryBudget();
+    const options = createOptions("http://testretrybudget.com");
+    budget.recordSuccess(options);
+    budget.recordSuccess(options);
+    assert.ok(budget.acquireRetry(options));
+    assert.ok(!budget.acquireRetry(options));
+
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    assert.strictEqual(budget.getAllowedRetries(options), 0);
+    budget.recordSuccess(options);
+    budget.recordSuccess(options);
+    assert.ok(budget.acquireRetry(options));
+  });
+
+  it("test per host", function () {
+    const budget = new RetryBudget();
+    const host1 = createOptions("http://host1.com/path", { perHost: true });
+    const host2 = createOptions("http://host2.com/path", { perHost: true });
+    budget.recordSuccess(host1);
+    budget.recordSuccess(host1);
+    assert.ok(budget.acquireRetry(host1));
+    assert.ok(!budget.acquireRetry(host2));
+
+    budget.recordSuccess(host2);
+    budget.recordSuccess(host2);
+    budget.reset("http://host1.com");
+    assert.ok(!budget.acquireRetry(host1));
+    assert.ok(budget.acquireRetry(host2));
+  });
+});
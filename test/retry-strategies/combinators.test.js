@@ -0,0 +1,180 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const assert = require("assert");
+const { importFile } = require("../test-utils");
+
+const RetryStrategy = importFile("retry-strategies/retry-strategy");
+const RetryRule = importFile("retry-strategies/retry-rule");
+const ErrorStatusCode = importFile("retry-strategies/error-status-code");
+const { toStrategy, all, any, not, forMethods, forUrls } = importFile(
+  "retry-strategies/combinators"
+);
+
+const URL = "http://testcombinators.com/assets/1";
+
+describe("retry strategy combinators tests", function () {
+  /**
+   * @private
+   */
+  function createRetryOptions(status, method = "GET", url = URL) {
+    return {
+      url,
+      method,
+      response: { status },
+      attempts: 1,
+      maxAttempts: 3,
+      delay: 1000,
+      delayMultiple: 2,
+      jitter: "none",
+    };
+  }
+
+  it("test to strategy", function () {
+    const strategy = new ErrorStatusCode();
+    assert.strictEqual(toStrategy(strategy), strategy);
+    assert.ok(toStrategy({ statuses: [409] }) instanceof RetryRule);
+    const fromFunctions = toStrategy({ shouldRetry: async () => true });
+    assert.strictEqual(fromFunctions.constructor, RetryStrategy);
+  });
+
+  it("test all", async function () {
+    const strategy = all(new ErrorStatusCode(), not({ statuses: [501] }));
+    assert.strictEqual(
+      String(strategy),
+      'all(ErrorStatusCode, not(RetryRule {"statuses":[501]}))'
+    );
+
+    let retryOptions = createRetryOptions(503);
+    assert.ok(await strategy.shouldRetry(retryOptions));
+    assert.strictEqual(
+      await strategy.getRetryReason(retryOptions),
+      'the response had server error status 503 and the response had status 503, which RetryRule {"statuses":[501]} doesn\'t retry'
+    );
+    assert.ok(!(await strategy.shouldRetry(createRetryOptions(501))));
+    assert.ok(!(await strategy.shouldRetry(createRetryOptions(200))));
+  });
+
+  it("test any", async function () {
+    const strategy = any(
+      { statuses: [409], delay: 10, maxRetries: 1 },
+      new RetryStrategy({
+        name: "Conflict",
+        shouldRetry: async ({ response }) => response.status === 423,
+        getDelay: async () => 20,
+        getReason: async () => "the resource is locked",
+      })
+    );
+
+    let retryOptions = createRetryOptions(409);
+    assert.ok(await strategy.shouldRetry(retryOptions));
+    assert.strictEqual(await strategy.getRetryDelay(retryOptions), 10);
+    assert.strictEqual(await strategy.getMaxRetryCount(retryOptions), 2);
+
+    retryOptions = createRetryOptions(423);
+    assert.ok(await strategy.shouldRetry(retryOptions));
+    assert.strictEqual(await strategy.getRetryDelay(retryOptions), 20);
+    assert.strictEqual(await strategy.getMaxRetryCount(retryOptions), 3);
+    assert.strictEqual(
+      await strategy.getRetryReason(retryOptions),
+      "the resource is locked, according to Conflict"
+    );
+
+    assert.ok(!(await strategy.shouldRetry(createRetryOptions(500))));
+  });
+
+  it("test not", async function () {
+    const strategy = not(
+      new RetryStrategy({
+        shouldRetry: async ({ response }) => response.status < 400,
+        getDelay: async () => 10,
+      })
+    );
+    const retryOptions = createRetryOptions(404);
+    assert.ok(await strategy.shouldRetry(retryOptions));
+    // retries use the client's settings instead of the negated strategy's
+    assert.strictEqual(await strategy.getRetryDelay(retryOptions), 1000);
+    assert.deepStrictEqual(
+      await strategy.getRetryRequestOptions(retryOptions),
+      {}
+    );
+    assert.ok(!(await strategy.shouldRetry(createRetryOptions(200))));
+  });
+
+  it("test for methods", async function () {
+    const strategy = forMethods(["get", "Head"], new ErrorStatusCode());
+    assert.strictEqual(
+      String(strategy),
+      "forMethods GET,HEAD(ErrorStatusCode)"
+    );
+    assert.ok(await strategy.shouldRetry(createRetryOptions(500)));
+    assert.ok(await strategy.shouldRetry(createRetryOptions(500, "HEAD")));
+    assert.ok(!(await strategy.shouldRetry(createRetryOptions(500, "PUT"))));
+    assert.ok(!(await strategy.shouldRetry(createRetryOptions(200))));
+  });
+
+  it("test for urls", async function () {
+    const strategy = forUrls(
+      [
+        "http://testcombinators.com/assets/",
+        /\/jobs\//,
+        (url) => url.endsWith("/status"),
+      ],
+      new ErrorStatusCode()
+    );
+    assert.ok(await strategy.shouldRetry(createRetryOptions(500)));
+    assert.ok(
+      await strategy.shouldRetry(
+        createRetryOptions(500, "GET", "http://testcombinators.com/jobs/1")
+      )
+    );
+    assert.ok(
+      await strategy.shouldRetry(
+        createRetryOptions(500, "GET", "http://other.com/status")
+      )
+    );
+    assert.ok(
+      !(await strategy.shouldRetry(
+        createRetryOptions(500, "GET", "http://testcombinators.com/other")
+      ))
+    );
+
+    const single = forUrls("http://testcombinators.com", { statuses: [404] });
+    assert.ok(await single.shouldRetry(createRetryOptions(404)));
+  });
+
+  it("test priority", function () {
+    assert.strictEqual(all(new ErrorStatusCode()).getPriority(), 0);
+    assert.strictEqual(
+      any(
+        { statuses: [409], priority: 5 },
+        new ErrorStatusCode()
+      ).getPriority(),
+      5
+    );
+    assert.strictEqual(
+      forMethods(["GET"], {
+        shouldRetry: async () => true,
+        priority: -1,
+      }).getPriority(),
+      -1
+    );
+
+    // a combined strategy's own priority replaces the priority of its strategies
+    const combined = any({ statuses: [409], priority: 5 });
+    assert.strictEqual(combined.withPriority(-2), combined);
+    assert.strictEqual(combined.getPriority(), -2);
+    assert.strictEqual(
+      not(new ErrorStatusCode()).withPriority(0).getPriority(),
+      0
+    );
+  });
+});
@@ -27,9 +27,26 @@ describe("error status code retry tests", function () {
     assert(!(await errorStatus.shouldRetry(retryOptions)));
     retryOptions.response = { status: 500 };
     assert(await errorStatus.shouldRetry(retryOptions));
+    assert.strictEqual(
+      await errorStatus.getRetryReason(retryOptions),
+      "the response had server error status 500"
+    );
     retryOptions.attempts = 2;
     assert(await errorStatus.shouldRetry(retryOptions));
     delete retryOptions.response;
     assert(!(await errorStatus.shouldRetry(retryOptions)));
   });
+
+  it("test retry error status non-idempotent", async function () {
+    const errorStatus = new ErrorStatusCode();
+    const retryOptions = {
+      attempts: 1,
+      maxAttempts: 2,
+      response: { status: 500 },
+      idempotent: false,
+    };
+    assert(!(await errorStatus.shouldRetry(retryOptions)));
+    retryOptions.idempotent = true;
+    assert(await errorStatus.shouldRetry(retryOptions));
+  });
 });
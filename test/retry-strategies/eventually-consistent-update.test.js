@@ -32,4 +32,37 @@ describe("retry eventually consistent update tests", function () {
     delete retryOptions.response;
     assert(!(await retryStrategy.shouldRetry(retryOptions)));
   });
+
+  it("test refresh etag", async function () {
+    let retryStrategy = new EventuallyConsistentUpdate();
+    const retryOptions = {
+      url: "http://testeventuallyconsistentupdate.com",
+      options: { headers: { "if-match": '"1"', other: "value" } },
+      response: { status: 412 },
+    };
+    assert.deepStrictEqual(
+      await retryStrategy.getRetryRequestOptions(retryOptions),
+      {}
+    );
+
+    let etagInfo;
+    retryStrategy = new EventuallyConsistentUpdate({
+      getEtag: async (info) => {
+        etagInfo = info;
+        return '"2"';
+      },
+    });
+    assert.deepStrictEqual(
+      await retryStrategy.getRetryRequestOptions(retryOptions),
+      { headers: { "If-Match": '"2"', other: "value" } }
+    );
+    assert.strictEqual(etagInfo, retryOptions);
+
+    // requests without an If-Match header aren't modified
+    retryOptions.options = {};
+    assert.deepStrictEqual(
+      await retryStrategy.getRetryRequestOptions(retryOptions),
+      {}
+    );
+  });
 });
@@ -0,0 +1,196 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const assert = require("assert");
+const { importFile } = require("../test-utils");
+
+const LongRunningOperation = importFile(
+  "retry-strategies/long-running-operation"
+);
+const HttpOptions = importFile("http-options");
+
+const URL = "http://testlongrunningoperation.com/jobs";
+
+describe("retry long running operation tests", function () {
+  /**
+   * @private
+   */
+  function createStrategy(operationOptions = {}) {
+    const options = new HttpOptions({
+      cloudClient: { longRunningOperation: operationOptions },
+    });
+    return new LongRunningOperation(options.getLongRunningOperationOptions());
+  }
+
+  /**
+   * @private
+   */
+  function createRetryOptions(response, options = {}, json) {
+    return {
+      url: URL,
+      method: "POST",
+      options,
+      response: { headers: {}, ...response },
+      attempts: 1,
+      delay: 1000,
+      retryAfter: 0,
+      getJson: async () => json,
+    };
+  }
+
+  it("test accepted operation", async function () {
+    const strategy = createStrategy();
+    let retryOptions = createRetryOptions({ status: 200 });
+    assert.ok(!(await strategy.shouldRetry(retryOptions)));
+
+    retryOptions = createRetryOptions({ status: 202 });
+    assert.ok(!(await strategy.shouldRetry(retryOptions)));
+
+    retryOptions = createRetryOptions(
+      {
+        status: 202,
+        headers: {
+          "Azure-AsyncOperation": "http://status.com/1",
+          Location: "/jobs/1",
+        },
+      },
+      {
+        body: "hello",
+        headers: { "Content-Length": "5", Authorization: "token" },
+      }
+    );
+    assert.ok(await strategy.shouldRetry(retryOptions));
+    assert.strictEqual(await strategy.getRetryDelayMultiple(retryOptions), 1);
+    assert.strictEqual(await strategy.getMaxRetryCount(retryOptions), -1);
+    assert.deepStrictEqual(
+      await strategy.getRetryRequestOptions(retryOptions),
+      {
+        url: "http://status.com/1",
+        method: "GET",
+        body: undefined,
+        headers: { Authorization: "token" },
+        cloudClient: {
+          bodyFactory: undefined,
+          bodyFile: undefined,
+          operation: {
+            url: URL,
+            method: "POST",
+            statusUrl: "http://status.com/1",
+            resultUrl: "http://testlongrunningoperation.com/jobs/1",
+            polls: 1,
+            state: "polling",
+          },
+        },
+      }
+    );
+  });
+
+  it("test poll delay", async function () {
+    let strategy = createStrategy();
+    const retryOptions = createRetryOptions({ status: 202 });
+    assert.strictEqual(await strategy.getRetryDelay(retryOptions), 1000);
+
+    strategy = createStrategy({ pollDelay: 100 });
+    assert.strictEqual(await strategy.getRetryDelay(retryOptions), 100);
+
+    retryOptions.retryAfter = 5000;
+    assert.strictEqual(await strategy.getRetryDelay(retryOptions), 5000);
+  });
+
+  it("test polling", async function () {
+    const strategy = createStrategy({ fetchResult: true, maxPolls: 2 });
+    const operation = {
+      url: URL,
+      method: "POST",
+      statusUrl: "http://status.com/1",
+      polls: 1,
+      state: "polling",
+    };
+    const options = { cloudClient: { operation } };
+
+    // still running
+    let retryOptions = createRetryOptions({ status: 200 }, options, {
+      status: "InProgress",
+    });
+    let requestOptions = await strategy.getRetryRequestOptions(retryOptions);
+    assert.strictEqual(requestOptions.url, "http://status.com/1");
+    assert.strictEqual(requestOptions.cloudClient.operation.polls, 2);
+
+    // new status URL
+    retryOptions = createRetryOptions(
+      { status: 202, headers: { "operation-location": "/status/2" } },
+      options
+    );
+    requestOptions = await strategy.getRetryRequestOptions(retryOptions);
+    assert.strictEqual(
+      requestOptions.url,
+      "http://testlongrunningoperation.com/status/2"
+    );
+
+    // failed
+    retryOptions = createRetryOptions({ status: 200 }, options, {
+      status: "Failed",
+    });
+    assert.ok(!(await strategy.shouldRetry(retryOptions)));
+
+    // error status code
+    retryOptions = createRetryOptions({ status: 404 }, options);
+    assert.ok(!(await strategy.shouldRetry(retryOptions)));
+
+    // succeeded with result URL in body
+    retryOptions = createRetryOptions({ status: 200 }, options, {
+      status: "succeeded",
+      resourceLocation: "http://result.com/1",
+    });
+    requestOptions = await strategy.getRetryRequestOptions(retryOptions);
+    assert.strictEqual(requestOptions.url, "http://result.com/1");
+    assert.deepStrictEqual(requestOptions.cloudClient.operation, {
+      ...operation,
+      resultUrl: "http://result.com/1",
+      state: "fetching",
+    });
+
+    // the result's response completes the operation
+    retryOptions = createRetryOptions(
+      { status: 200 },
+      { cloudClient: { operation: requestOptions.cloudClient.operation } }
+    );
+    assert.ok(!(await strategy.shouldRetry(retryOptions)));
+
+    // too many polls
+    retryOptions = createRetryOptions(
+      { status: 202 },
+      { cloudClient: { operation: { ...operation, polls: 2 } } }
+    );
+    assert.ok(!(await strategy.shouldRetry(retryOptions)));
+  });
+
+  it("test completed without result", async function () {
+    let strategy = createStrategy({ fetchResult: true });
+    const options = {
+      cloudClient: {
+        operation: { statusUrl: "http://status.com/1", polls: 1 },
+      },
+    };
+    let retryOptions = createRetryOptions({ status: 200 }, options, {
+      status: "Succeeded",
+    });
+    assert.ok(!(await strategy.shouldRetry(retryOptions)));
+
+    // the result isn't fetched unless configured to do so
+    strategy = createStrategy();
+    retryOptions = createRetryOptions({ status: 200 }, options, {
+      status: "Succeeded",
+      resourceLocation: "http://result.com/1",
+    });
+    assert.ok(!(await strategy.shouldRetry(retryOptions)));
+  });
+});
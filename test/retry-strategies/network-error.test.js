@@ -21,6 +21,7 @@ describe("network error retry tests", function () {
       attempts: 1,
       maxAttempts: 2,
       response: { status: 500 },
+      error: { code: "ECONNRESET" },
     };
     assert(!(await retryStrategy.shouldRetry(retryOptions)));
     retryOptions.response.status = 200;
@@ -32,4 +33,60 @@ describe("network error retry tests", function () {
     delete retryOptions.response;
     assert(await retryStrategy.shouldRetry(retryOptions));
   });
+
+  it("test network error categories", async function () {
+    const retryStrategy = new NetworkError();
+    const retryOptions = {
+      attempts: 1,
+      maxAttempts: 2,
+      response: {},
+    };
+    assert(!(await retryStrategy.shouldRetry(retryOptions)));
+
+    const retried = ["ETIMEDOUT", "ECONNRESET", "ECONNREFUSED"];
+    for (let i = 0; i < retried.length; i++) {
+      retryOptions.error = { code: retried[i] };
+      assert(await retryStrategy.shouldRetry(retryOptions), retried[i]);
+    }
+
+    const notRetried = [
+      "ENOTFOUND",
+      "CERT_HAS_EXPIRED",
+      "ERR_INVALID_URL",
+      "ERR_CANCELED",
+    ];
+    for (let i = 0; i < notRetried.length; i++) {
+      retryOptions.error = { code: notRetried[i] };
+      assert(!(await retryStrategy.shouldRetry(retryOptions)), notRetried[i]);
+    }
+    retryOptions.error = new TypeError("transform is not a function");
+    assert(!(await retryStrategy.shouldRetry(retryOptions)));
+
+    // a category provided by the client takes precedence
+    retryOptions.errorCategory = "reset";
+    assert(await retryStrategy.shouldRetry(retryOptions));
+    assert.strictEqual(
+      await retryStrategy.getRetryReason(retryOptions),
+      "the request failed with a transient reset error"
+    );
+  });
+
+  it("test network error non-idempotent", async function () {
+    const retryStrategy = new NetworkError();
+    const retryOptions = {
+      attempts: 1,
+      maxAttempts: 2,
+      response: {},
+      idempotent: false,
+      error: { code: "ECONNRESET" },
+    };
+    assert(!(await retryStrategy.shouldRetry(retryOptions)));
+    retryOptions.error = { code: "ECONNREFUSED" };
+    assert(await retryStrategy.shouldRetry(retryOptions));
+    retryOptions.error = new TypeError("fetch failed");
+    retryOptions.error.cause = { code: "UND_ERR_CONNECT_TIMEOUT" };
+    assert(await retryStrategy.shouldRetry(retryOptions));
+    retryOptions.error = undefined;
+    assert(!(await retryStrategy.shouldRetry(retryOptions)));
+  });
 });
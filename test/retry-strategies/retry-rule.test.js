@@ -0,0 +1,162 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const assert = require("assert");
+const { importFile } = require("../test-utils");
+
+const RetryRule = importFile("retry-strategies/retry-rule");
+
+describe("retry rule tests", function () {
+  /**
+   * @private
+   */
+  function createRetryOptions(response, error, method = "GET") {
+    return {
+      method,
+      response,
+      error,
+      attempts: 1,
+      maxAttempts: 3,
+      delay: 1000,
+      delayMultiple: 2,
+      jitter: "none",
+      retryAfter: 0,
+    };
+  }
+
+  it("test is rule", function () {
+    assert.ok(RetryRule.isRule({ statuses: [503] }));
+    assert.ok(RetryRule.isRule({}));
+    assert.ok(!RetryRule.isRule({ shouldRetry: async () => true }));
+    assert.ok(!RetryRule.isRule(undefined));
+  });
+
+  it("test unknown property", function () {
+    assert.throws(() => new RetryRule({ status: [503] }), {
+      message: /unknown property "status"/,
+    });
+  });
+
+  it("test statuses and error codes", async function () {
+    const rule = new RetryRule({
+      statuses: [429, "5xx"],
+      errorCodes: ["ECONNRESET"],
+    });
+    assert.ok(await rule.shouldRetry(createRetryOptions({ status: 429 })));
+    assert.ok(await rule.shouldRetry(createRetryOptions({ status: 502 })));
+    assert.ok(!(await rule.shouldRetry(createRetryOptions({ status: 404 }))));
+    assert.ok(
+      await rule.shouldRetry(
+        createRetryOptions(undefined, { code: "ECONNRESET" })
+      )
+    );
+    assert.ok(
+      await rule.shouldRetry(
+        createRetryOptions(undefined, { cause: { code: "ECONNRESET" } })
+      )
+    );
+    assert.ok(
+      !(await rule.shouldRetry(
+        createRetryOptions(undefined, { code: "ENOTFOUND" })
+      ))
+    );
+  });
+
+  it("test error categories", async function () {
+    const rule = new RetryRule({ errorCategories: ["dns"] });
+    const retryOptions = createRetryOptions(undefined, { code: "ENOTFOUND" });
+    retryOptions.errorCategory = "dns";
+    assert.ok(await rule.shouldRetry(retryOptions));
+    retryOptions.errorCategory = "tls";
+    assert.ok(!(await rule.shouldRetry(retryOptions)));
+    assert.ok(!(await rule.shouldRetry(createRetryOptions({ status: 503 }))));
+  });
+
+  it("test methods and headers", async function () {
+    const rule = new RetryRule({
+      methods: ["get", "PUT"],
+      headerMatches: {
+        "X-Retryable": ["true", "yes"],
+        "X-Fatal": false,
+        "X-Request-Id": true,
+      },
+    });
+    const headers = { "x-retryable": "yes", "x-request-id": "id" };
+    const status = 503;
+    assert.ok(await rule.shouldRetry(createRetryOptions({ status, headers })));
+    assert.ok(
+      await rule.shouldRetry(createRetryOptions({ headers }, {}, "PUT"))
+    );
+    assert.ok(
+      !(await rule.shouldRetry(createRetryOptions({ headers }, {}, "POST")))
+    );
+    assert.ok(
+      !(await rule.shouldRetry(
+        createRetryOptions({
+          status,
+          headers: { ...headers, "x-retryable": "no" },
+        })
+      ))
+    );
+    assert.ok(
+      !(await rule.shouldRetry(
+        createRetryOptions({
+          status,
+          headers: { ...headers, "x-fatal": "1" },
+        })
+      ))
+    );
+    assert.ok(
+      !(await rule.shouldRetry(
+        createRetryOptions({ status, headers: { "x-retryable": "true" } })
+      ))
+    );
+  });
+
+  it("test rule without criteria", async function () {
+    const rule = new RetryRule({ maxRetries: 2 });
+    assert.ok(await rule.shouldRetry(createRetryOptions({ status: 503 })));
+    assert.ok(await rule.shouldRetry(createRetryOptions({ status: 404 })));
+    assert.ok(
+      await rule.shouldRetry(
+        createRetryOptions(undefined, { code: "ECONNRESET" })
+      )
+    );
+    assert.ok(!(await rule.shouldRetry(createRetryOptions({ status: 200 }))));
+    assert.ok(!(await rule.shouldRetry(createRetryOptions({ status: 304 }))));
+    assert.ok(!(await rule.shouldRetry(createRetryOptions({}))));
+  });
+
+  it("test retry values", async function () {
+    let rule = new RetryRule({ statuses: [503] });
+    let retryOptions = createRetryOptions({ status: 503 });
+    assert.strictEqual(await rule.getMaxRetryCount(retryOptions), 3);
+    assert.strictEqual(await rule.getRetryDelay(retryOptions), 1000);
+    assert.strictEqual(await rule.getRetryDelayMultiple(retryOptions), 2);
+    assert.strictEqual(await rule.getRetryJitter(retryOptions), "none");
+    assert.deepStrictEqual(await rule.getRetryRequestOptions(retryOptions), {});
+
+    rule = new RetryRule({
+      statuses: [503],
+      maxRetries: 5,
+      delay: 100,
+      delayMultiple: 1,
+      jitter: "full",
+    });
+    assert.strictEqual(await rule.getMaxRetryCount(retryOptions), 6);
+    assert.strictEqual(await rule.getRetryDelay(retryOptions), 100);
+    assert.strictEqual(await rule.getRetryDelayMultiple(retryOptions), 1);
+    assert.strictEqual(await rule.getRetryJitter(retryOptions), "full");
+
+    retryOptions = { ...retryOptions, delay: 5000, retryAfter: 5000 };
+    assert.strictEqual(await rule.getRetryDelay(retryOptions), 5000);
+  });
+});
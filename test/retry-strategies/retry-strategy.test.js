@@ -31,6 +31,10 @@ describe("retry strategy tests", function () {
     );
   });
 
+  it("test retry strategy to string", function () {
+    assert.strictEqual(String(new RetryStrategy()), "RetryStrategy");
+  });
+
   it("test retry strategy delay default", async function () {
     const retryStrategy = new RetryStrategy();
     const retryDelay = await retryStrategy.getRetryDelay({ delay: 1000 });
@@ -50,4 +54,53 @@ describe("retry strategy tests", function () {
     const requestOptions = await retryStrategy.getRetryRequestOptions();
     assert.deepStrictEqual(requestOptions, {});
   });
+
+  it("test retry strategy jitter", async function () {
+    let retryStrategy = new RetryStrategy();
+    assert.strictEqual(
+      await retryStrategy.getRetryJitter({ jitter: "full" }),
+      "full"
+    );
+    retryStrategy = new RetryStrategy({
+      getJitter: () => "none",
+    });
+    assert.strictEqual(
+      await retryStrategy.getRetryJitter({ jitter: "full" }),
+      "none"
+    );
+  });
+
+  it("test retry strategy priority and name", function () {
+    assert.strictEqual(new RetryStrategy().getPriority(), 0);
+    const retryStrategy = new RetryStrategy({ priority: 5, name: "Custom" });
+    assert.strictEqual(retryStrategy.getPriority(), 5);
+    assert.strictEqual(String(retryStrategy), "Custom");
+  });
+
+  it("test retry strategy reason", async function () {
+    let retryStrategy = new RetryStrategy();
+    assert.strictEqual(
+      await retryStrategy.getRetryReason({ response: { status: 503 } }),
+      "the response had status 503"
+    );
+    assert.strictEqual(
+      await retryStrategy.getRetryReason({
+        error: new Error("socket hang up"),
+        errorCategory: "reset",
+      }),
+      'the request failed with reset error "socket hang up"'
+    );
+    assert.strictEqual(
+      await retryStrategy.getRetryReason({}),
+      "the strategy requested a retry"
+    );
+
+    retryStrategy = new RetryStrategy({
+      getReason: async ({ response }) => `status ${response.status} is odd`,
+    });
+    assert.strictEqual(
+      await retryStrategy.getRetryReason({ response: { status: 299 } }),
+      "status 299 is odd"
+    );
+  });
 });
@@ -0,0 +1,39 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const assert = require("assert");
+const { importFile } = require("../test-utils");
+
+const TooManyRequests = importFile("retry-strategies/too-many-requests");
+
+describe("too many requests retry tests", function () {
+  it("test retry too many requests", async function () {
+    const tooManyRequests = new TooManyRequests();
+    const retryOptions = {
+      attempts: 1,
+      maxAttempts: 2,
+      response: { status: 200 },
+    };
+    assert(!(await tooManyRequests.shouldRetry(retryOptions)));
+    retryOptions.response = { status: 503 };
+    assert(!(await tooManyRequests.shouldRetry(retryOptions)));
+    retryOptions.response = {};
+    assert(!(await tooManyRequests.shouldRetry(retryOptions)));
+    retryOptions.response = { status: 429 };
+    assert(await tooManyRequests.shouldRetry(retryOptions));
+    assert.strictEqual(
+      await tooManyRequests.getRetryReason(retryOptions),
+      "the server rate limited the request with status 429"
+    );
+    retryOptions.idempotent = false;
+    assert(await tooManyRequests.shouldRetry(retryOptions));
+  });
+});
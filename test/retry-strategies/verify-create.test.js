@@ -0,0 +1,158 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const assert = require("assert");
+const { importFile } = require("../test-utils");
+
+const VerifyCreate = importFile("retry-strategies/verify-create");
+const HttpOptions = importFile("http-options");
+
+const URL = "http://testverifycreate.com/assets";
+
+describe("retry verify create tests", function () {
+  /**
+   * @private
+   */
+  function createStrategy(verifyOptions = {}) {
+    const options = new HttpOptions({
+      cloudClient: { verifyCreate: verifyOptions },
+    });
+    return new VerifyCreate(options.getVerifyCreateOptions());
+  }
+
+  /**
+   * @private
+   */
+  function createRetryOptions(response, options = {}, method = "POST") {
+    return {
+      url: URL,
+      method,
+      options,
+      response: response && { headers: {}, ...response },
+      attempts: 1,
+      delay: 1000,
+      retryAfter: 0,
+    };
+  }
+
+  it("test successful create", async function () {
+    const strategy = createStrategy();
+    let retryOptions = createRetryOptions({ status: 201 });
+    assert.ok(!(await strategy.shouldRetry(retryOptions)));
+
+    retryOptions = createRetryOptions(undefined);
+    assert.ok(!(await strategy.shouldRetry(retryOptions)));
+
+    retryOptions = createRetryOptions({
+      status: 202,
+      headers: { Location: "/assets/1" },
+    });
+    assert.ok(!(await strategy.shouldRetry(retryOptions)));
+
+    retryOptions = createRetryOptions(
+      { status: 201, headers: { Location: "/assets/1" } },
+      {},
+      "GET"
+    );
+    assert.ok(!(await strategy.shouldRetry(retryOptions)));
+
+    retryOptions = createRetryOptions(
+      { status: 201, headers: { Location: "/assets/1" } },
+      {
+        body: "hello",
+        headers: {
+          "Content-Type": "text/plain",
+          "If-None-Match": "*",
+          Authorization: "token",
+        },
+      }
+    );
+    assert.ok(await strategy.shouldRetry(retryOptions));
+    assert.strictEqual(await strategy.getRetryDelayMultiple(retryOptions), 1);
+    assert.strictEqual(await strategy.getMaxRetryCount(retryOptions), -1);
+    assert.deepStrictEqual(
+      await strategy.getRetryRequestOptions(retryOptions),
+      {
+        url: "http://testverifycreate.com/assets/1",
+        method: "GET",
+        body: undefined,
+        headers: { Authorization: "token" },
+        cloudClient: {
+          bodyFactory: undefined,
+          bodyFile: undefined,
+          verification: {
+            type: "create",
+            url: URL,
+            method: "POST",
+            verifyUrl: "http://testverifycreate.com/assets/1",
+            attempts: 1,
+          },
+        },
+      }
+    );
+  });
+
+  it("test verify url", async function () {
+    const strategy = createStrategy({ url: "/assets/named" });
+    const retryOptions = createRetryOptions({ status: 200 }, {}, "PUT");
+    assert.ok(await strategy.shouldRetry(retryOptions));
+    const { url } = await strategy.getRetryRequestOptions(retryOptions);
+    assert.strictEqual(url, "http://testverifycreate.com/assets/named");
+  });
+
+  it("test verification reads", async function () {
+    const strategy = createStrategy({ maxAttempts: 2 });
+    const verification = {
+      type: "create",
+      url: URL,
+      method: "POST",
+      verifyUrl: `${URL}/1`,
+      attempts: 1,
+    };
+    const options = { cloudClient: { verification } };
+
+    let retryOptions = createRetryOptions({ status: 404 }, options, "GET");
+    assert.ok(await strategy.shouldRetry(retryOptions));
+    const { cloudClient } = await strategy.getRetryRequestOptions(retryOptions);
+    assert.strictEqual(cloudClient.verification.attempts, 2);
+
+    retryOptions = createRetryOptions({ status: 200 }, options, "GET");
+    assert.ok(!(await strategy.shouldRetry(retryOptions)));
+
+    // stops once the maximum number of reads is reached
+    retryOptions = createRetryOptions(
+      { status: 404 },
+      { cloudClient: { verification: { ...verification, attempts: 2 } } },
+      "GET"
+    );
+    assert.ok(!(await strategy.shouldRetry(retryOptions)));
+
+    // other types of verification are left to their own strategies
+    retryOptions = createRetryOptions(
+      { status: 404 },
+      { cloudClient: { verification: { ...verification, type: "update" } } },
+      "GET"
+    );
+    assert.ok(!(await strategy.shouldRetry(retryOptions)));
+  });
+
+  it("test verification delay", async function () {
+    let strategy = createStrategy();
+    const retryOptions = createRetryOptions({ status: 404 });
+    assert.strictEqual(await strategy.getRetryDelay(retryOptions), 1000);
+
+    strategy = createStrategy({ delay: 50 });
+    assert.strictEqual(await strategy.getRetryDelay(retryOptions), 50);
+
+    retryOptions.retryAfter = 2000;
+    assert.strictEqual(await strategy.getRetryDelay(retryOptions), 2000);
+  });
+});
@@ -0,0 +1,137 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const assert = require("assert");
+const { importFile } = require("../test-utils");
+
+const VerifyUpdate = importFile("retry-strategies/verify-update");
+const HttpOptions = importFile("http-options");
+
+const URL = "http://testverifyupdate.com/assets/1";
+
+describe("retry verify update tests", function () {
+  /**
+   * @private
+   */
+  function createStrategy(verifyOptions = {}) {
+    const options = new HttpOptions({
+      cloudClient: { verifyUpdate: verifyOptions },
+    });
+    return new VerifyUpdate(options.getVerifyUpdateOptions());
+  }
+
+  /**
+   * @private
+   */
+  function createRetryOptions(response, options = {}, method = "PUT") {
+    return {
+      url: URL,
+      method,
+      options,
+      response: { headers: {}, ...response },
+      attempts: 1,
+      delay: 1000,
+      retryAfter: 0,
+    };
+  }
+
+  it("test successful update", async function () {
+    const strategy = createStrategy();
+    let retryOptions = createRetryOptions({ status: 200 });
+    assert.ok(!(await strategy.shouldRetry(retryOptions)));
+
+    retryOptions = createRetryOptions({
+      status: 412,
+      headers: { etag: '"2"' },
+    });
+    assert.ok(!(await strategy.shouldRetry(retryOptions)));
+
+    retryOptions = createRetryOptions(
+      { status: 200, headers: { etag: '"2"' } },
+      {},
+      "POST"
+    );
+    assert.ok(!(await strategy.shouldRetry(retryOptions)));
+
+    retryOptions = createRetryOptions(
+      { status: 204, headers: { ETag: '"2"' } },
+      {
+        body: "hello",
+        headers: { "If-Match": '"1"', Authorization: "token" },
+      },
+      "PATCH"
+    );
+    assert.ok(await strategy.shouldRetry(retryOptions));
+    assert.deepStrictEqual(
+      await strategy.getRetryRequestOptions(retryOptions),
+      {
+        url: URL,
+        method: "GET",
+        body: undefined,
+        headers: { Authorization: "token", "If-None-Match": '"2"' },
+        cloudClient: {
+          bodyFactory: undefined,
+          bodyFile: undefined,
+          verification: {
+            type: "update",
+            url: URL,
+            method: "PATCH",
+            verifyUrl: URL,
+            etag: '"2"',
+            attempts: 1,
+          },
+        },
+      }
+    );
+  });
+
+  it("test verification reads", async function () {
+    const strategy = createStrategy({ maxAttempts: 2 });
+    const verification = {
+      type: "update",
+      url: URL,
+      method: "PUT",
+      verifyUrl: URL,
+      etag: '"2"',
+      attempts: 1,
+    };
+    const options = { cloudClient: { verification } };
+
+    // reads that don't reflect the update yet
+    let retryOptions = createRetryOptions(
+      { status: 200, headers: { etag: '"1"' } },
+      options,
+      "GET"
+    );
+    assert.ok(await strategy.shouldRetry(retryOptions));
+    retryOptions = createRetryOptions({ status: 404 }, options, "GET");
+    assert.ok(await strategy.shouldRetry(retryOptions));
+
+    retryOptions = createRetryOptions({ status: 304 }, options, "GET");
+    assert.ok(!(await strategy.shouldRetry(retryOptions)));
+    retryOptions = createRetryOptions(
+      { status: 200, headers: { etag: 'W/"2"' } },
+      options,
+      "GET"
+    );
+    assert.ok(!(await strategy.shouldRetry(retryOptions)));
+    retryOptions = createRetryOptions({ status: 500 }, options, "GET");
+    assert.ok(!(await strategy.shouldRetry(retryOptions)));
+
+    // stops once the maximum number of reads is reached
+    retryOptions = createRetryOptions(
+      { status: 404 },
+      { cloudClient: { verification: { ...verification, attempts: 2 } } },
+      "GET"
+    );
+    assert.ok(!(await strategy.shouldRetry(retryOptions)));
+  });
+});
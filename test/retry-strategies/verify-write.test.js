@@ -0,0 +1,58 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const assert = require("assert");
+const { importFile } = require("../test-utils");
+
+const VerifyWrite = importFile("retry-strategies/verify-write");
+
+describe("retry verify write tests", function () {
+  it("test is verified", function () {
+    const verification = { type: "create" };
+    assert.ok(VerifyWrite.isVerified(verification, { status: 200 }));
+    assert.ok(VerifyWrite.isVerified(verification, { status: 204 }));
+    assert.ok(!VerifyWrite.isVerified(verification, { status: 404 }));
+    assert.ok(!VerifyWrite.isVerified(verification));
+  });
+
+  it("test is verified with etag", function () {
+    const verification = { type: "update", etag: '"2"' };
+    assert.ok(VerifyWrite.isVerified(verification, { status: 304 }));
+    assert.ok(
+      VerifyWrite.isVerified(verification, {
+        status: 200,
+        headers: { ETag: '"2"' },
+      })
+    );
+    assert.ok(
+      !VerifyWrite.isVerified(verification, {
+        status: 200,
+        headers: { etag: '"1"' },
+      })
+    );
+    assert.ok(!VerifyWrite.isVerified(verification, { status: 200 }));
+  });
+
+  it("test no verification by default", async function () {
+    const strategy = new VerifyWrite("write", { maxAttempts: 1 });
+    const retryOptions = {
+      url: "http://testverifywrite.com",
+      method: "PUT",
+      options: {},
+      response: { status: 200, headers: {} },
+    };
+    assert.ok(!(await strategy.shouldRetry(retryOptions)));
+    assert.deepStrictEqual(
+      await strategy.getRetryRequestOptions(retryOptions),
+      {}
+    );
+  });
+});
@@ -18,6 +18,17 @@ module.exports = {
     filename: "main.js",
     path: path.resolve(__dirname, "dist"),
   },
+  resolve: {
+    // node-only backends and cassettes aren't usable in a browser, so there's
+    // no need to polyfill their core modules
+    fallback: {
+      http: false,
+      https: false,
+      fs: false,
+      crypto: false,
+      stream: false,
+    },
+  },
   module: {
     rules: [
       {